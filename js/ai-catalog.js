@@ -0,0 +1,498 @@
+// AI package catalog: the single source of AI providers, packages, import patterns, API endpoints and models
+// Detection lists in constants.js (LLM_DEPENDENCIES, SDK_PATTERNS, API_ENDPOINTS, MODEL_PATTERNS) are
+// derived from it. Bump the version whenever entries change; it is recorded in every generated BOM.
+// Kept as a script rather than JSON so the app still works when index.html is opened from disk.
+
+const AI_CATALOG = {
+    version: '1.3.0',
+    updated: '2026-10-19',
+    
+    categories: {
+        'llm-sdk': 'LLM SDK',
+        'orchestration': 'Orchestration',
+        'vector-store': 'Vector store',
+        'embeddings': 'Embeddings',
+        'inference-runtime': 'Inference runtime',
+        'eval': 'Evaluation',
+        'observability': 'Observability'
+    },
+    
+    // imports: code patterns per language (code detector); endpoints: hosts or URL paths of the provider's API
+    // models: id is the canonical name used in BOMs, aliases are the spellings matched in code and configuration
+    // (an alias also matches with a date / version suffix such as "-20240620", "-0613" or "-latest")
+    providers: {
+        'OpenAI': {
+            imports: {
+                python: [
+                    { pattern: /import\s+openai/i, weight: 5 },
+                    { pattern: /from\s+openai\s+import/i, weight: 5 },
+                    { pattern: /openai\.ChatCompletion/i, weight: 5 },
+                    { pattern: /openai\.chat\.completions/i, weight: 5 },
+                    { pattern: /openai\.Embedding/i, weight: 5 },
+                    { pattern: /OpenAI\(/i, weight: 5 }
+                ],
+                javascript: [
+                    { pattern: /from\s+['"]openai['"]/i, weight: 5 },
+                    { pattern: /require\s*\(\s*['"]openai['"]/i, weight: 5 },
+                    { pattern: /new\s+OpenAI\s*\(/i, weight: 5 },
+                    { pattern: /\.chat\.completions\.create/i, weight: 5 }
+                ],
+                go: [
+                    { pattern: /"github\.com\/sashabaranov\/go-openai"/, weight: 5 },
+                    { pattern: /"github\.com\/openai\/openai-go(?:\/v\d+)?(?:\/[\w\/-]*)?"/, weight: 5 },
+                    { pattern: /\bopenai\.NewClient(?:WithConfig)?\s*\(/, weight: 5 }
+                ],
+                java: [
+                    { pattern: /\bimport\s+(?:static\s+)?com\.openai\./, weight: 5 },
+                    { pattern: /\bOpenAIOkHttpClient\b/, weight: 5 }
+                ]
+            },
+            endpoints: ['api.openai.com'],
+            models: [
+                { id: 'gpt-4o-mini', name: 'GPT-4o mini', type: 'text-generation', aliases: ['gpt-4o-mini'] },
+                { id: 'gpt-4o', name: 'GPT-4o', type: 'text-generation', aliases: ['gpt-4o'] },
+                { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', type: 'text-generation', aliases: ['gpt-4-turbo', 'gpt-4-1106'] },
+                { id: 'gpt-4', name: 'GPT-4', type: 'text-generation', aliases: ['gpt-4'] },
+                { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', type: 'text-generation', aliases: ['gpt-3.5-turbo'] },
+                { id: 'o1-preview', name: 'o1-preview', type: 'text-generation', aliases: ['o1-preview'] },
+                { id: 'o1-mini', name: 'o1-mini', type: 'text-generation', aliases: ['o1-mini'] },
+                { id: 'text-embedding-3-large', name: 'Text Embedding 3 Large', type: 'embeddings', aliases: ['text-embedding-3-large'] },
+                { id: 'text-embedding-3-small', name: 'Text Embedding 3 Small', type: 'embeddings', aliases: ['text-embedding-3-small'] },
+                { id: 'text-embedding-ada-002', name: 'Text Embedding Ada 002', type: 'embeddings', aliases: ['text-embedding-ada-002'] },
+                { id: 'dall-e-3', name: 'DALL-E 3', type: 'text-to-image', aliases: ['dall-e-3'] },
+                { id: 'dall-e-2', name: 'DALL-E 2', type: 'text-to-image', aliases: ['dall-e-2'] }
+            ]
+        },
+        'Anthropic': {
+            imports: {
+                python: [
+                    { pattern: /import\s+anthropic/i, weight: 5 },
+                    { pattern: /from\s+anthropic\s+import/i, weight: 5 },
+                    { pattern: /Anthropic\(/i, weight: 5 },
+                    { pattern: /messages\.create\(/i, weight: 4 }
+                ],
+                javascript: [
+                    { pattern: /from\s+['"]@anthropic-ai\/sdk['"]/i, weight: 5 },
+                    { pattern: /require\s*\(\s*['"]@anthropic-ai\/sdk['"]/i, weight: 5 },
+                    { pattern: /new\s+Anthropic\s*\(/i, weight: 5 }
+                ],
+                go: [
+                    { pattern: /"github\.com\/anthropics\/anthropic-sdk-go(?:\/[\w\/-]*)?"/, weight: 5 },
+                    { pattern: /\banthropic\.NewClient\s*\(/, weight: 5 }
+                ],
+                java: [
+                    { pattern: /\bimport\s+(?:static\s+)?com\.anthropic\./, weight: 5 },
+                    { pattern: /\bAnthropicOkHttpClient\b/, weight: 5 }
+                ]
+            },
+            endpoints: ['api.anthropic.com'],
+            models: [
+                { id: 'claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', type: 'text-generation', aliases: ['claude-3-5-sonnet', 'claude-3.5-sonnet'] },
+                { id: 'claude-3-opus', name: 'Claude 3 Opus', type: 'text-generation', aliases: ['claude-3-opus'] },
+                { id: 'claude-3-sonnet', name: 'Claude 3 Sonnet', type: 'text-generation', aliases: ['claude-3-sonnet'] },
+                { id: 'claude-3-haiku', name: 'Claude 3 Haiku', type: 'text-generation', aliases: ['claude-3-haiku'] }
+            ]
+        },
+        'Google': {
+            imports: {
+                python: [
+                    { pattern: /import\s+google\.generativeai/i, weight: 5 },
+                    { pattern: /from\s+google\s+import\s+genai\b/i, weight: 5 },
+                    { pattern: /genai\.GenerativeModel/i, weight: 5 },
+                    { pattern: /genai\.Client\(/i, weight: 5 },
+                    { pattern: /\.generate_content\(/i, weight: 4 }
+                ],
+                javascript: [
+                    { pattern: /from\s+['"]@google\/generative-ai['"]/i, weight: 5 },
+                    { pattern: /from\s+['"]@google\/genai['"]/i, weight: 5 },
+                    { pattern: /GoogleGenerativeAI/i, weight: 5 },
+                    { pattern: /new\s+GoogleGenAI\s*\(/i, weight: 5 }
+                ],
+                go: [
+                    { pattern: /"github\.com\/google\/generative-ai-go\/genai"/, weight: 5 },
+                    { pattern: /"google\.golang\.org\/genai"/, weight: 5 },
+                    { pattern: /\bgenai\.NewClient\s*\(/, weight: 5 }
+                ],
+                java: [
+                    { pattern: /\bimport\s+(?:static\s+)?com\.google\.genai\./, weight: 5 },
+                    { pattern: /\bimport\s+(?:static\s+)?com\.google\.cloud\.vertexai\./, weight: 5 }
+                ]
+            },
+            endpoints: ['generativelanguage.googleapis.com'],
+            models: [
+                { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', type: 'text-generation', aliases: ['gemini-1.5-pro'] },
+                { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', type: 'text-generation', aliases: ['gemini-1.5-flash'] },
+                { id: 'gemini-pro', name: 'Gemini Pro', type: 'text-generation', aliases: ['gemini-pro'] },
+                { id: 'gemini-2.0-flash-exp', name: 'Gemini 2.0 Flash (experimental)', type: 'text-generation', aliases: ['gemini-2.0-flash-exp'] },
+                { id: 'models/embedding-001', name: 'Embedding 001', type: 'embeddings', aliases: ['models/embedding-001'] },
+                { id: 'models/text-embedding-004', name: 'Text Embedding 004', type: 'embeddings', aliases: ['models/text-embedding-004', 'text-embedding-004'] },
+                { id: 'gemma2', name: 'Gemma 2', type: 'text-generation', aliases: ['gemma2'] },
+                { id: 'gemma3', name: 'Gemma 3', type: 'text-generation', aliases: ['gemma3'] }
+            ]
+        },
+        'Mistral': {
+            models: [
+                { id: 'mistral-large', name: 'Mistral Large', type: 'text-generation', aliases: ['mistral-large'] },
+                { id: 'mixtral-8x7b', name: 'Mixtral 8x7B', type: 'text-generation', aliases: ['mixtral-8x7b'] },
+                { id: 'mistral', name: 'Mistral', type: 'text-generation', aliases: ['mistral'] },
+                { id: 'mathstral', name: 'Mathstral', type: 'text-generation', aliases: ['mathstral'] }
+            ]
+        },
+        'Cohere': {
+            endpoints: ['api.cohere.ai'],
+            models: [
+                { id: 'command-r7b-arabic', name: 'Command R7B Arabic', type: 'text-generation', aliases: ['command-r7b-arabic'] },
+                { id: 'command-r-plus', name: 'Command R+', type: 'text-generation', aliases: ['command-r-plus'] },
+                { id: 'command-r', name: 'Command R', type: 'text-generation', aliases: ['command-r'] },
+                { id: 'command-a', name: 'Command A', type: 'text-generation', aliases: ['command-a'] }
+            ]
+        },
+        'Meta': {
+            models: [
+                { id: 'llama3.3', name: 'Llama 3.3', type: 'text-generation', aliases: ['llama3.3'] },
+                { id: 'llama3.2', name: 'Llama 3.2', type: 'text-generation', aliases: ['llama3.2'] },
+                { id: 'llama3.1', name: 'Llama 3.1', type: 'text-generation', aliases: ['llama3.1'] },
+                { id: 'llama3', name: 'Llama 3', type: 'text-generation', aliases: ['llama3'] },
+                { id: 'codellama', name: 'Code Llama', type: 'text-generation', aliases: ['codellama'] },
+                { id: 'medllama2', name: 'MedLlama 2', type: 'text-generation', aliases: ['medllama2'] }
+            ]
+        },
+        'DeepSeek': {
+            models: [
+                { id: 'deepseek-coder-v2', name: 'DeepSeek Coder V2', type: 'text-generation', aliases: ['deepseek-coder-v2'] },
+                { id: 'deepseek-r1', name: 'DeepSeek R1', type: 'text-generation', aliases: ['deepseek-r1'] },
+                { id: 'deepseek-v3', name: 'DeepSeek V3', type: 'text-generation', aliases: ['deepseek-v3'] }
+            ]
+        },
+        'Alibaba': {
+            models: [
+                { id: 'qwen2.5', name: 'Qwen 2.5', type: 'text-generation', aliases: ['qwen2.5'] },
+                { id: 'qwen2.5-coder', name: 'Qwen 2.5 Coder', type: 'text-generation', aliases: ['qwen2.5-coder'] },
+                { id: 'qwq', name: 'QwQ', type: 'text-generation', aliases: ['qwq'] }
+            ]
+        },
+        'Microsoft': {
+            models: [
+                { id: 'phi4', name: 'Phi-4', type: 'text-generation', aliases: ['phi4'] },
+                { id: 'phi3', name: 'Phi-3', type: 'text-generation', aliases: ['phi3'] }
+            ]
+        },
+        'EPFL': {
+            models: [
+                { id: 'meditron', name: 'Meditron', type: 'text-generation', aliases: ['meditron'] }
+            ]
+        },
+        '01.AI': {
+            models: [
+                { id: 'yi', name: 'Yi', type: 'text-generation', aliases: ['yi'] }
+            ]
+        },
+        'Nexusflow': {
+            models: [
+                { id: 'athene-v2', name: 'Athene V2', type: 'text-generation', aliases: ['athene-v2'] }
+            ]
+        },
+        'Groq': { endpoints: ['api.groq.com'] },
+        'OpenRouter': { endpoints: ['api.openrouter.ai'] },
+        'Together AI': { endpoints: ['api.together.xyz'] },
+        'Replicate': { endpoints: ['api.replicate.com'] },
+        'LangChain': {
+            imports: {
+                python: [
+                    { pattern: /from\s+langchain/i, weight: 4 },
+                    { pattern: /import\s+langchain/i, weight: 4 }
+                ],
+                javascript: [
+                    { pattern: /from\s+['"]langchain/i, weight: 4 },
+                    { pattern: /require\s*\(\s*['"]langchain/i, weight: 4 }
+                ],
+                go: [
+                    { pattern: /"github\.com\/tmc\/langchaingo(?:\/[\w\/-]*)?"/, weight: 4 }
+                ]
+            }
+        },
+        'LangChain4j': {
+            imports: {
+                java: [
+                    { pattern: /\bimport\s+(?:static\s+)?dev\.langchain4j\./, weight: 4 }
+                ]
+            }
+        },
+        'LiteLLM': {
+            imports: {
+                python: [
+                    { pattern: /import\s+litellm/i, weight: 5 },
+                    { pattern: /from\s+litellm\s+import/i, weight: 5 },
+                    { pattern: /litellm\./i, weight: 4 }
+                ]
+            }
+        },
+        'LlamaIndex': {
+            imports: {
+                python: [
+                    { pattern: /from\s+llama_index/i, weight: 4 },
+                    { pattern: /import\s+llama_index/i, weight: 4 }
+                ]
+            }
+        },
+        'Vercel AI': {
+            imports: {
+                javascript: [
+                    { pattern: /from\s+['"]ai['"]/i, weight: 4 },
+                    { pattern: /generateText|streamText/i, weight: 4 }
+                ]
+            }
+        },
+        // Any server speaking the OpenAI API (vLLM, Ollama, LM Studio, gateways)
+        'OpenAI-compatible': {
+            endpoints: ['/v1/chat/completions', '/v1/completions', '/v1/embeddings'],
+            endpointWeight: 3
+        }
+    },
+    
+    // Packages per ecosystem, named the way the ecosystem's manifests and lockfiles do
+    packages: {
+        python: [
+            { name: 'openai', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'anthropic', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'google-generativeai', provider: 'Google', category: 'llm-sdk' },
+            { name: 'google-genai', provider: 'Google', category: 'llm-sdk' },
+            { name: 'langchain', provider: 'LangChain', category: 'orchestration' },
+            { name: 'langchain-openai', provider: 'LangChain', category: 'orchestration' },
+            { name: 'langchain-anthropic', provider: 'LangChain', category: 'orchestration' },
+            { name: 'langchain-google-genai', provider: 'LangChain', category: 'orchestration' },
+            { name: 'llama-index', provider: 'LlamaIndex', category: 'orchestration' },
+            { name: 'llama-index-core', provider: 'LlamaIndex', category: 'orchestration' },
+            { name: 'haystack-ai', provider: 'deepset', category: 'orchestration' },
+            { name: 'transformers', provider: 'HuggingFace', category: 'inference-runtime' },
+            { name: 'sentence-transformers', provider: 'HuggingFace', category: 'embeddings' },
+            { name: 'vllm', provider: 'vLLM', category: 'inference-runtime' },
+            { name: 'huggingface-hub', provider: 'HuggingFace', category: 'llm-sdk' },
+            { name: 'llama-cpp-python', provider: 'llama.cpp', category: 'inference-runtime' },
+            { name: 'litellm', provider: 'LiteLLM', category: 'llm-sdk' },
+            { name: 'cohere', provider: 'Cohere', category: 'llm-sdk' },
+            { name: 'replicate', provider: 'Replicate', category: 'llm-sdk' },
+            { name: 'stability-sdk', provider: 'Stability AI', category: 'llm-sdk' },
+            { name: 'together', provider: 'Together AI', category: 'llm-sdk' },
+            { name: 'voyageai', provider: 'Voyage AI', category: 'embeddings' },
+            { name: 'pinecone-client', provider: 'Pinecone', category: 'vector-store' },
+            { name: 'chromadb', provider: 'Chroma', category: 'vector-store' },
+            { name: 'weaviate-client', provider: 'Weaviate', category: 'vector-store' },
+            { name: 'qdrant-client', provider: 'Qdrant', category: 'vector-store' },
+            { name: 'faiss-cpu', provider: 'Meta', category: 'vector-store' },
+            { name: 'faiss-gpu', provider: 'Meta', category: 'vector-store' },
+            { name: 'ragas', provider: 'Ragas', category: 'eval' },
+            { name: 'deepeval', provider: 'Confident AI', category: 'eval' },
+            { name: 'langsmith', provider: 'LangChain', category: 'observability' },
+            { name: 'langfuse', provider: 'Langfuse', category: 'observability' },
+            { name: 'arize-phoenix', provider: 'Arize', category: 'observability' }
+        ],
+        node: [
+            { name: 'openai', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: '@anthropic-ai/sdk', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: '@google/generative-ai', provider: 'Google', category: 'llm-sdk' },
+            { name: '@google/genai', provider: 'Google', category: 'llm-sdk' },
+            { name: 'langchain', provider: 'LangChain', category: 'orchestration' },
+            { name: 'langchain-openai', provider: 'LangChain', category: 'orchestration' },
+            { name: 'langchain-anthropic', provider: 'LangChain', category: 'orchestration' },
+            { name: 'ai', provider: 'Vercel AI', category: 'llm-sdk' },
+            { name: 'llamaindex', provider: 'LlamaIndex', category: 'orchestration' },
+            { name: '@mistralai/mistralai', provider: 'Mistral', category: 'llm-sdk' },
+            { name: 'cohere-ai', provider: 'Cohere', category: 'llm-sdk' },
+            { name: 'replicate', provider: 'Replicate', category: 'llm-sdk' },
+            { name: '@huggingface/inference', provider: 'HuggingFace', category: 'llm-sdk' },
+            { name: '@pinecone-database/pinecone', provider: 'Pinecone', category: 'vector-store' },
+            { name: 'chromadb', provider: 'Chroma', category: 'vector-store' },
+            { name: 'weaviate-client', provider: 'Weaviate', category: 'vector-store' },
+            { name: 'qdrant-client', provider: 'Qdrant', category: 'vector-store' },
+            { name: 'vectordb', provider: 'LanceDB', category: 'vector-store' },
+            { name: 'promptfoo', provider: 'Promptfoo', category: 'eval' },
+            { name: 'langsmith', provider: 'LangChain', category: 'observability' },
+            { name: 'langfuse', provider: 'Langfuse', category: 'observability' }
+        ],
+        go: [
+            { name: 'github.com/sashabaranov/go-openai', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'github.com/openai/openai-go', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'google.golang.org/genai', provider: 'Google', category: 'llm-sdk' },
+            { name: 'github.com/anthropics/anthropic-sdk-go', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'github.com/google/generative-ai-go', provider: 'Google', category: 'llm-sdk' },
+            { name: 'github.com/tmc/langchaingo', provider: 'LangChain', category: 'orchestration' }
+        ],
+        java: [
+            { name: 'com.openai:openai-java', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'com.anthropic:anthropic-java', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'com.google.cloud:google-cloud-aiplatform', provider: 'Google', category: 'llm-sdk' },
+            { name: 'com.google.cloud:google-cloud-vertexai', provider: 'Google', category: 'llm-sdk' },
+            { name: 'com.google.genai:google-genai', provider: 'Google', category: 'llm-sdk' },
+            { name: 'dev.langchain4j:langchain4j', provider: 'LangChain4j', category: 'orchestration' }
+        ],
+        rust: [
+            { name: 'async-openai', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'anthropic-sdk', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'llm-chain', provider: 'llm-chain', category: 'orchestration' },
+            { name: 'openai-api-rs', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'langchain-rust', provider: 'LangChain', category: 'orchestration' },
+            { name: 'ollama-rs', provider: 'Ollama', category: 'llm-sdk' },
+            { name: 'rig-core', provider: 'Rig', category: 'orchestration' }
+        ],
+        ruby: [
+            { name: 'ruby-openai', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'openai', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'anthropic', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'ruby-anthropic', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'langchainrb', provider: 'LangChain', category: 'orchestration' },
+            { name: 'ruby_llm', provider: 'RubyLLM', category: 'llm-sdk' },
+            { name: 'gemini-ai', provider: 'Google', category: 'llm-sdk' }
+        ],
+        php: [
+            { name: 'openai-php/client', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'openai-php/laravel', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'mozex/anthropic-php', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'theodo-group/llphant', provider: 'LLPhant', category: 'orchestration' },
+            { name: 'google-gemini-php/client', provider: 'Google', category: 'llm-sdk' }
+        ],
+        // NuGet IDs; sub-packages (Microsoft.SemanticKernel.Connectors.OpenAI) match their listed prefix
+        dotnet: [
+            { name: 'Azure.AI.OpenAI', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'OpenAI', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'Anthropic.SDK', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'Microsoft.SemanticKernel', provider: 'Microsoft', category: 'orchestration' },
+            { name: 'Microsoft.Extensions.AI', provider: 'Microsoft', category: 'llm-sdk' },
+            { name: 'LLamaSharp', provider: 'llama.cpp', category: 'inference-runtime' },
+            { name: 'Mscc.GenerativeAI', provider: 'Google', category: 'llm-sdk' }
+        ],
+        // Swift packages are identified by their repository
+        swift: [
+            { name: 'github.com/MacPaw/OpenAI', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'github.com/jamesrochabrun/SwiftOpenAI', provider: 'OpenAI', category: 'llm-sdk' },
+            { name: 'github.com/jamesrochabrun/SwiftAnthropic', provider: 'Anthropic', category: 'llm-sdk' },
+            { name: 'github.com/google/generative-ai-swift', provider: 'Google', category: 'llm-sdk' }
+        ]
+    },
+    
+    // Call styles of SDKs whose API changed incompatibly, checked against the declared package version.
+    // pattern: matched per line, in files matching imports (when given); since / below (exclusive): package
+    // versions that support the style; family: styles of one SDK, including a successor package
+    // (google-generativeai -> google-genai); legacy: deprecated even where it still runs; severity: of a mismatch
+    sdkApiStyles: [
+        {
+            id: 'openai-python-v0', family: 'openai-python', language: 'python', package: 'openai', below: '1.0.0', legacy: true,
+            imports: /^\s*(?:import|from)\s+openai\b/m,
+            pattern: /\bopenai\.(?:ChatCompletion|Completion|Embedding|Image|Moderation|Edit|FineTune|Audio)\.a?create\s*\(|\bopenai\.error\.\w+/,
+            description: 'OpenAI v0 module-level API (openai.ChatCompletion.create, openai.error)',
+            migration: 'Create a client with OpenAI() and call client.chat.completions.create / client.embeddings.create; exceptions moved to openai.APIError and its subclasses. `openai migrate` rewrites most calls.'
+        },
+        {
+            id: 'openai-python-v1', family: 'openai-python', language: 'python', package: 'openai', since: '1.0.0',
+            imports: /^\s*(?:import|from)\s+openai\b/m,
+            pattern: /\b(?:Async)?(?:Azure)?OpenAI\s*\(|\.chat\.completions\.create\s*\(/,
+            description: 'OpenAI v1 client API (OpenAI().chat.completions.create)',
+            migration: 'Declare openai>=1.0.'
+        },
+        {
+            id: 'openai-node-v3', family: 'openai-node', language: 'javascript', package: 'openai', below: '4.0.0', legacy: true,
+            imports: /(?:from\s+|require\s*\(\s*)['"]openai['"]/,
+            pattern: /\bnew\s+(?:OpenAIApi|Configuration)\s*\(|\.create(?:Chat)?Completion\s*\(|\.create(?:Embedding|Image)\s*\(/,
+            description: 'OpenAI Node v3 API (new OpenAIApi(configuration).createChatCompletion)',
+            migration: 'Use new OpenAI({ apiKey }) and openai.chat.completions.create / openai.embeddings.create (openai v4).'
+        },
+        {
+            id: 'openai-node-v4', family: 'openai-node', language: 'javascript', package: 'openai', since: '4.0.0',
+            imports: /(?:from\s+|require\s*\(\s*)['"]openai['"]/,
+            pattern: /\bnew\s+OpenAI\s*\(|\.chat\.completions\.create\s*\(/,
+            description: 'OpenAI Node v4 client API (new OpenAI().chat.completions.create)',
+            migration: 'Declare openai@^4 or later.'
+        },
+        {
+            id: 'anthropic-python-v0', family: 'anthropic-python', language: 'python', package: 'anthropic', below: '0.3.0', legacy: true,
+            imports: /^\s*(?:import|from)\s+anthropic\b/m,
+            pattern: /\banthropic\.Client\s*\(|\.completion\s*\(\s*prompt\s*=/,
+            description: 'Anthropic pre-0.3 client (anthropic.Client().completion)',
+            migration: 'Create a client with anthropic.Anthropic() and call client.messages.create.'
+        },
+        {
+            id: 'anthropic-python-text-completions', family: 'anthropic-python', language: 'python', package: 'anthropic', legacy: true,
+            imports: /^\s*(?:import|from)\s+anthropic\b/m,
+            pattern: /\b(?:HUMAN_PROMPT|AI_PROMPT|max_tokens_to_sample)\b/,
+            description: 'Anthropic Text Completions API (completions.create with HUMAN_PROMPT / max_tokens_to_sample)',
+            migration: 'Call client.messages.create with a list of messages and max_tokens; Claude 3 and later models are only served by the Messages API.'
+        },
+        {
+            id: 'anthropic-python-messages', family: 'anthropic-python', language: 'python', package: 'anthropic', since: '0.8.0',
+            imports: /^\s*(?:import|from)\s+anthropic\b/m,
+            pattern: /\.messages\.(?:create|stream)\s*\(/,
+            description: 'Anthropic Messages API (client.messages.create)',
+            migration: 'Declare anthropic>=0.8.'
+        },
+        {
+            id: 'anthropic-node-text-completions', family: 'anthropic-node', language: 'javascript', package: '@anthropic-ai/sdk', legacy: true,
+            imports: /['"]@anthropic-ai\/sdk['"]/,
+            pattern: /\b(?:HUMAN_PROMPT|AI_PROMPT|max_tokens_to_sample)\b/,
+            description: 'Anthropic Text Completions API (completions.create with HUMAN_PROMPT / max_tokens_to_sample)',
+            migration: 'Call anthropic.messages.create with a list of messages and max_tokens; Claude 3 and later models are only served by the Messages API.'
+        },
+        {
+            id: 'anthropic-node-messages', family: 'anthropic-node', language: 'javascript', package: '@anthropic-ai/sdk', since: '0.12.0',
+            imports: /['"]@anthropic-ai\/sdk['"]/,
+            pattern: /\.messages\.(?:create|stream)\s*\(/,
+            description: 'Anthropic Messages API (anthropic.messages.create)',
+            migration: 'Declare @anthropic-ai/sdk@^0.12 or later.'
+        },
+        {
+            id: 'langchain-python-pre-0.1', family: 'langchain-python', language: 'python', package: 'langchain', below: '0.1.0', legacy: true, severity: 'medium',
+            // init_chat_model / init_embeddings are current helpers of these modules
+            pattern: /^[ \t]*from\s+langchain\.(?:llms|chat_models|embeddings|vectorstores|document_loaders|document_transformers|utilities|docstore|graphs)(?:\.\w+)*\s+import\s+(?!\(?\s*init_)/,
+            description: 'LangChain pre-0.1 integration import (from langchain.llms / langchain.chat_models ...)',
+            migration: 'Import integrations from their partner packages (langchain_openai, langchain_anthropic) or langchain_community; the old paths only resolve through deprecated shims.'
+        },
+        {
+            id: 'langchain-node-pre-0.1', family: 'langchain-node', language: 'javascript', package: 'langchain', below: '0.1.0', legacy: true, severity: 'medium',
+            pattern: /['"]langchain\/(?:llms|chat_models|embeddings|vectorstores|document_loaders)\/[\w-]+['"]/,
+            description: 'LangChain.js pre-0.1 integration import (langchain/llms/openai ...)',
+            migration: 'Import integrations from @langchain/openai, @langchain/anthropic or @langchain/community.'
+        },
+        {
+            id: 'google-generativeai', family: 'google-genai-python', language: 'python', package: 'google-generativeai', legacy: true,
+            pattern: /^[ \t]*(?:import\s+google\.generativeai\b|from\s+google\.generativeai\b|from\s+google\s+import\s+generativeai\b)/,
+            description: 'Legacy Google AI Python SDK (google.generativeai)',
+            migration: 'Install google-genai and use `from google import genai`: genai.Client().models.generate_content(...).'
+        },
+        {
+            id: 'google-genai', family: 'google-genai-python', language: 'python', package: 'google-genai',
+            pattern: /^[ \t]*(?:from\s+google\s+import\s+genai\b|import\s+google\.genai\b|from\s+google\.genai\b)/,
+            description: 'Google Gen AI Python SDK (google.genai)',
+            migration: 'Declare google-genai.'
+        },
+        {
+            id: 'google-generative-ai-node', family: 'google-genai-node', language: 'javascript', package: '@google/generative-ai', legacy: true,
+            pattern: /['"]@google\/generative-ai['"]/,
+            description: 'Legacy Google AI JavaScript SDK (@google/generative-ai)',
+            migration: 'Install @google/genai and use new GoogleGenAI({ apiKey }).models.generateContent(...).'
+        },
+        {
+            id: 'google-genai-node', family: 'google-genai-node', language: 'javascript', package: '@google/genai',
+            pattern: /['"]@google\/genai['"]/,
+            description: 'Google Gen AI JavaScript SDK (@google/genai)',
+            migration: 'Declare @google/genai.'
+        }
+    ],
+    
+    // LLM invocations whose arguments are read per call site (model, temperature, max tokens, top_p, streaming,
+    // tools, response format). pattern: the call up to its opening parenthesis; api: the call's name, replaced by
+    // the method or class the pattern captures (messages.stream, ChatAnthropic); positionalModel: the first
+    // positional argument is the model
+    llmCalls: [
+        { api: 'chat.completions.create', provider: 'OpenAI', languages: ['python', 'javascript'], pattern: /\.(chat\.completions\.(?:create|parse|stream))\s*\(/ },
+        { api: 'ChatCompletion.create', provider: 'OpenAI', languages: ['python'], pattern: /\bopenai\.(ChatCompletion\.a?create)\s*\(/ },
+        { api: 'responses.create', provider: 'OpenAI', languages: ['python', 'javascript'], pattern: /\.(responses\.(?:create|parse|stream))\s*\(/ },
+        { api: 'messages.create', provider: 'Anthropic', languages: ['python', 'javascript'], pattern: /\.(messages\.(?:create|stream))\s*\(/ },
+        { api: 'generate_content', provider: 'Google', languages: ['python'], pattern: /\.(generate_content(?:_stream)?)\s*\(/ },
+        { api: 'generateContent', provider: 'Google', languages: ['javascript'], pattern: /\.(generateContent(?:Stream)?)\s*\(/ },
+        { api: 'GenerativeModel', provider: 'Google', languages: ['python'], pattern: /\bGenerativeModel\s*\(/, positionalModel: true },
+        { api: 'getGenerativeModel', provider: 'Google', languages: ['javascript'], pattern: /\.getGenerativeModel\s*\(/ },
+        {
+            api: 'LangChain chat model', provider: 'LangChain', languages: ['python', 'javascript'],
+            pattern: /\b(ChatOpenAI|AzureChatOpenAI|ChatAnthropic|ChatGoogleGenerativeAI|ChatVertexAI|ChatMistralAI|ChatCohere|ChatGroq|ChatOllama|ChatBedrock(?:Converse)?|ChatFireworks|ChatTogether|ChatDeepSeek|ChatXAI)\s*\(/
+        }
+    ]
+};
@@ -9,14 +9,14 @@ function calculateScore(findings) {
  */
 function mergeDependencyAndCodeFindings(findings, repoMeta) {
     const merged = [];
-    const dependencyMap = new Map(); // package name -> dependency finding
-    const codeMap = new Map(); // package name -> code findings
+    const dependencyMap = new Map(); // dependency finding id -> dependency finding
+    const codeMap = new Map(); // dependency finding id -> code findings
     
     // First pass: collect all dependency findings
+    // (keyed by id: the same package name can be declared in several ecosystems, e.g. pip and npm "openai")
     findings.forEach(finding => {
         if (finding.category === 'dependencies' && finding.dependencyInfo) {
-            const pkgName = finding.dependencyInfo.name.toLowerCase();
-            dependencyMap.set(pkgName, finding);
+            dependencyMap.set(finding.id, finding);
         }
     });
     
@@ -31,9 +31,12 @@ function mergeDependencyAndCodeFindings(findings, repoMeta) {
                 return; // Don't match compatible API endpoints to SDK dependencies
             }
             
+            // LLM calls without an identified model keep their own finding and call sites
+            if (finding.callSites) return;
+            
             // Try to match against all dependency names
-            dependencyMap.forEach((depFinding, depPkgName) => {
-                const depNameLower = depPkgName.toLowerCase();
+            dependencyMap.forEach((depFinding, depId) => {
+                const depNameLower = depFinding.dependencyInfo.name.toLowerCase();
                 
                 // Match if code finding title mentions the package name
                 // e.g., "LangChain SDK Usage" matches "langchain", "langchain-google-genai"
@@ -52,10 +55,10 @@ function mergeDependencyAndCodeFindings(findings, repoMeta) {
                     (title.includes('litellm') && depNameLower.includes('litellm'));
                 
                 if (matches) {
-                    if (!codeMap.has(depPkgName)) {
-                        codeMap.set(depPkgName, []);
+                    if (!codeMap.has(depId)) {
+                        codeMap.set(depId, []);
                     }
-                    codeMap.get(depPkgName).push(finding);
+                    codeMap.get(depId).push(finding);
                 }
             });
         }
@@ -65,8 +68,8 @@ function mergeDependencyAndCodeFindings(findings, repoMeta) {
     const processedDeps = new Set();
     const processedCode = new Set();
     
-    dependencyMap.forEach((depFinding, pkgName) => {
-        const codeFindings = codeMap.get(pkgName) || [];
+    dependencyMap.forEach((depFinding, depId) => {
+        const codeFindings = codeMap.get(depId) || [];
         
         if (codeFindings.length > 0) {
             // Merge: Create unified finding
@@ -91,12 +94,12 @@ function mergeDependencyAndCodeFindings(findings, repoMeta) {
             };
             
             merged.push(mergedFinding);
-            processedDeps.add(pkgName);
+            processedDeps.add(depId);
             codeFindings.forEach(cf => processedCode.add(cf.id));
         } else {
             // No code usage found, keep dependency finding as-is
             merged.push(depFinding);
-            processedDeps.add(pkgName);
+            processedDeps.add(depId);
         }
     });
     
@@ -125,6 +128,48 @@ function getConfidenceLevel(score) {
     }
 }
 
+// Nesting depth for scanning submodules of submodules
+const SUBMODULE_MAX_DEPTH = 2;
+
+/**
+ * Scan a source's submodules at their pinned commits
+ * Only submodules the source can load (GitHub-hosted on the same host) are scanned, and only with
+ * scanOptions.recurseSubmodules; all others are still listed with their pinned SHA.
+ * @returns {Promise<Array>} One entry per submodule: {path, name, url, sha, owner, repo, status, result, error}
+ */
+async function analyzeSubmodules(input, scanOptions, onProgress) {
+    const depth = scanOptions.submoduleDepth || 0;
+    const results = [];
+    
+    for (const submodule of input.submodules || []) {
+        const entry = { ...submodule, status: 'listed', result: null, error: null };
+        results.push(entry);
+        
+        const canScan = scanOptions.recurseSubmodules && input.loadSubmoduleSource && submodule.owner;
+        if (!canScan) continue;
+        if (depth >= SUBMODULE_MAX_DEPTH) {
+            console.log(`[Analyzer] Submodule ${submodule.path} not scanned (nesting depth ${SUBMODULE_MAX_DEPTH} reached)`);
+            continue;
+        }
+        
+        try {
+            console.log(`\n[Analyzer] 📦 Scanning submodule ${submodule.path} (${submodule.owner}/${submodule.repo} @ ${submodule.sha.substring(0, 7)})...`);
+            const source = await input.loadSubmoduleSource(submodule);
+            entry.result = await analyzeRepository(
+                { ...source, scanOptions: { ...scanOptions, submoduleDepth: depth + 1 } },
+                onProgress && ((progress) => onProgress({ ...progress, message: `${submodule.path}: ${progress.message}` }))
+            );
+            entry.status = 'scanned';
+        } catch (error) {
+            console.warn(`[Analyzer] ⚠️  Could not scan submodule ${submodule.path}: ${error.message}`);
+            entry.status = 'error';
+            entry.error = error.message;
+        }
+    }
+    
+    return results;
+}
+
 // ============================================================================
 // ANALYZER
 // ============================================================================
@@ -140,7 +185,14 @@ async function analyzeRepository(input, onProgress = null) {
     console.log('='.repeat(80));
     
     const { repoMeta, tree, getFileContent, owner, repo, token } = input;
-    const detectorInput = { repoMeta, tree, getFileContent, owner, repo, token };
+    // scanOptions tune detector behaviour per scan (e.g. batch mode disabling Code Search)
+    const scanOptions = input.scanOptions || {};
+    const detectorInput = { repoMeta, tree, getFileContent, owner, repo, token, scanOptions };
+    
+    // Product license for the BOM and the license compatibility checks: API metadata, else the root license file
+    if (!repoMeta.license) {
+        Object.assign(repoMeta, await detectRepositoryLicense(tree, getFileContent));
+    }
     
     const detectors = [
         { name: 'Dependencies', fn: dependenciesDetector }, // Run SBOM first to know what's installed
@@ -151,6 +203,7 @@ async function analyzeRepository(input, onProgress = null) {
         { name: 'CI/CD', fn: ciDetector },
         { name: 'Model Files', fn: modelsDetector },
         { name: 'Prompts', fn: promptsDetector },
+        { name: 'Legacy SDK APIs', fn: legacyApiDetector, needsAllFindings: true }, // Needs declared SDK versions
         { name: 'Hardware', fn: hardwareDetector, needsAllFindings: true },
         { name: 'Infrastructure', fn: infrastructureDetector, needsAllFindings: true },
         { name: 'Documentation', fn: documentationParser, isParser: true }, // Parser, not detector
@@ -162,6 +215,7 @@ async function analyzeRepository(input, onProgress = null) {
     let codeResumeState = null;
     let codeDetectorPaused = false;
     let aiFilesFound = []; // Track files with AI usage
+    let callSites = []; // LLM call sites found by the Code detector
     let sbomAvailable = false; // Track if SBOM was successfully retrieved
     let detectedDependencies = []; // Track what dependencies were found
     let parsedDocs = null; // Track parsed documentation for risk detector
@@ -185,9 +239,9 @@ async function analyzeRepository(input, onProgress = null) {
             // Build detector input with context from previous detectors
             let input = { ...detectorInput };
             
-            // Pass aiFilesFound and allFindings to detectors that need it
+            // Pass aiFilesFound, callSites and allFindings to detectors that need it
             if (detector.needsAIFiles) {
-                input = { ...input, aiFilesFound, allFindings };
+                input = { ...input, aiFilesFound, callSites, allFindings };
             }
             
             // Pass SBOM info and dependencies to Code detector for targeted search
@@ -223,6 +277,9 @@ async function analyzeRepository(input, onProgress = null) {
                     aiFilesFound = result.aiFilesFound;
                     console.log(`[Analyzer] 📁 Captured ${aiFilesFound.length} files with AI usage for later analysis`);
                 }
+                if (result.callSites) {
+                    callSites = result.callSites;
+                }
                 
                 // Capture SBOM availability from Dependencies detector
                 if (detector.name === 'Dependencies' && result.sbomAvailable !== undefined) {
@@ -317,6 +374,8 @@ async function analyzeRepository(input, onProgress = null) {
         console.log(`[Analyzer] ✓ Merged ${mergeCount} duplicate findings (dependency + code usage)`);
     }
     
+    const submodules = await analyzeSubmodules(input, scanOptions, onProgress);
+    
     const score = calculateScore(mergedFindings);
     const confidence = getConfidenceLevel(score);
     
@@ -337,8 +396,17 @@ async function analyzeRepository(input, onProgress = null) {
     console.log('-'.repeat(80));
     console.log('[Analyzer] 📊 RESULTS SUMMARY');
     console.log(`[Analyzer]   Repository:    ${input.repoMeta.fullName}`);
-    console.log(`[Analyzer]   Total Files:   ${tree.length.toLocaleString()}`);
+    console.log(`[Analyzer]   Total Files:   ${tree.length.toLocaleString()}${input.inventory && !input.inventory.complete ? ' (incomplete inventory)' : ''}`);
+    if (getFileContent.stats) {
+        console.log(`[Analyzer]   File Content:  ${getFileContent.stats.requests} requests, ${getFileContent.stats.cacheHits} from blob cache`);
+    }
+    if (getFileContent.skipped?.length > 0) {
+        console.log(`[Analyzer]   Skipped Files: ${getFileContent.skipped.length} (binary, oversized or unreadable)`);
+    }
     console.log(`[Analyzer]   Total Findings: ${mergedFindings.length}${mergeCount > 0 ? ` (${mergeCount} merged)` : ''}`);
+    if (submodules.length > 0) {
+        console.log(`[Analyzer]   Submodules:    ${submodules.length} (${submodules.filter(s => s.status === 'scanned').length} scanned)`);
+    }
     console.log(`[Analyzer]   Score:         ${score} (${confidence.label})`);
     console.log(`[Analyzer]   Confidence:    ${confidence.description}`);
     console.log('-'.repeat(80));
@@ -371,10 +439,31 @@ async function analyzeRepository(input, onProgress = null) {
             repo: input.repo,
             fullName: repoMeta.fullName,
             htmlUrl: repoMeta.htmlUrl,
+            platform: repoMeta.platform || 'github',
+            host: repoMeta.host || null,
+            defaultBranch: repoMeta.defaultBranch,
+            ref: repoMeta.ref || null,
+            refName: repoMeta.refName || null,
+            refKind: repoMeta.refKind || null,
+            subPath: repoMeta.subPath || null,
             description: repoMeta.description,
             topics: repoMeta.topics,
-            languages: repoMeta.languages
+            languages: repoMeta.languages,
+            license: repoMeta.license || null,
+            licenseSource: repoMeta.licenseSource || null
+        },
+        // Whether the file tree covered the whole repository (GitHub truncates very large trees)
+        inventory: {
+            complete: input.inventory ? input.inventory.complete : true,
+            truncated: input.inventory?.truncated || false,
+            method: input.inventory?.method || 'full',
+            fileCount: tree.length,
+            skippedDirectories: input.inventory?.skippedDirectories || [],
+            // Files that were listed but whose content was never inspected (binary, oversized, unreadable)
+            skippedFiles: [...(getFileContent.skipped || [])].sort((a, b) => a.path.localeCompare(b.path))
         },
+        // Submodules pinned by this commit; scanned ones carry their own analysis result
+        submodules,
         parsedDocs: parsedDocs, // Include parsed documentation for BOM generation
         analyzedAt: new Date().toISOString()
     };
@@ -0,0 +1,354 @@
+// Archive readers (ZIP, tar, tar.gz) for offline local analysis
+// Entries are indexed up front and decompressed lazily when a detector asks for the content
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * Detect the archive type from the file name, falling back to magic bytes
+ * @param {string} fileName - Archive file name
+ * @param {Uint8Array} bytes - Archive bytes (only the first few are inspected)
+ * @returns {string|null} 'zip', 'tar', 'tar.gz' or null when unsupported
+ */
+function detectArchiveType(fileName, bytes) {
+    const lower = (fileName || '').toLowerCase();
+    if (lower.endsWith('.zip')) return 'zip';
+    if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+    if (lower.endsWith('.tar')) return 'tar';
+    
+    if (bytes && bytes.length >= 4) {
+        if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) return 'zip';
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'tar.gz';
+        if (bytes.length > 262 && readAscii(bytes, 257, 5) === 'ustar') return 'tar';
+    }
+    return null;
+}
+
+function isArchiveFileName(fileName) {
+    return /\.(zip|tar|tar\.gz|tgz)$/i.test(fileName || '');
+}
+
+/**
+ * Read an archive into a list of file entries
+ * @param {string} fileName - Archive file name (used to pick the format)
+ * @param {ArrayBuffer|Uint8Array} data - Archive bytes
+ * @returns {Promise<Array<{path: string, size: number, read: function(): Promise<Uint8Array>}>>}
+ */
+async function readArchiveEntries(fileName, data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const type = detectArchiveType(fileName, bytes);
+    
+    console.log(`[Archive] Reading ${fileName} as ${type || 'unknown format'} (${(bytes.length / 1024 / 1024).toFixed(2)} MB)`);
+    
+    if (type === 'zip') return readZipEntries(bytes);
+    if (type === 'tar') return readTarEntries(bytes);
+    if (type === 'tar.gz') return readTarEntries(await decompressBytes(bytes, 'gzip'));
+    
+    throw new Error(`Unsupported archive format: ${fileName}. Use .zip, .tar or .tar.gz`);
+}
+
+async function decompressBytes(bytes, format) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser does not support DecompressionStream; compressed archives cannot be read.');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function readAscii(bytes, offset, length) {
+    let result = '';
+    for (let i = offset; i < offset + length && i < bytes.length; i++) {
+        if (bytes[i] === 0) break;
+        result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    // End of central directory record is at the end, followed by an optional comment (max 65535 bytes)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === ZIP_EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Invalid ZIP file: end of central directory not found');
+    
+    let entryCount = view.getUint16(eocd + 10, true);
+    let directoryOffset = view.getUint32(eocd + 16, true);
+    
+    // ZIP64: counts and offsets overflow into the ZIP64 end of central directory record
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        const locator = eocd - 20;
+        if (locator >= 0 && view.getUint32(locator, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+            const zip64Eocd = Number(view.getBigUint64(locator + 8, true));
+            if (view.getUint32(zip64Eocd, true) === ZIP64_EOCD_SIGNATURE) {
+                entryCount = Number(view.getBigUint64(zip64Eocd + 32, true));
+                directoryOffset = Number(view.getBigUint64(zip64Eocd + 48, true));
+            }
+        }
+    }
+    
+    const decoder = new TextDecoder('utf-8');
+    const entries = [];
+    let offset = directoryOffset;
+    
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Invalid ZIP file: corrupt central directory');
+        }
+        
+        const method = view.getUint16(offset + 10, true);
+        let compressedSize = view.getUint32(offset + 20, true);
+        let size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        let localHeaderOffset = view.getUint32(offset + 42, true);
+        const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        
+        // ZIP64 extended information extra field (0x0001) holds the overflowed values in order
+        let extra = offset + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const headerId = view.getUint16(extra, true);
+            const dataSize = view.getUint16(extra + 2, true);
+            if (headerId === 0x0001) {
+                let field = extra + 4;
+                if (size === 0xffffffff) { size = Number(view.getBigUint64(field, true)); field += 8; }
+                if (compressedSize === 0xffffffff) { compressedSize = Number(view.getBigUint64(field, true)); field += 8; }
+                if (localHeaderOffset === 0xffffffff) { localHeaderOffset = Number(view.getBigUint64(field, true)); }
+            }
+            extra += 4 + dataSize;
+        }
+        
+        offset = extraEnd + commentLength;
+        
+        if (path.endsWith('/')) continue; // Directory entry
+        
+        entries.push({
+            path,
+            size,
+            read: async () => {
+                if (view.getUint32(localHeaderOffset, true) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+                    throw new Error(`Invalid ZIP file: bad local header for ${path}`);
+                }
+                const localNameLength = view.getUint16(localHeaderOffset + 26, true);
+                const localExtraLength = view.getUint16(localHeaderOffset + 28, true);
+                const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+                const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+                
+                if (method === 0) return compressed;
+                if (method === 8) return decompressBytes(compressed, 'deflate-raw');
+                throw new Error(`Unsupported ZIP compression method ${method} for ${path}`);
+            }
+        });
+    }
+    
+    console.log(`[Archive] ✓ ZIP central directory read: ${entries.length} files`);
+    return entries;
+}
+
+// ============================================================================
+// TAR (ustar, GNU long names, pax extended headers)
+// ============================================================================
+
+function parseTarNumber(bytes, offset, length) {
+    // GNU base-256 encoding for large values: high bit of the first byte is set
+    if (bytes[offset] & 0x80) {
+        let value = bytes[offset] & 0x7f;
+        for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+        return value;
+    }
+    const text = readAscii(bytes, offset, length).trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function parsePaxHeaders(text) {
+    // Records are "<length> <key>=<value>\n"
+    const headers = {};
+    let position = 0;
+    while (position < text.length) {
+        const space = text.indexOf(' ', position);
+        if (space < 0) break;
+        const recordLength = parseInt(text.substring(position, space), 10);
+        if (!recordLength) break;
+        const record = text.substring(space + 1, position + recordLength - 1);
+        const equals = record.indexOf('=');
+        if (equals > 0) headers[record.substring(0, equals)] = record.substring(equals + 1);
+        position += recordLength;
+    }
+    return headers;
+}
+
+function readTarEntries(bytes) {
+    const decoder = new TextDecoder('utf-8');
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+    let paxHeaders = {};
+    
+    while (offset + 512 <= bytes.length) {
+        const header = bytes.subarray(offset, offset + 512);
+        // Two consecutive zero blocks mark the end; one is enough to stop
+        if (header.every(b => b === 0)) break;
+        
+        // Pre-POSIX archives mark regular files with a NUL type flag instead of '0'
+        const typeFlag = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+        // A pending pax "size" record overrides the header field (used for files over 8 GB)
+        const size = paxHeaders.size && !'Lxg'.includes(typeFlag)
+            ? parseInt(paxHeaders.size, 10)
+            : parseTarNumber(header, 124, 12);
+        const dataStart = offset + 512;
+        const data = bytes.subarray(dataStart, dataStart + size);
+        offset = dataStart + Math.ceil(size / 512) * 512;
+        
+        if (typeFlag === 'L') {
+            longName = decoder.decode(data).replace(/\0+$/, '');
+            continue;
+        }
+        if (typeFlag === 'x') {
+            paxHeaders = parsePaxHeaders(decoder.decode(data));
+            continue;
+        }
+        // Global headers (e.g. git archive's comment) carry no per-entry path or linkpath
+        if (typeFlag === 'g') {
+            continue;
+        }
+        
+        let path = longName || paxHeaders.path;
+        if (!path) {
+            const name = decoder.decode(header.subarray(0, 100)).replace(/\0.*$/s, '');
+            const prefix = readAscii(header, 257, 5) === 'ustar'
+                ? decoder.decode(header.subarray(345, 500)).replace(/\0.*$/s, '')
+                : '';
+            path = prefix ? `${prefix}/${name}` : name;
+        }
+        longName = null;
+        paxHeaders = {};
+        
+        // Regular and contiguous files only; directories, links and devices carry no content
+        if (typeFlag !== '0' && typeFlag !== '7') continue;
+        
+        path = path.replace(/^\.\//, '');
+        if (!path || path.endsWith('/')) continue;
+        
+        entries.push({
+            path,
+            size,
+            read: async () => data
+        });
+    }
+    
+    console.log(`[Archive] ✓ TAR read: ${entries.length} files`);
+    return entries;
+}
+
+// ============================================================================
+// ZIP WRITER (for downloadable BOM bundles)
+// ============================================================================
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function compressBytes(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Create a ZIP archive from in-memory files
+ * Files are deflated when the browser supports CompressionStream, otherwise stored
+ * @param {Array<{path: string, content: string|Uint8Array}>} files - Files to add
+ * @returns {Promise<Uint8Array>} ZIP archive bytes
+ */
+async function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const file of files) {
+        const name = encoder.encode(file.path);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const checksum = crc32(data);
+        const compressed = canDeflate ? await compressBytes(data) : data;
+        const method = canDeflate ? 8 : 0;
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, 20, true);            // Version needed
+        local.setUint16(6, 0x0800, true);        // UTF-8 file names
+        local.setUint16(8, method, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, compressed.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, ZIP_CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, 20, true);          // Version made by
+        central.setUint16(6, 20, true);          // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, compressed.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        
+        localParts.push(new Uint8Array(local.buffer), name, compressed);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + compressed.length;
+    }
+    
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, ZIP_EOCD_SIGNATURE, true);
+    eocd.setUint16(8, files.length, true);
+    eocd.setUint16(10, files.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(eocd.buffer)];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        archive.set(part, position);
+        position += part.length;
+    }
+    return archive;
+}
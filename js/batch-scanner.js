@@ -0,0 +1,197 @@
+// Batch scanning: analyze every repository of a GitHub organization or user
+// Repositories are scanned one at a time against a shared rate-limit budget, then
+// aggregated into a provider / model / library inventory and a downloadable BOM bundle.
+
+// Core API requests kept in reserve before starting the next repository
+const BATCH_CORE_RESERVE = 150;
+// Longest wait for a rate-limit reset before the remaining repositories are skipped
+const BATCH_MAX_RESET_WAIT_MS = 15 * 60 * 1000;
+
+/**
+ * Apply batch filters to a repository listing
+ * @param {Array} repos - Output of listOwnerRepositories
+ * @param {Object} filters - { includeArchived, includeForks, topics: string[], language }
+ * @returns {Array} Repositories to scan
+ */
+function filterBatchRepositories(repos, filters = {}) {
+    const topics = (filters.topics || []).map(t => t.toLowerCase());
+    const language = (filters.language || '').toLowerCase();
+    
+    return repos.filter(repo => {
+        if (repo.archived && !filters.includeArchived) return false;
+        if (repo.fork && !filters.includeForks) return false;
+        if (topics.length > 0 && !topics.some(t => repo.topics.includes(t))) return false;
+        if (language && (repo.language || '').toLowerCase() !== language) return false;
+        return true;
+    });
+}
+
+async function waitForBatchBudget(token, onProgress, shouldCancel) {
+    const budget = await fetchRateLimit(token);
+    // No budget information (e.g. rate limiting disabled on GitHub Enterprise Server): keep going
+    if (!budget?.core || budget.core.remaining >= BATCH_CORE_RESERVE) return true;
+    
+    const waitMs = budget.core.resetTime - new Date();
+    if (waitMs > BATCH_MAX_RESET_WAIT_MS) {
+        console.warn(`[Batch] ⚠️  Rate limit budget exhausted (${budget.core.remaining} left), reset in ${Math.ceil(waitMs / 60000)} minutes - stopping`);
+        return false;
+    }
+    
+    console.log(`[Batch] ⏳ ${budget.core.remaining} requests left, waiting ${Math.ceil(waitMs / 1000)}s for rate limit reset...`);
+    const until = Date.now() + waitMs + 1000;
+    while (Date.now() < until) {
+        if (shouldCancel()) return false;
+        onProgress({ message: `Waiting ${Math.ceil((until - Date.now()) / 1000)}s for rate limit reset...` });
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return true;
+}
+
+/**
+ * Run analyzeRepository over a list of repositories sequentially
+ * @param {Object} options
+ * @param {Array} options.repos - Repositories to scan (from listOwnerRepositories)
+ * @param {string} options.token - GitHub token
+ * @param {Object} options.scanOptions - Passed to analyzeRepository for every repository
+ * @param {function} options.onProgress - Progress callback ({ index, total, repo, message })
+ * @param {function} options.shouldCancel - Returns true to stop after the current repository
+ * @returns {Promise<Array>} One entry per repository: { repo, status, result, error }
+ */
+async function runBatchScan({ repos, token, scanOptions = {}, onProgress = () => {}, shouldCancel = () => false }) {
+    const results = [];
+    const startTime = performance.now();
+    
+    console.log('\n' + '='.repeat(80));
+    console.log(`[Batch] Starting batch scan of ${repos.length} repositories`);
+    console.log('='.repeat(80));
+    
+    for (let i = 0; i < repos.length; i++) {
+        const repoInfo = repos[i];
+        const progress = (message) => onProgress({ index: i + 1, total: repos.length, repo: repoInfo.fullName, message });
+        
+        if (shouldCancel()) {
+            results.push(...repos.slice(i).map(r => ({ repo: r, status: 'skipped', error: 'Cancelled' })));
+            break;
+        }
+        
+        const hasBudget = await waitForBatchBudget(token, progress, shouldCancel);
+        if (!hasBudget) {
+            const reason = shouldCancel() ? 'Cancelled' : 'Rate limit budget exhausted';
+            results.push(...repos.slice(i).map(r => ({ repo: r, status: 'skipped', error: reason })));
+            break;
+        }
+        
+        if (repoInfo.size === 0) {
+            console.log(`[Batch] [${i + 1}/${repos.length}] ${repoInfo.fullName} is empty, skipping`);
+            results.push({ repo: repoInfo, status: 'skipped', error: 'Empty repository' });
+            continue;
+        }
+        
+        try {
+            console.log(`\n[Batch] [${i + 1}/${repos.length}] Scanning ${repoInfo.fullName}...`);
+            progress('Loading repository...');
+            const source = await loadGitHubSource({ owner: repoInfo.owner, repo: repoInfo.name }, token, progress);
+            const result = await analyzeRepository(
+                { ...source, scanOptions },
+                (p) => progress(`${p.message} (${p.step}/${p.total})`)
+            );
+            results.push({ repo: repoInfo, status: 'done', result });
+            console.log(`[Batch] ✓ ${repoInfo.fullName}: ${result.findings.length} findings`);
+        } catch (error) {
+            console.error(`[Batch] ❌ ${repoInfo.fullName}: ${error.message}`);
+            results.push({ repo: repoInfo, status: 'error', error: error.message });
+        }
+    }
+    
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
+    const done = results.filter(r => r.status === 'done').length;
+    console.log(`\n[Batch] 🎉 Batch complete in ${elapsed}s: ${done} scanned, ${results.length - done} skipped/failed`);
+    return results;
+}
+
+/**
+ * Aggregate batch results into "which providers, models and libraries appear in which repos"
+ * @param {Array} batchResults - Output of runBatchScan
+ * @returns {{providers: Object, models: Object, libraries: Object, repositories: Array}}
+ */
+function buildAggregateInventory(batchResults) {
+    const providers = {};
+    const models = {};
+    const libraries = {};
+    const addRepo = (map, key, repoName) => {
+        if (!map[key]) map[key] = [];
+        if (!map[key].includes(repoName)) map[key].push(repoName);
+    };
+    
+    batchResults.forEach(({ repo, status, result }) => {
+        if (status !== 'done') return;
+        const findings = result.findings;
+        
+        detectProvidersInUse(findings).forEach(provider => addRepo(providers, provider, repo.fullName));
+        
+        findings.forEach(finding => {
+            if (finding.modelInfo?.modelName) {
+                const key = finding.modelInfo.provider
+                    ? `${finding.modelInfo.provider}: ${finding.modelInfo.modelName}`
+                    : finding.modelInfo.modelName;
+                addRepo(models, key, repo.fullName);
+                if (finding.modelInfo.provider) addRepo(providers, finding.modelInfo.provider, repo.fullName);
+            }
+            if (finding.dependencyInfo?.name) {
+                const key = `${finding.dependencyInfo.ecosystem || 'unknown'}:${finding.dependencyInfo.name}`;
+                addRepo(libraries, key, repo.fullName);
+            }
+        });
+    });
+    
+    const sortByUsage = (map) => Object.fromEntries(
+        Object.entries(map).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    );
+    
+    return {
+        providers: sortByUsage(providers),
+        models: sortByUsage(models),
+        libraries: sortByUsage(libraries),
+        repositories: batchResults.map(({ repo, status, result, error }) => ({
+            fullName: repo.fullName,
+            status,
+            findings: result ? result.findings.length : 0,
+            commit: result?.repository.ref || null,
+            inventoryComplete: result ? result.inventory.complete : null,
+            error: error || null
+        }))
+    };
+}
+
+/**
+ * Build a ZIP bundle with every repository's BOMs plus the aggregate inventory
+ * @param {string} owner - Organization or user that was scanned
+ * @param {Array} batchResults - Output of runBatchScan
+ * @returns {Promise<Uint8Array>} ZIP archive bytes
+ */
+async function createBatchBOMBundle(owner, batchResults) {
+    const files = [];
+    
+    for (const { repo, status, result } of batchResults) {
+        if (status !== 'done' || result.findings.length === 0) continue;
+        const dir = repo.name;
+        try {
+            files.push({ path: `${dir}/${repo.name}-aibom-cyclonedx.json`, content: generateCycloneDXJson(result, result.findings) });
+            files.push({ path: `${dir}/${repo.name}-aibom-cyclonedx.xml`, content: generateCycloneDXXml(result, result.findings) });
+            files.push({ path: `${dir}/${repo.name}-aibom-spdx.json`, content: generateSPDX(result, result.findings) });
+            files.push({ path: `${dir}/${repo.name}-aibom-extended-aibom.json`, content: generateExtendedAIBOM(result, result.findings) });
+        } catch (error) {
+            console.error(`[Batch] ❌ Could not generate BOMs for ${repo.fullName}:`, error);
+        }
+    }
+    
+    const inventory = {
+        owner,
+        generatedAt: new Date().toISOString(),
+        ...buildAggregateInventory(batchResults)
+    };
+    files.push({ path: 'aggregate-inventory.json', content: JSON.stringify(inventory, null, 2) });
+    
+    console.log(`[Batch] Creating BOM bundle with ${files.length} files...`);
+    return createZipArchive(files);
+}
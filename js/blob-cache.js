@@ -0,0 +1,263 @@
+// Persistent file content cache backed by IndexedDB
+// Git blob SHAs identify file content exactly, so cached content is shared across
+// repositories, refs, platforms and browser sessions. Repeat scans of unchanged files
+// cost no content requests.
+// The same database keeps ETag / Last-Modified validators and bodies of API responses
+// so metadata, tree and search calls can be sent as conditional requests.
+
+const BLOB_CACHE_DB_NAME = 'aibom-blob-cache';
+const BLOB_CACHE_DB_VERSION = 3;
+// Total content kept in the cache (blobs and API response bodies); least recently used entries are evicted beyond this
+const BLOB_CACHE_MAX_BYTES = 100 * 1024 * 1024;
+// Pruning stops once the cache is back under this share of the limit
+const BLOB_CACHE_PRUNE_TARGET = 0.8;
+// Larger files are not worth caching (detectors only read the first part of big files)
+const BLOB_CACHE_MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+// Largest API response body kept for conditional requests (big monorepo trees are skipped)
+const RESPONSE_CACHE_MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+let blobCacheDbPromise = null;
+let blobCacheTotalBytes = 0;
+let blobCachePruning = false;
+
+// Size counted for a binary marker ({binary: true, size}), which stands in for content that is never read
+const BINARY_BLOB_MARKER_BYTES = 64;
+
+// Bytes an entry in "blobs" counts towards the cache size: content, or a binary marker
+function getBlobEntrySize(value) {
+    return typeof value === 'string' ? value.length : BINARY_BLOB_MARKER_BYTES;
+}
+
+// Key of an API response in "entries", which otherwise holds blob SHAs
+function getResponseEntryKey(key) {
+    return `response:${key}`;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Open (once) the cache database
+ * Content lives in "blobs" and API responses in "responses"; "entries" holds {sha, size, lastUsed, store}
+ * for both (store: 'responses' for responses) so size accounting and eviction never load content.
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable (private mode, old browsers)
+ */
+function openBlobCache() {
+    if (blobCacheDbPromise) return blobCacheDbPromise;
+    
+    blobCacheDbPromise = (async () => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('[Blob Cache] IndexedDB not available - content is cached for this scan only');
+            return null;
+        }
+        try {
+            const request = indexedDB.open(BLOB_CACHE_DB_NAME, BLOB_CACHE_DB_VERSION);
+            request.onupgradeneeded = event => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('blobs')) db.createObjectStore('blobs');
+                if (!db.objectStoreNames.contains('entries')) db.createObjectStore('entries', { keyPath: 'sha' });
+                if (!db.objectStoreNames.contains('responses')) {
+                    db.createObjectStore('responses', { keyPath: 'key' });
+                } else if (event.oldVersion < 3) {
+                    // Responses stored before version 3 have no entry and would never be evicted
+                    request.transaction.objectStore('responses').clear();
+                }
+            };
+            const db = await idbRequest(request);
+            
+            const entries = await idbRequest(db.transaction('entries').objectStore('entries').getAll());
+            blobCacheTotalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+            const responses = entries.filter(e => e.store === 'responses').length;
+            console.log(`[Blob Cache] Opened: ${entries.length - responses} blobs, ${responses} API responses, ${(blobCacheTotalBytes / 1024 / 1024).toFixed(2)} MB`);
+            return db;
+        } catch (error) {
+            console.warn('[Blob Cache] Could not open IndexedDB:', error?.message || error);
+            return null;
+        }
+    })();
+    return blobCacheDbPromise;
+}
+
+/**
+ * Look up cached content by git blob SHA
+ * @returns {Promise<string|{binary: true, size: number|null}|undefined>} Content, a marker for a blob
+ *   known to be binary (putCachedBinaryBlob), or undefined on a cache miss
+ */
+async function getCachedBlob(sha) {
+    const db = await openBlobCache();
+    if (!db || !sha) return undefined;
+    
+    try {
+        const transaction = db.transaction(['blobs', 'entries'], 'readwrite');
+        const content = await idbRequest(transaction.objectStore('blobs').get(sha));
+        if (content === undefined) return undefined;
+        // Touch the entry so frequently shared files (LICENSE, configs) survive eviction
+        transaction.objectStore('entries').put({ sha, size: getBlobEntrySize(content), lastUsed: Date.now() });
+        return content;
+    } catch (error) {
+        console.warn(`[Blob Cache] Read failed for ${sha}:`, error?.message || error);
+        return undefined;
+    }
+}
+
+/**
+ * Store content under its git blob SHA
+ */
+async function putCachedBlob(sha, content) {
+    if (!sha || typeof content !== 'string' || content.length > BLOB_CACHE_MAX_ENTRY_BYTES) return;
+    await storeBlob(sha, content);
+}
+
+/**
+ * Remember that a blob is binary, so later scans skip it without downloading it again
+ * @param {number|null} size - Blob size when known
+ */
+async function putCachedBinaryBlob(sha, size = null) {
+    if (!sha) return;
+    await storeBlob(sha, { binary: true, size });
+}
+
+// Write a blobs entry and count it towards the cache size
+async function storeBlob(sha, value) {
+    const db = await openBlobCache();
+    if (!db) return;
+    
+    const size = getBlobEntrySize(value);
+    try {
+        const transaction = db.transaction(['blobs', 'entries'], 'readwrite');
+        const existing = await idbRequest(transaction.objectStore('entries').get(sha));
+        transaction.objectStore('blobs').put(value, sha);
+        transaction.objectStore('entries').put({ sha, size, lastUsed: Date.now() });
+        await idbTransactionDone(transaction);
+        if (!existing) blobCacheTotalBytes += size;
+    } catch (error) {
+        // Quota errors are expected on small devices; carry on without caching this blob
+        console.warn(`[Blob Cache] Write failed for ${sha}:`, error?.message || error);
+    }
+    
+    if (blobCacheTotalBytes > BLOB_CACHE_MAX_BYTES) {
+        await pruneBlobCache();
+    }
+}
+
+/**
+ * Evict least recently used blobs and API responses until the cache is under its size target
+ */
+async function pruneBlobCache() {
+    const db = await openBlobCache();
+    if (!db || blobCachePruning) return;
+    blobCachePruning = true;
+    
+    try {
+        const entries = await idbRequest(db.transaction('entries').objectStore('entries').getAll());
+        entries.sort((a, b) => a.lastUsed - b.lastUsed);
+        let total = entries.reduce((sum, e) => sum + e.size, 0);
+        const target = BLOB_CACHE_MAX_BYTES * BLOB_CACHE_PRUNE_TARGET;
+        
+        const transaction = db.transaction(['blobs', 'entries', 'responses'], 'readwrite');
+        let evicted = 0;
+        for (const entry of entries) {
+            if (total <= target) break;
+            if (entry.store === 'responses') {
+                transaction.objectStore('responses').delete(entry.sha.slice(getResponseEntryKey('').length));
+            } else {
+                transaction.objectStore('blobs').delete(entry.sha);
+            }
+            transaction.objectStore('entries').delete(entry.sha);
+            total -= entry.size;
+            evicted++;
+        }
+        await idbTransactionDone(transaction);
+        blobCacheTotalBytes = total;
+        console.log(`[Blob Cache] Evicted ${evicted} entries, ${(total / 1024 / 1024).toFixed(2)} MB remaining`);
+    } catch (error) {
+        console.warn('[Blob Cache] Pruning failed:', error?.message || error);
+    } finally {
+        blobCachePruning = false;
+    }
+}
+
+/**
+ * @returns {Promise<{available: boolean, entries: number, responses: number, bytes: number}>}
+ *   entries counts cached files, responses cached API responses; bytes covers both
+ */
+async function getBlobCacheStats() {
+    const db = await openBlobCache();
+    if (!db) return { available: false, entries: 0, responses: 0, bytes: 0 };
+    
+    const entries = await idbRequest(db.transaction('entries').objectStore('entries').getAll());
+    const responses = entries.filter(e => e.store === 'responses').length;
+    blobCacheTotalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+    return { available: true, entries: entries.length - responses, responses, bytes: blobCacheTotalBytes };
+}
+
+/**
+ * Look up a stored API response (validators and body) for a conditional request
+ * @param {string} key - Request identity (URL plus Accept header)
+ * @returns {Promise<{key, etag, lastModified, body, headers, storedAt}|undefined>}
+ */
+async function getCachedResponse(key) {
+    const db = await openBlobCache();
+    if (!db) return undefined;
+    
+    try {
+        const transaction = db.transaction(['responses', 'entries'], 'readwrite');
+        const record = await idbRequest(transaction.objectStore('responses').get(key));
+        if (record === undefined) return undefined;
+        transaction.objectStore('entries').put({ sha: getResponseEntryKey(key), size: record.body.length, lastUsed: Date.now(), store: 'responses' });
+        return record;
+    } catch (error) {
+        console.warn(`[Response Cache] Read failed for ${key}:`, error?.message || error);
+        return undefined;
+    }
+}
+
+/**
+ * Store an API response; its body counts towards BLOB_CACHE_MAX_BYTES like file content
+ */
+async function putCachedResponse(record) {
+    if (record.body.length > RESPONSE_CACHE_MAX_BODY_BYTES) return;
+    const db = await openBlobCache();
+    if (!db) return;
+    
+    const entryKey = getResponseEntryKey(record.key);
+    try {
+        const transaction = db.transaction(['responses', 'entries'], 'readwrite');
+        const existing = await idbRequest(transaction.objectStore('entries').get(entryKey));
+        transaction.objectStore('responses').put({ ...record, storedAt: Date.now() });
+        transaction.objectStore('entries').put({ sha: entryKey, size: record.body.length, lastUsed: Date.now(), store: 'responses' });
+        await idbTransactionDone(transaction);
+        blobCacheTotalBytes += record.body.length - (existing?.size || 0);
+    } catch (error) {
+        console.warn(`[Response Cache] Write failed for ${record.key}:`, error?.message || error);
+    }
+    
+    if (blobCacheTotalBytes > BLOB_CACHE_MAX_BYTES) {
+        await pruneBlobCache();
+    }
+}
+
+async function clearBlobCache() {
+    const db = await openBlobCache();
+    if (!db) return;
+    
+    const transaction = db.transaction(['blobs', 'entries', 'responses'], 'readwrite');
+    transaction.objectStore('blobs').clear();
+    transaction.objectStore('entries').clear();
+    transaction.objectStore('responses').clear();
+    await idbTransactionDone(transaction);
+    blobCacheTotalBytes = 0;
+    console.log('[Blob Cache] 🗑️  Cache cleared');
+}
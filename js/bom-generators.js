@@ -1,6 +1,6 @@
 // BOM Generator functions (CycloneDX & SPDX)
 function generateCycloneDXJson(analysisResult, selectedFindings) {
-    const { repository, analyzedAt } = analysisResult;
+    const { repository, analyzedAt, inventory } = analysisResult;
     const uuid = generateUUID();
     
     const bom = {
@@ -20,7 +20,8 @@ function generateCycloneDXJson(analysisResult, selectedFindings) {
                     externalReferences: [{
                         type: 'website',
                         url: 'https://github.com/cyfinoid/aibom-generator'
-                    }]
+                    }],
+                    properties: [{ name: 'aibom:catalog:version', value: AI_CATALOG.version }]
                 }]
             },
             component: {
@@ -28,10 +29,10 @@ function generateCycloneDXJson(analysisResult, selectedFindings) {
                 'bom-ref': `repo-${repository.owner}-${repository.repo}`,
                 group: repository.owner,
                 name: repository.repo,
-                version: 'main',
+                version: getRepositoryVersion(repository),
                 description: repository.description || '',
-                purl: `pkg:github/${repository.owner}/${repository.repo}`,
-                externalReferences: [
+                purl: getRepositoryPurl(repository),
+                externalReferences: repository.htmlUrl ? [
                     {
                         type: 'vcs',
                         url: repository.htmlUrl
@@ -40,10 +41,12 @@ function generateCycloneDXJson(analysisResult, selectedFindings) {
                         type: 'website',
                         url: repository.htmlUrl
                     }
-                ],
+                ] : [],
                 properties: [
-                    { name: 'github:topics', value: repository.topics.join(', ') },
-                    { name: 'github:languages', value: repository.languages.join(', ') }
+                    { name: `${repository.platform || 'github'}:topics`, value: repository.topics.join(', ') },
+                    { name: `${repository.platform || 'github'}:languages`, value: repository.languages.join(', ') },
+                    ...getRepositoryRefProperties(repository),
+                    ...getInventoryProperties(inventory)
                 ]
             }
         },
@@ -51,9 +54,13 @@ function generateCycloneDXJson(analysisResult, selectedFindings) {
         dependencies: []
     };
     
+    const repositoryLicenses = createLicenseChoices(repository.license);
+    if (repositoryLicenses.length > 0) bom.metadata.component.licenses = repositoryLicenses;
+    
     // Group findings to create proper ML model components
     console.log('[BOM Generator] Creating components from findings...');
-    const { components: modelComponents, modelRefs, libraryRefs, hardwareInfo, infraInfo, governanceInfo } = createMLModelComponents(selectedFindings);
+    const mlComponents = createMLModelComponents(selectedFindings);
+    const { components: modelComponents, modelRefs, libraryRefs, hardwareInfo, infraInfo, governanceInfo } = mlComponents;
     
     // Add hardware and infrastructure properties to main component
     if (hardwareInfo.detected) {
@@ -161,50 +168,24 @@ function generateCycloneDXJson(analysisResult, selectedFindings) {
         console.log(`  - Library: ${l.name}`);
     });
     
-    bom.components = modelComponents;
+    bom.components = [...modelComponents, ...createSubmoduleComponents(analysisResult.submodules, repository)];
     
     // Create dependency relationships
     const mainRef = `repo-${repository.owner}-${repository.repo}`;
-    const libraryRefIds = libraryRefs.map(l => l['bom-ref']);
+    const dependencyTree = createDependencyTree(mainRef, bom.components, mlComponents, selectedFindings);
+    bom.components.push(...dependencyTree.components);
+    bom.dependencies = dependencyTree.dependencies;
     
-    // Main repo depends on all direct components
-    bom.dependencies.push({
-        ref: mainRef,
-        dependsOn: bom.components.map(c => c['bom-ref'])
-    });
+    const vulnerabilities = createVulnerabilities(selectedFindings, mlComponents.dependencyRefs);
+    if (vulnerabilities.length > 0) bom.vulnerabilities = vulnerabilities;
     
-    // ML models depend on their framework libraries
-    modelRefs.forEach(model => {
-        const deps = [];
-        
-        // Check if model uses known libraries
-        const modelComp = model.component;
-        if (modelComp.properties) {
-            const category = modelComp.properties.find(p => p.name === 'category')?.value;
-            
-            // Add library dependencies based on model type
-            if (category === 'text-generation' || category === 'feature-extraction') {
-                if (libraryRefIds.includes('lib-transformers')) deps.push('lib-transformers');
-                if (libraryRefIds.includes('lib-pytorch')) deps.push('lib-pytorch');
-            } else if (category === 'text-to-image') {
-                if (libraryRefIds.includes('lib-diffusers')) deps.push('lib-diffusers');
-                if (libraryRefIds.includes('lib-pytorch')) deps.push('lib-pytorch');
-            }
-        }
-        
-        bom.dependencies.push({
-            ref: model.bomRef,
-            dependsOn: deps
-        });
-    });
-    
-    // Libraries have no dependencies (or can depend on each other)
-    libraryRefs.forEach(lib => {
-        bom.dependencies.push({
-            ref: lib['bom-ref'],
-            dependsOn: []
-        });
-    });
+    // Parts of the repository were never listed, so the component inventory is known to be incomplete
+    if (inventory && !inventory.complete) {
+        bom.compositions = [{
+            aggregate: 'incomplete',
+            assemblies: [mainRef]
+        }];
+    }
     
     return JSON.stringify(bom, null, 2);
 }
@@ -213,6 +194,7 @@ function createMLModelComponents(findings) {
     const components = [];
     const modelMap = new Map();
     const libraryDeps = new Set(); // Track required libraries
+    const dependencyRefs = new Map(); // getDependencyKey -> bom-ref of the package's component
     
     // Extract hardware and infrastructure info for metadata
     const hardwareInfo = extractHardwareInfo(findings);
@@ -318,14 +300,9 @@ function createMLModelComponents(findings) {
                     });
                 }
                 
-                // Add licenses if available (HuggingFace)
-                if (huggingface?.license) {
-                    component.licenses = [{
-                        license: {
-                            id: huggingface.license
-                        }
-                    }];
-                }
+                // Add licenses if available (HuggingFace card data)
+                const licenses = createLicenseChoices(huggingface?.license);
+                if (licenses.length > 0) component.licenses = licenses;
                 
                 // Add external references
                 component.externalReferences = [];
@@ -691,13 +668,26 @@ function createMLModelComponents(findings) {
                                 value: loc.snippet
                             });
                         }
+                        // code, comment, docstring or string (code-lexer.js)
+                        if (loc.context) {
+                            component.properties.push({
+                                name: `evidence:context:${idx + 1}`,
+                                value: loc.context
+                            });
+                        }
                     }
                 });
                 
+                // LLM call sites invoking the model, with their literal parameters (extractLLMCallSites)
+                component.properties.push(...getCallSiteProperties(finding.modelInfo.callSites || []));
+                
                 modelMap.set(key, { component, bomRef });
             }
-        } else {
+        } else if (!finding.dependencyInfo?.locked && !finding.vulnerabilityInfo && !finding.licenseInfo && !finding.legacyApiInfo) {
             // Generic finding - create a library/framework component
+            // (vulnerabilities are listed in the BOM's vulnerabilities section instead)
+            // (license conflicts and legacy API usage stay findings; they describe existing components)
+            // (lockfile-pinned dependencies get exact library components in createLibraryComponents)
             const component = {
                 type: finding.category === 'dependencies' ? 'library' : 'framework',
                 'bom-ref': `component-${generateShortId()}`,
@@ -711,6 +701,16 @@ function createMLModelComponents(findings) {
                     { name: 'cdx:detection:weight', value: finding.weight.toString() }
                 ]
             };
+            if (finding.dependencyInfo) {
+                const purl = getDependencyPurl(finding.dependencyInfo);
+                if (purl) component.purl = purl;
+                const licenses = getDependencyLicenseChoices(finding.dependencyInfo);
+                if (licenses.length > 0) component.licenses = licenses;
+                component.properties.push(...getDependencyChainProperties(finding.dependencyInfo));
+                component.properties.push(...getCatalogProperties(finding.dependencyInfo));
+                const key = getDependencyKey(finding.dependencyInfo.ecosystem, finding.dependencyInfo.name);
+                if (!dependencyRefs.has(key)) dependencyRefs.set(key, component['bom-ref']);
+            }
             
             // Add evidence with line numbers
             finding.evidence?.forEach((ev, idx) => {
@@ -732,10 +732,24 @@ function createMLModelComponents(findings) {
                             value: ev.snippet
                         });
                     }
+                    if (ev.context) {
+                        component.properties.push({
+                            name: `cdx:evidence:context:${idx}`,
+                            value: ev.context
+                        });
+                    }
                 }
             });
             
+            // LLM calls without an identified model (modelsIdentifierDetector)
+            if (finding.callSites) component.properties.push(...getCallSiteProperties(finding.callSites));
+            
             components.push(component);
+            
+            // Weight files committed as Git LFS pointers are pinned by the real object's SHA-256
+            (finding.modelFiles || []).filter(f => f.lfs).forEach(modelFile => {
+                components.push(createLfsFileComponent(modelFile));
+            });
         }
     }
     
@@ -744,20 +758,97 @@ function createMLModelComponents(findings) {
     components.push(...models);
     
     // Add detected library dependencies
-    const libraryComponents = createLibraryComponents(libraryDeps, findings);
+    const libraryComponents = createLibraryComponents(libraryDeps, findings, dependencyRefs);
     components.push(...libraryComponents);
     
     return { 
         components, 
         modelRefs: Array.from(modelMap.values()), 
         libraryRefs: libraryComponents,
+        dependencyRefs,
         hardwareInfo,
         infraInfo,
         governanceInfo
     };
 }
 
-function createLibraryComponents(libraryDeps, findings) {
+/**
+ * callSite:N:* properties of the first 10 LLM call sites: location, api, literal parameters and
+ * the names of parameters given by expressions
+ */
+function getCallSiteProperties(callSites) {
+    return callSites.slice(0, 10).flatMap((site, idx) => {
+        const prefix = `callSite:${idx + 1}`;
+        const properties = [
+            { name: `${prefix}:location`, value: `${site.file}:${site.line}` },
+            { name: `${prefix}:api`, value: site.api }
+        ];
+        for (const [parameter, value] of Object.entries(site.parameters)) {
+            properties.push({ name: `${prefix}:${parameter}`, value: String(value) });
+        }
+        const dynamic = Object.keys(site.expressions);
+        if (dynamic.length > 0) {
+            properties.push({ name: `${prefix}:dynamic`, value: dynamic.join(', ') });
+        }
+        return properties;
+    });
+}
+
+/**
+ * CycloneDX file component for a model weight file stored in Git LFS
+ */
+function createLfsFileComponent(modelFile) {
+    return {
+        type: 'file',
+        'bom-ref': `file-${generateShortId()}`,
+        name: modelFile.file,
+        description: `Model weights stored in Git LFS (${modelFile.lfs.size.toLocaleString()} bytes)`,
+        hashes: [{ alg: 'SHA-256', content: modelFile.lfs.oid }],
+        properties: [
+            { name: 'cdx:detection:category', value: 'models' },
+            { name: 'aibom:lfs:oid', value: `sha256:${modelFile.lfs.oid}` },
+            { name: 'aibom:lfs:size', value: String(modelFile.lfs.size) }
+        ]
+    };
+}
+
+/**
+ * CycloneDX components for git submodules, versioned by their pinned commit
+ * Scanned submodules nest every component found in them, including their own submodules.
+ * @param {Array} submodules - analysisResult.submodules
+ * @param {Object} repository - Parent repository (submodules resolved to a repository share its host)
+ */
+function createSubmoduleComponents(submodules, repository) {
+    return (submodules || []).map(submodule => {
+        const component = {
+            type: 'application',
+            'bom-ref': `submodule-${generateShortId()}`,
+            name: submodule.repo || submodule.name,
+            version: submodule.sha,
+            description: `Git submodule at ${submodule.path}`,
+            properties: [
+                { name: 'aibom:submodule:path', value: submodule.path },
+                { name: 'aibom:submodule:status', value: submodule.status }
+            ]
+        };
+        if (submodule.owner) {
+            component.group = submodule.owner;
+            component.purl = getRepositoryPurl({ platform: 'github', owner: submodule.owner, repo: submodule.repo, ref: submodule.sha, host: repository.host });
+        }
+        if (submodule.url) {
+            component.properties.push({ name: 'aibom:submodule:url', value: submodule.url });
+        }
+        if (submodule.result) {
+            component.components = [
+                ...createMLModelComponents(submodule.result.findings).components,
+                ...createSubmoduleComponents(submodule.result.submodules, submodule.result.repository)
+            ];
+        }
+        return component;
+    });
+}
+
+function createLibraryComponents(libraryDeps, findings, dependencyRefs) {
     const libraries = [];
     
     // Common ML libraries
@@ -806,9 +897,23 @@ function createLibraryComponents(libraryDeps, findings) {
         }
     }
     
+    // Lockfile-pinned dependencies: exact version, purl and hashes. A pinned known library keeps
+    // its lib-<name> ref so model -> library dependencies point at the exact version.
+    const lockedPurls = new Set();
+    for (const finding of findings) {
+        if (finding.category !== 'dependencies' || !finding.dependencyInfo?.locked) continue;
+        const basePurl = getDependencyPurl({ ...finding.dependencyInfo, version: null });
+        const knownKey = Object.keys(knownLibraries).find(key => knownLibraries[key].purl === basePurl);
+        const component = createLockedLibraryComponent(finding, knownKey ? `lib-${knownKey}` : null);
+        libraries.push(component);
+        if (basePurl) lockedPurls.add(basePurl);
+        const dependencyKey = getDependencyKey(finding.dependencyInfo.ecosystem, finding.dependencyInfo.name);
+        if (!dependencyRefs.has(dependencyKey)) dependencyRefs.set(dependencyKey, component['bom-ref']);
+    }
+    
     for (const lib of libraryDeps) {
         const libInfo = knownLibraries[lib];
-        if (libInfo) {
+        if (libInfo && !lockedPurls.has(libInfo.purl)) {
             libraries.push({
                 type: 'library',
                 'bom-ref': `lib-${lib}`,
@@ -826,6 +931,328 @@ function createLibraryComponents(libraryDeps, findings) {
     return libraries;
 }
 
+/**
+ * CycloneDX library component for a dependency pinned by a lockfile
+ * @param {Object} finding - Dependency finding with a locked dependencyInfo
+ * @param {string|null} bomRef - Fixed bom-ref (known libraries), otherwise a generated one
+ */
+function createLockedLibraryComponent(finding, bomRef) {
+    const info = finding.dependencyInfo;
+    const scoped = info.ecosystem === 'node' && info.name.match(/^(@[^/]+)\/(.+)$/);
+    const component = {
+        type: 'library',
+        'bom-ref': bomRef || `lib-${generateShortId()}`,
+        name: scoped ? scoped[2] : info.name,
+        version: info.version,
+        description: finding.description,
+        scope: 'required',
+        properties: [
+            { name: 'cdx:detection:category', value: finding.category },
+            { name: 'aibom:dependency:ecosystem', value: info.ecosystem },
+            { name: 'aibom:dependency:lockfile', value: info.manifestFile }
+        ]
+    };
+    if (scoped) component.group = scoped[1];
+    const hashes = (info.hashes || []).map(lockfileHashToCycloneDX).filter(Boolean);
+    if (hashes.length > 0) component.hashes = hashes;
+    const licenses = getDependencyLicenseChoices(info);
+    if (licenses.length > 0) component.licenses = licenses;
+    const purl = getDependencyPurl(info);
+    if (purl) component.purl = purl;
+    component.properties.push(...getDependencyChainProperties(info));
+    component.properties.push(...getCatalogProperties(info));
+    if (info.declaredVersion) {
+        component.properties.push({ name: 'aibom:dependency:declaredVersion', value: info.declaredVersion });
+    }
+    finding.evidence?.slice(0, 3).forEach((ev, idx) => {
+        component.properties.push({
+            name: `cdx:evidence:location:${idx}`,
+            value: ev.line && ev.line > 0 ? `${ev.file}:${ev.line}` : ev.file
+        });
+    });
+    return component;
+}
+
+/**
+ * Properties telling whether a dependency is declared by the project or installed through other packages
+ */
+function getDependencyChainProperties(dependencyInfo) {
+    const properties = [];
+    if (dependencyInfo.direct !== undefined) {
+        properties.push({ name: 'aibom:dependency:direct', value: String(dependencyInfo.direct) });
+    }
+    if (dependencyInfo.introducedBy?.length > 0) {
+        properties.push({ name: 'aibom:dependency:introducedBy', value: dependencyInfo.introducedBy.join(' > ') });
+    }
+    return properties;
+}
+
+/**
+ * Properties with the AI_CATALOG category and provider of a dependency
+ */
+function getCatalogProperties(dependencyInfo) {
+    if (!dependencyInfo.aiCategory) return [];
+    return [
+        { name: 'aibom:catalog:category', value: dependencyInfo.aiCategory },
+        { name: 'aibom:catalog:provider', value: dependencyInfo.provider }
+    ];
+}
+
+/**
+ * CycloneDX licenses for a license as declared: SPDX ids as license.id, other licenses by name,
+ * compound licenses as an SPDX expression
+ * @param {string|Array|Object} value - License as declared (see normalizeLicense)
+ * @param {string} acknowledgement - 'declared' by the package or repository, or 'concluded' by an analysis
+ */
+function createLicenseChoices(value, acknowledgement = 'declared') {
+    const license = normalizeLicense(value);
+    if (!license) return [];
+    if (license.compound) return [{ expression: license.expression, acknowledgement }];
+    return [{ license: license.spdx ? { id: license.expression, acknowledgement } : { name: license.name, acknowledgement } }];
+}
+
+function getDependencyLicenseChoices(dependencyInfo) {
+    // The dependency graph SBOM reports GitHub's concluded license; lockfiles repeat the package's declared one
+    return createLicenseChoices(dependencyInfo.license, dependencyInfo.source === 'github-sbom-api' ? 'concluded' : 'declared');
+}
+
+/**
+ * Serialize CycloneDX licenses from createLicenseChoices
+ */
+function licensesToXml(licenses, indent) {
+    let xml = `${indent}<licenses>\n`;
+    licenses.forEach(choice => {
+        if (choice.expression) {
+            xml += `${indent}  <expression acknowledgement="${choice.acknowledgement}">${escapeXml(choice.expression)}</expression>\n`;
+            return;
+        }
+        const { id, name, acknowledgement } = choice.license;
+        xml += `${indent}  <license acknowledgement="${acknowledgement}">\n`;
+        xml += id ? `${indent}    <id>${escapeXml(id)}</id>\n` : `${indent}    <name>${escapeXml(name)}</name>\n`;
+        xml += `${indent}  </license>\n`;
+    });
+    xml += `${indent}</licenses>\n`;
+    return xml;
+}
+
+/**
+ * Identity of a package within its ecosystem, matching the spellings lockfiles use in dependency chains
+ */
+function getDependencyKey(ecosystem, name) {
+    if (ecosystem === 'python') return `python:${normalizePythonPackageName(name)}`;
+    // Composer and NuGet names are case-insensitive
+    if (ecosystem === 'php' || ecosystem === 'dotnet') return `${ecosystem}:${name.toLowerCase()}`;
+    return `${ecosystem}:${name}`;
+}
+
+/**
+ * CycloneDX library component for a package that only appears in a dependency chain
+ * (e.g. the framework through which an AI SDK is installed)
+ */
+function createIntermediateDependencyComponent(ecosystem, name) {
+    const scoped = ecosystem === 'node' && name.match(/^(@[^/]+)\/(.+)$/);
+    const component = {
+        type: 'library',
+        'bom-ref': `lib-${generateShortId()}`,
+        name: scoped ? scoped[2] : name,
+        description: 'Package through which an AI dependency is installed',
+        scope: 'required',
+        properties: [
+            { name: 'aibom:dependency:ecosystem', value: ecosystem },
+            { name: 'aibom:dependency:role', value: 'intermediate' }
+        ]
+    };
+    if (scoped) component.group = scoped[1];
+    const purl = getDependencyPurl({ name, ecosystem, version: null });
+    if (purl) component.purl = purl;
+    return component;
+}
+
+/**
+ * CycloneDX dependency tree shared by the JSON and XML generators
+ * The repository depends on its direct components. A transitively installed dependency sits below the
+ * packages that pull it in (dependencyInfo.introducedBy); packages on those chains that are not findings
+ * themselves become intermediate components. Models depend on their framework libraries.
+ * @param {string} mainRef - bom-ref of the repository component
+ * @param {Array} components - Top-level components (createMLModelComponents output plus submodules)
+ * @param {Object} mlComponents - createMLModelComponents result
+ * @returns {{components: Array, dependencies: Array<{ref: string, dependsOn: string[]}>}} Intermediate components to add and the dependencies array
+ */
+function createDependencyTree(mainRef, components, { modelRefs, libraryRefs, dependencyRefs }, findings) {
+    const intermediates = [];
+    const edges = new Map(); // bom-ref -> Set of bom-refs it depends on
+    const directRefs = new Set();
+    const transitiveRefs = new Set();
+    const refFor = (ecosystem, name) => {
+        const key = getDependencyKey(ecosystem, name);
+        if (!dependencyRefs.has(key)) {
+            const component = createIntermediateDependencyComponent(ecosystem, name);
+            intermediates.push(component);
+            dependencyRefs.set(key, component['bom-ref']);
+        }
+        return dependencyRefs.get(key);
+    };
+    
+    findings.forEach(finding => {
+        const info = finding.dependencyInfo;
+        if (!info || !dependencyRefs.has(getDependencyKey(info.ecosystem, info.name))) return;
+        if (info.direct) directRefs.add(refFor(info.ecosystem, info.name));
+        if (!info.introducedBy?.length) return;
+        
+        const chain = [...info.introducedBy, info.name].map(name => refFor(info.ecosystem, name));
+        directRefs.add(chain[0]);
+        for (let i = 1; i < chain.length; i++) {
+            if (!edges.has(chain[i - 1])) edges.set(chain[i - 1], new Set());
+            edges.get(chain[i - 1]).add(chain[i]);
+            transitiveRefs.add(chain[i]);
+        }
+    });
+    
+    const dependencies = [];
+    
+    // Main repo depends on everything that is not only installed through another package
+    dependencies.push({
+        ref: mainRef,
+        dependsOn: [...components, ...intermediates]
+            .map(c => c['bom-ref'])
+            .filter(ref => directRefs.has(ref) || !transitiveRefs.has(ref))
+    });
+    
+    // ML models depend on their framework libraries
+    const libraryRefIds = libraryRefs.map(l => l['bom-ref']);
+    modelRefs.forEach(model => {
+        const deps = [];
+        const category = model.component.properties?.find(p => p.name === 'category')?.value;
+        if (category === 'text-generation' || category === 'feature-extraction') {
+            if (libraryRefIds.includes('lib-transformers')) deps.push('lib-transformers');
+            if (libraryRefIds.includes('lib-pytorch')) deps.push('lib-pytorch');
+        } else if (category === 'text-to-image') {
+            if (libraryRefIds.includes('lib-diffusers')) deps.push('lib-diffusers');
+            if (libraryRefIds.includes('lib-pytorch')) deps.push('lib-pytorch');
+        }
+        dependencies.push({ ref: model.bomRef, dependsOn: deps });
+    });
+    
+    // Libraries depend on the packages they pull in
+    new Set([...libraryRefIds, ...dependencyRefs.values()]).forEach(ref => {
+        dependencies.push({ ref, dependsOn: [...(edges.get(ref) || [])] });
+    });
+    
+    return { components: intermediates, dependencies };
+}
+
+/**
+ * CycloneDX vulnerabilities from OSV risk findings, shared by the JSON and XML generators
+ * One entry per vulnerability; affects lists the components of the matched packages.
+ * Vulnerabilities whose package component was not selected are left out.
+ */
+function createVulnerabilities(findings, dependencyRefs) {
+    const vulnerabilities = new Map();
+    
+    for (const finding of findings) {
+        const info = finding.vulnerabilityInfo;
+        if (!info) continue;
+        const ref = dependencyRefs.get(getDependencyKey(info.package.ecosystem, info.package.name));
+        if (!ref) continue;
+        
+        if (!vulnerabilities.has(info.id)) {
+            const rating = { source: { name: 'OSV' }, severity: info.severity };
+            if (info.score !== null) rating.score = info.score;
+            if (info.method) rating.method = info.method;
+            if (info.vector) rating.vector = info.vector;
+            
+            const vulnerability = {
+                'bom-ref': `vuln-${info.id}`,
+                id: info.id,
+                source: { name: 'OSV', url: `https://osv.dev/vulnerability/${encodeURIComponent(info.id)}` }
+            };
+            if (info.aliases.length > 0) {
+                vulnerability.references = info.aliases.map(alias => ({ id: alias, source: getVulnerabilitySource(alias) }));
+            }
+            vulnerability.ratings = [rating];
+            if (info.cwes.length > 0) vulnerability.cwes = info.cwes;
+            vulnerability.description = info.summary;
+            if (info.details) vulnerability.detail = info.details;
+            if (info.fixedVersions.length > 0) {
+                vulnerability.recommendation = `Upgrade to ${info.fixedVersions.join(' or ')}`;
+            }
+            if (info.references.length > 0) vulnerability.advisories = info.references.map(url => ({ url }));
+            if (info.published) vulnerability.published = info.published;
+            if (info.modified) vulnerability.updated = info.modified;
+            vulnerability.affects = [];
+            vulnerabilities.set(info.id, vulnerability);
+        }
+        
+        const affects = vulnerabilities.get(info.id).affects;
+        if (!affects.some(target => target.ref === ref)) {
+            affects.push({ ref, versions: [{ version: info.package.version, status: 'affected' }] });
+        }
+    }
+    
+    return [...vulnerabilities.values()];
+}
+
+function getVulnerabilitySource(id) {
+    if (id.startsWith('CVE-')) return { name: 'NVD', url: `https://nvd.nist.gov/vuln/detail/${id}` };
+    if (id.startsWith('GHSA-')) return { name: 'GitHub', url: `https://github.com/advisories/${id}` };
+    return { name: 'OSV', url: `https://osv.dev/vulnerability/${encodeURIComponent(id)}` };
+}
+
+// Ecosystems whose manifests name one resolved version (go.mod selections, Maven / NuGet versions)
+const PURL_PINNED_MANIFEST_ECOSYSTEMS = ['go', 'java', 'dotnet'];
+
+/**
+ * Package URL of a detected dependency
+ * Versioned only when the version is exact: lockfile entries, exact manifest pins, or plain versions from manifests that pin.
+ * @param {Object} dependencyInfo - {name, version, ecosystem, locked, pinned, managedBy}
+ * @returns {string|null} null for ecosystems without a purl mapping
+ */
+function getDependencyPurl(dependencyInfo) {
+    const { name, version, ecosystem } = dependencyInfo;
+    const suffix = getExactDependencyVersion(dependencyInfo) !== null ? `@${encodeURIComponent(version)}` : '';
+    // Namespace segments are encoded one by one, so scoped npm packages become %40scope/name
+    const path = (value) => value.split('/').map(encodeURIComponent).join('/');
+    
+    switch (ecosystem) {
+        case 'node': return `pkg:npm/${path(name)}${suffix}`;
+        case 'python': return dependencyInfo.packageManager === 'conda'
+            ? `pkg:conda/${encodeURIComponent(name.toLowerCase())}${suffix}`
+            : `pkg:pypi/${normalizePythonPackageName(name)}${suffix}`;
+        case 'go': return `pkg:golang/${path(name)}${suffix}`;
+        case 'java': return `pkg:maven/${path(name.replace(':', '/'))}${suffix}`;
+        case 'rust': return `pkg:cargo/${encodeURIComponent(name)}${suffix}`;
+        case 'ruby': return `pkg:gem/${encodeURIComponent(name)}${suffix}`;
+        case 'php': return `pkg:composer/${path(name.toLowerCase())}${suffix}`;
+        case 'dotnet': return `pkg:nuget/${encodeURIComponent(name)}${suffix}`;
+        case 'swift': return `pkg:swift/${path(name)}${suffix}`;
+        default: return null;
+    }
+}
+
+/**
+ * Convert a lockfile hash to a CycloneDX hash with hex content
+ * Handles SRI integrity strings ("sha512-<base64>"), "sha256:<hex>" hashes (Python lockfiles) and
+ * Yarn Berry checksums ("<cache key>/<hex SHA-512>").
+ * @returns {{alg: string, content: string}|null} null for unrecognized formats
+ */
+function lockfileHashToCycloneDX(hash) {
+    const algorithms = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+    const sri = hash.match(/^(sha1|sha256|sha384|sha512)-([A-Za-z0-9+/]+=*)$/);
+    if (sri) {
+        const hex = Array.from(base64ToBytes(sri[2]), byte => byte.toString(16).padStart(2, '0')).join('');
+        return { alg: algorithms[sri[1]], content: hex };
+    }
+    const prefixed = hash.match(/^(sha1|sha256|sha384|sha512):([0-9a-f]+)$/i);
+    if (prefixed) {
+        return { alg: algorithms[prefixed[1].toLowerCase()], content: prefixed[2].toLowerCase() };
+    }
+    const checksum = hash.match(/^(?:\w+\/)?([0-9a-f]{128})$/);
+    if (checksum) {
+        return { alg: 'SHA-512', content: checksum[1] };
+    }
+    return null;
+}
+
 /**
  * Generate a cryptographically secure short ID
  * Uses Web Crypto API instead of Math.random()
@@ -836,8 +1263,224 @@ function generateShortId() {
     return Array.from(array, byte => byte.toString(36)).join('').substring(0, 10);
 }
 
+/**
+ * Build the package URL for the analyzed repository
+ * GitLab namespaces may contain nested groups, each segment is encoded separately.
+ * A resolved commit becomes the purl version and a scanned sub directory the purl subpath.
+ * Self-hosted instances (GitHub Enterprise Server, GitLab) are named in the repository_url qualifier.
+ */
+function getRepositoryPurl(repository) {
+    const platform = repository.platform || 'github';
+    // Local folders/archives have no hosting platform
+    if (platform === 'local') {
+        return `pkg:generic/${encodeURIComponent(repository.repo)}`;
+    }
+    const namespace = String(repository.owner).split('/').map(encodeURIComponent).join('/');
+    const version = repository.ref ? `@${repository.ref}` : '';
+    const hostName = repository.host ? new URL(repository.host).host : null;
+    const qualifiers = hostName && !['github.com', 'gitlab.com'].includes(hostName)
+        ? `?repository_url=${encodeURIComponent(hostName)}`
+        : '';
+    const subpath = repository.subPath ? `#${repository.subPath.split('/').map(encodeURIComponent).join('/')}` : '';
+    return `pkg:${platform}/${namespace}/${encodeURIComponent(repository.repo)}${version}${qualifiers}${subpath}`;
+}
+
+function getRepositorySourceLabel(repository) {
+    if (repository.platform === 'gitlab') return 'GitLab project';
+    if (repository.platform === 'local') return 'Local folder/archive';
+    if (repository.host && repository.host !== GITHUB_HTML_BASE) return 'GitHub Enterprise Server repository';
+    return 'GitHub repository';
+}
+
+/**
+ * Version label for the analyzed repository
+ * Resolved commit SHA when known, otherwise the branch (hosted) or a snapshot label (local)
+ */
+function getRepositoryVersion(repository) {
+    if (repository.ref) return repository.ref;
+    if (repository.platform === 'local') return 'local-snapshot';
+    return repository.defaultBranch || 'main';
+}
+
+/**
+ * Properties describing which ref of the repository was scanned
+ */
+function getRepositoryRefProperties(repository) {
+    const properties = [];
+    if (repository.refName) {
+        properties.push({ name: 'aibom:source:ref', value: repository.refName });
+    }
+    if (repository.refKind) {
+        properties.push({ name: 'aibom:source:refType', value: repository.refKind });
+    }
+    if (repository.ref) {
+        properties.push({ name: 'aibom:source:commit', value: repository.ref });
+    }
+    if (repository.subPath) {
+        properties.push({ name: 'aibom:source:path', value: repository.subPath });
+    }
+    return properties;
+}
+
+/**
+ * Properties stating whether the scanned file inventory covered the whole repository
+ * and which files were listed but not inspected
+ */
+function getInventoryProperties(inventory) {
+    if (!inventory) return [];
+    const properties = [
+        { name: 'aibom:inventory:complete', value: String(inventory.complete) },
+        { name: 'aibom:inventory:method', value: inventory.method },
+        { name: 'aibom:inventory:fileCount', value: String(inventory.fileCount) }
+    ];
+    if (inventory.skippedDirectories.length > 0) {
+        properties.push({ name: 'aibom:inventory:skippedDirectories', value: inventory.skippedDirectories.join(', ') });
+    }
+    if (inventory.skippedFiles?.length > 0) {
+        properties.push({ name: 'aibom:inventory:skippedFileCount', value: String(inventory.skippedFiles.length) });
+        inventory.skippedFiles.forEach(file => {
+            properties.push({ name: 'aibom:inventory:skippedFile', value: `${file.path} (${file.reason})` });
+        });
+    }
+    return properties;
+}
+
+/**
+ * Render one CycloneDX component (and its nested components) as XML
+ * @param {string} indent - Indentation of the <component> element
+ */
+function componentToXml(comp, indent = '    ') {
+    let xml = '';
+    xml += `${indent}<component type="${comp.type}" bom-ref="${escapeXml(comp['bom-ref'])}">\n`;
+    if (comp.group) {
+        xml += `${indent}  <group>${escapeXml(comp.group)}</group>\n`;
+    }
+    xml += `${indent}  <name>${escapeXml(comp.name)}</name>\n`;
+    if (comp.version) {
+        xml += `${indent}  <version>${escapeXml(comp.version)}</version>\n`;
+    }
+    if (comp.description) {
+        xml += `${indent}  <description>${escapeXml(comp.description)}</description>\n`;
+    }
+    if (comp.scope) {
+        xml += `${indent}  <scope>${escapeXml(comp.scope)}</scope>\n`;
+    }
+    if (comp.hashes && comp.hashes.length > 0) {
+        xml += `${indent}  <hashes>\n`;
+        comp.hashes.forEach(hash => {
+            xml += `${indent}    <hash alg="${escapeXml(hash.alg)}">${escapeXml(hash.content)}</hash>\n`;
+        });
+        xml += `${indent}  </hashes>\n`;
+    }
+    if (comp.licenses && comp.licenses.length > 0) {
+        xml += licensesToXml(comp.licenses, `${indent}  `);
+    }
+    if (comp.purl) {
+        xml += `${indent}  <purl>${escapeXml(comp.purl)}</purl>\n`;
+    }
+    if (comp.publisher) {
+        xml += `${indent}  <publisher>${escapeXml(comp.publisher)}</publisher>\n`;
+    }
+    
+    // External references
+    if (comp.externalReferences && comp.externalReferences.length > 0) {
+        xml += `${indent}  <externalReferences>\n`;
+        comp.externalReferences.forEach(ref => {
+            xml += `${indent}    <reference type="${escapeXml(ref.type)}">\n`;
+            xml += `${indent}      <url>${escapeXml(ref.url)}</url>\n`;
+            xml += `${indent}    </reference>\n`;
+        });
+        xml += `${indent}  </externalReferences>\n`;
+    }
+    
+    // Properties
+    if (comp.properties && comp.properties.length > 0) {
+        xml += `${indent}  <properties>\n`;
+        comp.properties.forEach(prop => {
+            xml += `${indent}    <property name="${escapeXml(prop.name)}">${escapeXml(prop.value)}</property>\n`;
+        });
+        xml += `${indent}  </properties>\n`;
+    }
+    
+    // Nested components (e.g. AI components found inside a scanned submodule)
+    if (comp.components && comp.components.length > 0) {
+        xml += `${indent}  <components>\n`;
+        comp.components.forEach(child => {
+            xml += componentToXml(child, `${indent}    `);
+        });
+        xml += `${indent}  </components>\n`;
+    }
+    
+    xml += `${indent}</component>\n`;
+    return xml;
+}
+
+/**
+ * Serialize a vulnerability from createVulnerabilities (CycloneDX 1.7 element order)
+ */
+function vulnerabilityToXml(vulnerability, indent = '    ') {
+    const source = (src, pad) => `${pad}<source>\n${pad}  <name>${escapeXml(src.name)}</name>\n` +
+        (src.url ? `${pad}  <url>${escapeXml(src.url)}</url>\n` : '') + `${pad}</source>\n`;
+    let xml = `${indent}<vulnerability bom-ref="${escapeXml(vulnerability['bom-ref'])}">\n`;
+    xml += `${indent}  <id>${escapeXml(vulnerability.id)}</id>\n`;
+    xml += source(vulnerability.source, `${indent}  `);
+    if (vulnerability.references) {
+        xml += `${indent}  <references>\n`;
+        vulnerability.references.forEach(ref => {
+            xml += `${indent}    <reference>\n${indent}      <id>${escapeXml(ref.id)}</id>\n`;
+            xml += source(ref.source, `${indent}      `);
+            xml += `${indent}    </reference>\n`;
+        });
+        xml += `${indent}  </references>\n`;
+    }
+    xml += `${indent}  <ratings>\n`;
+    vulnerability.ratings.forEach(rating => {
+        xml += `${indent}    <rating>\n`;
+        xml += source(rating.source, `${indent}      `);
+        if (rating.score !== undefined) xml += `${indent}      <score>${rating.score}</score>\n`;
+        xml += `${indent}      <severity>${escapeXml(rating.severity)}</severity>\n`;
+        if (rating.method) xml += `${indent}      <method>${escapeXml(rating.method)}</method>\n`;
+        if (rating.vector) xml += `${indent}      <vector>${escapeXml(rating.vector)}</vector>\n`;
+        xml += `${indent}    </rating>\n`;
+    });
+    xml += `${indent}  </ratings>\n`;
+    if (vulnerability.cwes) {
+        xml += `${indent}  <cwes>\n`;
+        vulnerability.cwes.forEach(cwe => {
+            xml += `${indent}    <cwe>${cwe}</cwe>\n`;
+        });
+        xml += `${indent}  </cwes>\n`;
+    }
+    xml += `${indent}  <description>${escapeXml(vulnerability.description)}</description>\n`;
+    if (vulnerability.detail) xml += `${indent}  <detail>${escapeXml(vulnerability.detail)}</detail>\n`;
+    if (vulnerability.recommendation) {
+        xml += `${indent}  <recommendation>${escapeXml(vulnerability.recommendation)}</recommendation>\n`;
+    }
+    if (vulnerability.advisories) {
+        xml += `${indent}  <advisories>\n`;
+        vulnerability.advisories.forEach(advisory => {
+            xml += `${indent}    <advisory>\n${indent}      <url>${escapeXml(advisory.url)}</url>\n${indent}    </advisory>\n`;
+        });
+        xml += `${indent}  </advisories>\n`;
+    }
+    if (vulnerability.published) xml += `${indent}  <published>${escapeXml(vulnerability.published)}</published>\n`;
+    if (vulnerability.updated) xml += `${indent}  <updated>${escapeXml(vulnerability.updated)}</updated>\n`;
+    xml += `${indent}  <affects>\n`;
+    vulnerability.affects.forEach(target => {
+        xml += `${indent}    <target>\n${indent}      <ref>${escapeXml(target.ref)}</ref>\n${indent}      <versions>\n`;
+        target.versions.forEach(({ version, status }) => {
+            xml += `${indent}        <version>\n${indent}          <version>${escapeXml(version)}</version>\n`;
+            xml += `${indent}          <status>${escapeXml(status)}</status>\n${indent}        </version>\n`;
+        });
+        xml += `${indent}      </versions>\n${indent}    </target>\n`;
+    });
+    xml += `${indent}  </affects>\n`;
+    xml += `${indent}</vulnerability>\n`;
+    return xml;
+}
+
 function generateCycloneDXXml(analysisResult, selectedFindings) {
-    const { repository, analyzedAt } = analysisResult;
+    const { repository, analyzedAt, inventory } = analysisResult;
     const uuid = generateUUID();
     
     let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
@@ -851,183 +1494,98 @@ function generateCycloneDXXml(analysisResult, selectedFindings) {
     xml += '        <component type="application" bom-ref="tool-aibom-generator">\n';
     xml += '          <name>AI BOM Generator</name>\n';
     xml += '          <version>1.0.0</version>\n';
+    xml += '          <properties>\n';
+    xml += `            <property name="aibom:catalog:version">${escapeXml(AI_CATALOG.version)}</property>\n`;
+    xml += '          </properties>\n';
     xml += '        </component>\n';
     xml += '      </components>\n';
     xml += '    </tools>\n';
     xml += `    <component type="application" bom-ref="repo-${escapeXml(repository.owner)}-${escapeXml(repository.repo)}">\n`;
     xml += `      <group>${escapeXml(repository.owner)}</group>\n`;
     xml += `      <name>${escapeXml(repository.repo)}</name>\n`;
-    xml += '      <version>main</version>\n';
+    xml += `      <version>${escapeXml(getRepositoryVersion(repository))}</version>\n`;
     if (repository.description) {
         xml += `      <description>${escapeXml(repository.description)}</description>\n`;
     }
-    xml += `      <purl>pkg:github/${escapeXml(repository.owner)}/${escapeXml(repository.repo)}</purl>\n`;
+    const repositoryLicenses = createLicenseChoices(repository.license);
+    if (repositoryLicenses.length > 0) {
+        xml += licensesToXml(repositoryLicenses, '      ');
+    }
+    xml += `      <purl>${escapeXml(getRepositoryPurl(repository))}</purl>\n`;
+    const metadataProperties = [...getRepositoryRefProperties(repository), ...getInventoryProperties(inventory)];
+    if (metadataProperties.length > 0) {
+        xml += '      <properties>\n';
+        metadataProperties.forEach(prop => {
+            xml += `        <property name="${escapeXml(prop.name)}">${escapeXml(prop.value)}</property>\n`;
+        });
+        xml += '      </properties>\n';
+    }
     xml += '    </component>\n';
     xml += '  </metadata>\n';
     
     // Components
     xml += '  <components>\n';
-    const { components } = createMLModelComponents(selectedFindings);
+    const mlComponents = createMLModelComponents(selectedFindings);
+    const components = [
+        ...mlComponents.components,
+        ...createSubmoduleComponents(analysisResult.submodules, repository)
+    ];
+    const mainRef = `repo-${repository.owner}-${repository.repo}`;
+    const dependencyTree = createDependencyTree(mainRef, components, mlComponents, selectedFindings);
     
-    components.forEach(comp => {
-        xml += `    <component type="${comp.type}" bom-ref="${escapeXml(comp['bom-ref'])}">\n`;
-        if (comp.group) {
-            xml += `      <group>${escapeXml(comp.group)}</group>\n`;
-        }
-        xml += `      <name>${escapeXml(comp.name)}</name>\n`;
-        xml += `      <version>${escapeXml(comp.version)}</version>\n`;
-        if (comp.description) {
-            xml += `      <description>${escapeXml(comp.description)}</description>\n`;
-        }
-        if (comp.scope) {
-            xml += `      <scope>${escapeXml(comp.scope)}</scope>\n`;
-        }
-        if (comp.purl) {
-            xml += `      <purl>${escapeXml(comp.purl)}</purl>\n`;
-        }
-        if (comp.publisher) {
-            xml += `      <publisher>${escapeXml(comp.publisher)}</publisher>\n`;
-        }
-        
-        // External references
-        if (comp.externalReferences && comp.externalReferences.length > 0) {
-            xml += '      <externalReferences>\n';
-            comp.externalReferences.forEach(ref => {
-                xml += `        <reference type="${escapeXml(ref.type)}">\n`;
-                xml += `          <url>${escapeXml(ref.url)}</url>\n`;
-                xml += '        </reference>\n';
-            });
-            xml += '      </externalReferences>\n';
-        }
-        
-        // Properties
-        if (comp.properties && comp.properties.length > 0) {
-            xml += '      <properties>\n';
-            comp.properties.forEach(prop => {
-                xml += `        <property name="${escapeXml(prop.name)}">${escapeXml(prop.value)}</property>\n`;
-            });
-            xml += '      </properties>\n';
-        }
-        
-        xml += '    </component>\n';
+    [...components, ...dependencyTree.components].forEach(comp => {
+        xml += componentToXml(comp);
     });
     
     xml += '  </components>\n';
     
-    // Dependencies - need to regenerate to match JSON structure
+    // Dependencies
     xml += '  <dependencies>\n';
-    
-    const { modelRefs, libraryRefs } = createMLModelComponents(selectedFindings);
-    const libraryRefIds = libraryRefs.map(l => l['bom-ref']);
-    
-    // Main repo depends on all components
-    xml += `    <dependency ref="repo-${escapeXml(repository.owner)}-${escapeXml(repository.repo)}">\n`;
-    components.forEach(comp => {
-        xml += `      <dependency ref="${escapeXml(comp['bom-ref'])}" />\n`;
-    });
-    xml += '    </dependency>\n';
-    
-    // ML models depend on their libraries
-    modelRefs.forEach(model => {
-        xml += `    <dependency ref="${escapeXml(model.bomRef)}">\n`;
-        
-        const modelComp = model.component;
-        if (modelComp.properties) {
-            const category = modelComp.properties.find(p => p.name === 'category')?.value;
-            
-            if (category === 'text-generation' || category === 'feature-extraction') {
-                if (libraryRefIds.includes('lib-transformers')) {
-                    xml += '      <dependency ref="lib-transformers" />\n';
-                }
-                if (libraryRefIds.includes('lib-pytorch')) {
-                    xml += '      <dependency ref="lib-pytorch" />\n';
-                }
-            } else if (category === 'text-to-image') {
-                if (libraryRefIds.includes('lib-diffusers')) {
-                    xml += '      <dependency ref="lib-diffusers" />\n';
-                }
-            }
+    dependencyTree.dependencies.forEach(({ ref, dependsOn }) => {
+        if (dependsOn.length === 0) {
+            xml += `    <dependency ref="${escapeXml(ref)}" />\n`;
+            return;
         }
-        
+        xml += `    <dependency ref="${escapeXml(ref)}">\n`;
+        dependsOn.forEach(dep => {
+            xml += `      <dependency ref="${escapeXml(dep)}" />\n`;
+        });
         xml += '    </dependency>\n';
     });
+    xml += '  </dependencies>\n';
     
-    // Libraries
-    libraryRefs.forEach(lib => {
-        xml += `    <dependency ref="${escapeXml(lib['bom-ref'])}" />\n`;
-    });
+    if (inventory && !inventory.complete) {
+        xml += '  <compositions>\n';
+        xml += '    <composition>\n';
+        xml += '      <aggregate>incomplete</aggregate>\n';
+        xml += '      <assemblies>\n';
+        xml += `        <assembly ref="repo-${escapeXml(repository.owner)}-${escapeXml(repository.repo)}" />\n`;
+        xml += '      </assemblies>\n';
+        xml += '    </composition>\n';
+        xml += '  </compositions>\n';
+    }
     
-    xml += '  </dependencies>\n';
+    const vulnerabilities = createVulnerabilities(selectedFindings, mlComponents.dependencyRefs);
+    if (vulnerabilities.length > 0) {
+        xml += '  <vulnerabilities>\n';
+        vulnerabilities.forEach(vulnerability => {
+            xml += vulnerabilityToXml(vulnerability);
+        });
+        xml += '  </vulnerabilities>\n';
+    }
     xml += '</bom>\n';
     
     return xml;
 }
 
-function generateSPDX(analysisResult, selectedFindings) {
-    const { repository, analyzedAt } = analysisResult;
-    const namespace = `https://github.com/${repository.owner}/${repository.repo}/spdx/${generateSPDXId()}`;
-    const docId = `${namespace}/SpdxDocument`;
-    
-    // SPDX 3.0.1 uses JSON-LD format
-    const spdx = {
-        '@context': 'https://spdx.org/rdf/3.0.1/spdx-context.jsonld',
-        '@id': docId,
-        'type': 'SpdxDocument',
-        'spdxId': docId,
-        'creationInfo': {
-            'type': 'CreationInfo',
-            'specVersion': '3.0.1',
-            'created': analyzedAt,
-            'createdBy': ['Tool: AI BOM Generator-1.0.0'],
-            'profile': [
-                'core',
-                'software',
-                'ai'
-            ]
-        },
-        'name': `AI BOM for ${repository.fullName}`,
-        'namespaceMap': [{
-            'prefix': 'ex',
-            'namespace': namespace
-        }],
-        'element': [],
-        'rootElement': []
-    };
-    
-    // Main repository element
-    const repoId = `${namespace}/Repository`;
-    const repoElement = {
-        '@id': repoId,
-        'type': 'software_Package',
-        'spdxId': repoId,
-        'creationInfo': {
-            'type': 'CreationInfo',
-            'specVersion': '3.0.1',
-            'created': analyzedAt,
-            'createdBy': ['Tool: AI BOM Generator-1.0.0']
-        },
-        'name': repository.repo,
-        'summary': repository.description || '',
-        'packageVersion': 'main',
-        'downloadLocation': repository.htmlUrl,
-        'homepage': repository.htmlUrl,
-        'sourceInfo': `GitHub repository: ${repository.fullName}`,
-        'primaryPurpose': 'application',
-        'externalIdentifier': [{
-            'type': 'ExternalIdentifier',
-            'externalIdentifierType': 'purl',
-            'identifier': `pkg:github/${repository.owner}/${repository.repo}`
-        }]
-    };
-    
-    spdx.element.push(repoElement);
-    spdx.rootElement.push(repoId);
-    
-    // Create relationships array
-    const relationships = [];
-    
-    // Add AI packages and libraries for each finding
-    selectedFindings.forEach((finding, idx) => {
+/**
+ * Append SPDX packages for findings, each related to fromId by dependsOn
+ * @param {Array} elements - SPDX document elements
+ * @param {Array} relationships - Relationship elements (appended to the document last)
+ * @param {Object} context - { fromId, namespace, analyzedAt, idPrefix } - idPrefix keeps relationship IDs unique per submodule
+ */
+function appendSPDXFindingElements(elements, relationships, findings, { fromId, namespace, analyzedAt, idPrefix = '' }) {
+    findings.forEach((finding, idx) => {
         if (finding.modelInfo) {
             // Create AIPackage element
             const { provider, modelName, modelType, huggingface, detectionSource, relatedModels } = finding.modelInfo;
@@ -1087,10 +1645,6 @@ function generateSPDX(analysisResult, selectedFindings) {
             
             // HuggingFace-specific metadata
             if (huggingface) {
-                if (huggingface.license) {
-                    aiPackage.licenseConcluded = huggingface.license;
-                }
-                
                 // Information about application
                 aiPackage.informationAboutApplication = huggingface.verified
                     ? `HuggingFace model for ${huggingface.pipeline_tag || modelType || 'AI tasks'}. Downloads: ${huggingface.downloads?.toLocaleString()}, Likes: ${huggingface.likes}`
@@ -1142,13 +1696,14 @@ function generateSPDX(analysisResult, selectedFindings) {
                 aiPackage.limitation = 'Detection confidence may vary. Manual verification recommended.';
             }
             
-            spdx.element.push(aiPackage);
+            elements.push(aiPackage);
+            appendSPDXLicense(elements, relationships, aiId, huggingface?.license, { namespace, analyzedAt });
             
-            // Create relationship: repository DEPENDS_ON aiPackage
+            // Create relationship: repository (or submodule) DEPENDS_ON aiPackage
             relationships.push({
-                '@id': `${namespace}/Relationship-${idx}`,
+                '@id': `${namespace}/Relationship-${idPrefix}${idx}`,
                 'type': 'Relationship',
-                'spdxId': `${namespace}/Relationship-${idx}`,
+                'spdxId': `${namespace}/Relationship-${idPrefix}${idx}`,
                 'creationInfo': {
                     'type': 'CreationInfo',
                     'specVersion': '3.0.1',
@@ -1156,7 +1711,7 @@ function generateSPDX(analysisResult, selectedFindings) {
                     'createdBy': ['Tool: AI BOM Generator-1.0.0']
                 },
                 'relationshipType': 'dependsOn',
-                'from': repoId,
+                'from': fromId,
                 'to': [aiId],
                 'completeness': 'noAssertion'
             });
@@ -1180,12 +1735,40 @@ function generateSPDX(analysisResult, selectedFindings) {
                 'primaryPurpose': 'library'
             };
             
-            spdx.element.push(libPackage);
+            const dependencyInfo = finding.dependencyInfo;
+            const purl = dependencyInfo && getDependencyPurl(dependencyInfo);
+            if (purl) {
+                libPackage.externalIdentifier = [{
+                    'type': 'ExternalIdentifier',
+                    'externalIdentifierType': 'purl',
+                    'identifier': purl
+                }];
+            }
+            if (dependencyInfo?.aiCategory) {
+                libPackage.comment = `${AI_CATALOG.categories[dependencyInfo.aiCategory]} (${dependencyInfo.provider})`;
+            }
+            
+            // Lockfile-pinned dependency: exact version and integrity hashes
+            if (dependencyInfo?.locked) {
+                libPackage.name = dependencyInfo.name;
+                libPackage.packageVersion = dependencyInfo.version;
+                const hashes = (dependencyInfo.hashes || []).map(lockfileHashToCycloneDX).filter(Boolean);
+                if (hashes.length > 0) {
+                    libPackage.verifiedUsing = hashes.map(hash => ({
+                        'type': 'Hash',
+                        'algorithm': hash.alg.toLowerCase().replace('-', ''),
+                        'hashValue': hash.content
+                    }));
+                }
+            }
+            
+            elements.push(libPackage);
+            if (dependencyInfo) appendSPDXLicense(elements, relationships, libId, dependencyInfo.license, { namespace, analyzedAt });
             
             relationships.push({
-                '@id': `${namespace}/Relationship-lib-${idx}`,
+                '@id': `${namespace}/Relationship-lib-${idPrefix}${idx}`,
                 'type': 'Relationship',
-                'spdxId': `${namespace}/Relationship-lib-${idx}`,
+                'spdxId': `${namespace}/Relationship-lib-${idPrefix}${idx}`,
                 'creationInfo': {
                     'type': 'CreationInfo',
                     'specVersion': '3.0.1',
@@ -1193,12 +1776,232 @@ function generateSPDX(analysisResult, selectedFindings) {
                     'createdBy': ['Tool: AI BOM Generator-1.0.0']
                 },
                 'relationshipType': 'dependsOn',
-                'from': repoId,
+                'from': fromId,
                 'to': [libId],
                 'completeness': 'noAssertion'
             });
+            
+            // Model weights stored in Git LFS: the repository contains files verified by the object's SHA-256
+            (finding.modelFiles || []).filter(f => f.lfs).forEach((modelFile, fileIdx) => {
+                const fileId = `${namespace}/File-${generateShortId()}`;
+                elements.push({
+                    '@id': fileId,
+                    'type': 'software_File',
+                    'spdxId': fileId,
+                    'creationInfo': {
+                        'type': 'CreationInfo',
+                        'specVersion': '3.0.1',
+                        'created': analyzedAt,
+                        'createdBy': ['Tool: AI BOM Generator-1.0.0']
+                    },
+                    'name': modelFile.file,
+                    'summary': `Model weights stored in Git LFS (${modelFile.lfs.size} bytes)`,
+                    'primaryPurpose': 'model',
+                    'verifiedUsing': [{
+                        'type': 'Hash',
+                        'algorithm': 'sha256',
+                        'hashValue': modelFile.lfs.oid
+                    }]
+                });
+                relationships.push({
+                    '@id': `${namespace}/Relationship-file-${idPrefix}${idx}-${fileIdx}`,
+                    'type': 'Relationship',
+                    'spdxId': `${namespace}/Relationship-file-${idPrefix}${idx}-${fileIdx}`,
+                    'creationInfo': {
+                        'type': 'CreationInfo',
+                        'specVersion': '3.0.1',
+                        'created': analyzedAt,
+                        'createdBy': ['Tool: AI BOM Generator-1.0.0']
+                    },
+                    'relationshipType': 'contains',
+                    'from': fromId,
+                    'to': [fileId],
+                    'completeness': 'noAssertion'
+                });
+            });
         }
     });
+}
+
+/**
+ * Relate an element to its license with hasConcludedLicense
+ * Each distinct license is one LicenseExpression element shared by every package under it.
+ */
+function appendSPDXLicense(elements, relationships, elementId, value, { namespace, analyzedAt }) {
+    const license = normalizeLicense(value);
+    if (!license) return;
+    const licenseId = `${namespace}/License-${license.expression.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-|-$/g, '')}`;
+    if (!elements.some(element => element['@id'] === licenseId)) {
+        elements.push({
+            '@id': licenseId,
+            'type': 'simplelicensing_LicenseExpression',
+            'spdxId': licenseId,
+            'creationInfo': {
+                'type': 'CreationInfo',
+                'specVersion': '3.0.1',
+                'created': analyzedAt,
+                'createdBy': ['Tool: AI BOM Generator-1.0.0']
+            },
+            'simplelicensing_licenseExpression': license.expression
+        });
+    }
+    const relationshipId = `${namespace}/Relationship-license-${generateShortId()}`;
+    relationships.push({
+        '@id': relationshipId,
+        'type': 'Relationship',
+        'spdxId': relationshipId,
+        'creationInfo': {
+            'type': 'CreationInfo',
+            'specVersion': '3.0.1',
+            'created': analyzedAt,
+            'createdBy': ['Tool: AI BOM Generator-1.0.0']
+        },
+        'relationshipType': 'hasConcludedLicense',
+        'from': elementId,
+        'to': [licenseId]
+    });
+}
+
+/**
+ * Append SPDX packages for git submodules: the parent contains each submodule, versioned by its pinned commit,
+ * and scanned submodules depend on the AI components found in them
+ */
+function appendSPDXSubmoduleElements(elements, relationships, submodules, { fromId, namespace, analyzedAt, repository, idPrefix = '' }) {
+    (submodules || []).forEach((submodule, idx) => {
+        const prefix = `${idPrefix}sub${idx}-`;
+        const subId = `${namespace}/Submodule-${generateShortId()}`;
+        const subPackage = {
+            '@id': subId,
+            'type': 'software_Package',
+            'spdxId': subId,
+            'creationInfo': {
+                'type': 'CreationInfo',
+                'specVersion': '3.0.1',
+                'created': analyzedAt,
+                'createdBy': ['Tool: AI BOM Generator-1.0.0']
+            },
+            'name': submodule.repo || submodule.name,
+            'summary': `Git submodule at ${submodule.path}`,
+            'packageVersion': submodule.sha,
+            'downloadLocation': submodule.url || 'NOASSERTION',
+            'primaryPurpose': 'source'
+        };
+        if (submodule.owner) {
+            subPackage.externalIdentifier = [{
+                'type': 'ExternalIdentifier',
+                'externalIdentifierType': 'purl',
+                'identifier': getRepositoryPurl({ platform: 'github', owner: submodule.owner, repo: submodule.repo, ref: submodule.sha, host: repository.host })
+            }];
+        }
+        elements.push(subPackage);
+        
+        relationships.push({
+            '@id': `${namespace}/Relationship-${prefix}contains`,
+            'type': 'Relationship',
+            'spdxId': `${namespace}/Relationship-${prefix}contains`,
+            'creationInfo': {
+                'type': 'CreationInfo',
+                'specVersion': '3.0.1',
+                'created': analyzedAt,
+                'createdBy': ['Tool: AI BOM Generator-1.0.0']
+            },
+            'relationshipType': 'contains',
+            'from': fromId,
+            'to': [subId],
+            'completeness': 'noAssertion'
+        });
+        
+        if (submodule.result) {
+            const context = { fromId: subId, namespace, analyzedAt, idPrefix: prefix };
+            appendSPDXFindingElements(elements, relationships, submodule.result.findings, context);
+            appendSPDXSubmoduleElements(elements, relationships, submodule.result.submodules, { ...context, repository: submodule.result.repository });
+        }
+    });
+}
+
+function generateSPDX(analysisResult, selectedFindings) {
+    const { repository, analyzedAt, inventory } = analysisResult;
+    // Local sources have no repository URL; fall back to the SPDX convention for document namespaces
+    const namespace = repository.htmlUrl
+        ? `${repository.htmlUrl}/spdx/${generateSPDXId()}`
+        : `https://spdx.org/spdxdocs/${encodeURIComponent(repository.repo)}-${generateSPDXId()}`;
+    const docId = `${namespace}/SpdxDocument`;
+    
+    // SPDX 3.0.1 uses JSON-LD format
+    const spdx = {
+        '@context': 'https://spdx.org/rdf/3.0.1/spdx-context.jsonld',
+        '@id': docId,
+        'type': 'SpdxDocument',
+        'spdxId': docId,
+        'creationInfo': {
+            'type': 'CreationInfo',
+            'specVersion': '3.0.1',
+            'created': analyzedAt,
+            'createdBy': ['Tool: AI BOM Generator-1.0.0'],
+            'comment': `AI package catalog ${AI_CATALOG.version}`,
+            'profile': [
+                'core',
+                'software',
+                'ai',
+                'simpleLicensing'
+            ]
+        },
+        'name': `AI BOM for ${repository.fullName}`,
+        'namespaceMap': [{
+            'prefix': 'ex',
+            'namespace': namespace
+        }],
+        'element': [],
+        'rootElement': []
+    };
+    
+    // Main repository element
+    const repoId = `${namespace}/Repository`;
+    const repoElement = {
+        '@id': repoId,
+        'type': 'software_Package',
+        'spdxId': repoId,
+        'creationInfo': {
+            'type': 'CreationInfo',
+            'specVersion': '3.0.1',
+            'created': analyzedAt,
+            'createdBy': ['Tool: AI BOM Generator-1.0.0']
+        },
+        'name': repository.repo,
+        'summary': repository.description || '',
+        'packageVersion': getRepositoryVersion(repository),
+        'downloadLocation': repository.htmlUrl || 'NOASSERTION',
+        'homepage': repository.htmlUrl || undefined,
+        'sourceInfo': `${getRepositorySourceLabel(repository)}: ${repository.fullName}${repository.refName ? ` @ ${repository.refName}` : ''}${repository.subPath ? ` (${repository.subPath}/)` : ''}`,
+        'primaryPurpose': 'application',
+        'externalIdentifier': [{
+            'type': 'ExternalIdentifier',
+            'externalIdentifierType': 'purl',
+            'identifier': getRepositoryPurl(repository)
+        }]
+    };
+    
+    const inventoryComments = [];
+    if (inventory && !inventory.complete) {
+        inventoryComments.push(`File inventory incomplete: ${inventory.skippedDirectories.length} directories could not be listed (${inventory.skippedDirectories.join(', ')})`);
+    }
+    if (inventory?.skippedFiles?.length > 0) {
+        inventoryComments.push(`Files not inspected: ${inventory.skippedFiles.map(f => `${f.path} (${f.reason})`).join(', ')}`);
+    }
+    if (inventoryComments.length > 0) {
+        repoElement.comment = inventoryComments.join('. ');
+    }
+    
+    spdx.element.push(repoElement);
+    spdx.rootElement.push(repoId);
+    
+    // Create relationships array
+    const relationships = [];
+    appendSPDXLicense(spdx.element, relationships, repoId, repository.license, { namespace, analyzedAt });
+    
+    // Add AI packages and libraries for each finding
+    appendSPDXFindingElements(spdx.element, relationships, selectedFindings, { fromId: repoId, namespace, analyzedAt });
+    appendSPDXSubmoduleElements(spdx.element, relationships, analysisResult.submodules, { fromId: repoId, namespace, analyzedAt, repository });
     
     // Add all relationships to element array
     spdx.element.push(...relationships);
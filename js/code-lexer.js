@@ -0,0 +1,345 @@
+// Lightweight lexer separating code, comments and string literals
+// Detectors match patterns against whole files; the lexer tells whether a match sits in code, a comment,
+// a docstring or a string literal, so that a commented-out "# import openai" or a docstring mentioning
+// "gpt-4" can be told apart from real usage. It is not a parser: it only follows the token boundaries
+// that matter for this (escapes, triple-quoted and raw strings, template literals, regex literals).
+
+const CODE_LEXER_EXTENSIONS = {
+    python: ['.py', '.pyw', '.pyi'],
+    javascript: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'],
+    go: ['.go'],
+    java: ['.java']
+};
+
+// Match contexts that document code rather than run it (scanOptions.ignoreCommentMatches)
+const COMMENT_CONTEXTS = ['comment', 'docstring'];
+
+// Characters after which "/" starts a regex literal rather than a division (JavaScript)
+const REGEX_PRECEDING_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_PRECEDING_KEYWORD = /\b(?:return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)$/;
+
+// Characters after which a Python triple-quoted string continues an expression instead of being a docstring
+const PYTHON_EXPRESSION_CHARS = '([{,=+-*/%<>|&^~\\';
+
+/**
+ * Lexer language of a file, from its extension
+ * @returns {string|null} python, javascript (also TypeScript), go, java, or null for other files
+ */
+function getCodeLanguage(path) {
+    const ext = (path.match(/\.[^./]+$/)?.[0] || '').toLowerCase();
+    return Object.keys(CODE_LEXER_EXTENSIONS).find(language => CODE_LEXER_EXTENSIONS[language].includes(ext)) || null;
+}
+
+/**
+ * Split source code into comment, docstring and string literal regions
+ * Unterminated strings and comments run to the end of their line (or of the file for block forms).
+ * @param {string} content - File content
+ * @param {string} language - python, javascript, go or java (see getCodeLanguage)
+ * @returns {Array<{kind: string, start: number, end: number}>} Regions in file order; everything between them is code
+ */
+function lexCode(content, language) {
+    const regions = [];
+    const length = content.length;
+    const add = (kind, start, end) => {
+        if (end > start) regions.push({ kind, start, end });
+        return end;
+    };
+    const lineEnd = from => {
+        const index = content.indexOf('\n', from);
+        return index === -1 ? length : index;
+    };
+    // End of a quoted literal starting at i: the closing delimiter, or the end of the line for single-line forms
+    const quoted = (i, delimiter, { escapes = true, multiline = false } = {}) => {
+        let j = i + delimiter.length;
+        while (j < length) {
+            if (escapes && content[j] === '\\') {
+                j += 2;
+            } else if (content.startsWith(delimiter, j)) {
+                return j + delimiter.length;
+            } else if (content[j] === '\n' && !multiline) {
+                return j;
+            } else {
+                j++;
+            }
+        }
+        return length;
+    };
+    const blockComment = i => {
+        const close = content.indexOf('*/', i + 2);
+        return close === -1 ? length : close + 2;
+    };
+    
+    if (language === 'python') {
+        let lastCode = ''; // Last code character
+        let previous = ''; // Last code character before the current line
+        let i = 0;
+        while (i < length) {
+            const char = content[i];
+            if (char === '\n') {
+                previous = lastCode;
+                i++;
+            } else if (char === '#') {
+                i = add('comment', i, lineEnd(i));
+            } else if (char === '"' || char === "'") {
+                const triple = char.repeat(3);
+                if (content.startsWith(triple, i)) {
+                    // A triple-quoted string alone at the start of a line, not continuing an expression, documents code
+                    const before = content.slice(content.lastIndexOf('\n', i - 1) + 1, i).replace(/[rbuf]{1,2}$/i, '');
+                    const docstring = !before.trim() && !(previous && PYTHON_EXPRESSION_CHARS.includes(previous));
+                    i = add(docstring ? 'docstring' : 'string', i, quoted(i, triple, { multiline: true }));
+                } else {
+                    i = add('string', i, quoted(i, char));
+                }
+                lastCode = char;
+            } else {
+                if (!/\s/.test(char)) lastCode = char;
+                i++;
+            }
+        }
+        return regions;
+    }
+    
+    // C-style languages; JavaScript template literals nest code in ${...}, so that part recurses
+    const lexRange = (i, insideTemplate) => {
+        let previous = '';
+        let previousIndex = -1;
+        let depth = 0;
+        while (i < length) {
+            const char = content[i];
+            const next = content[i + 1];
+            if (char === '/' && next === '/') {
+                i = add('comment', i, lineEnd(i));
+            } else if (char === '/' && next === '*') {
+                i = add('comment', i, blockComment(i));
+            } else if (char === '"' && language === 'java' && content.startsWith('"""', i)) {
+                i = add('string', i, quoted(i, '"""', { multiline: true }));
+                previous = '"';
+            } else if (char === '"' || char === "'") {
+                i = add('string', i, quoted(i, char));
+                previous = char;
+            } else if (char === '`' && language === 'go') {
+                i = add('string', i, quoted(i, '`', { escapes: false, multiline: true }));
+                previous = char;
+            } else if (char === '`' && language === 'javascript') {
+                i = lexTemplate(i);
+                previous = char;
+            } else if (char === '/' && language === 'javascript' && (!previous || REGEX_PRECEDING_CHARS.includes(previous) ||
+                (/\w/.test(previous) && REGEX_PRECEDING_KEYWORD.test(content.slice(Math.max(0, previousIndex - 10), previousIndex + 1))))) {
+                i = add('string', i, regexLiteral(i));
+                previous = '/';
+            } else {
+                if (insideTemplate && char === '{') depth++;
+                if (insideTemplate && char === '}' && depth-- === 0) return i;
+                if (!/\s/.test(char)) {
+                    previous = char;
+                    previousIndex = i;
+                }
+                i++;
+            }
+        }
+        return i;
+    };
+    const lexTemplate = start => {
+        let i = start + 1;
+        let chunkStart = start;
+        while (i < length) {
+            if (content[i] === '\\') {
+                i += 2;
+            } else if (content[i] === '`') {
+                return add('string', chunkStart, i + 1);
+            } else if (content[i] === '$' && content[i + 1] === '{') {
+                add('string', chunkStart, i + 2);
+                i = lexRange(i + 2, true);
+                chunkStart = i;
+                i++;
+            } else {
+                i++;
+            }
+        }
+        return add('string', chunkStart, length);
+    };
+    const regexLiteral = start => {
+        let i = start + 1;
+        let inClass = false;
+        while (i < length && content[i] !== '\n') {
+            const char = content[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                i++;
+                while (i < length && /[a-z]/i.test(content[i])) i++; // flags
+                return i;
+            }
+            i++;
+        }
+        return i;
+    };
+    
+    lexRange(0, false);
+    return regions;
+}
+
+/**
+ * Context of a match: the kind of the region containing it, or 'code' when it lies in code or spans
+ * code and a literal ("openai.ChatCompletion" in code, "gpt-4" in a string)
+ * @param {Array} regions - Output of lexCode
+ * @returns {string} code, comment, docstring or string
+ */
+function getMatchContext(regions, start, end = start + 1) {
+    let low = 0;
+    let high = regions.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const region = regions[middle];
+        if (start < region.start) {
+            high = middle - 1;
+        } else if (start >= region.end) {
+            low = middle + 1;
+        } else {
+            return end <= region.end ? region.kind : 'code';
+        }
+    }
+    return 'code';
+}
+
+/**
+ * Classify matches in the raw JSON of a Jupyter notebook
+ * The lines of all code cells are lexed together as one Python file; matches in markdown and raw cells
+ * count as comments, and matches elsewhere (outputs, metadata) as strings. Notebooks that do not parse
+ * are not classified.
+ * @returns {(start: number, end?: number) => string}
+ */
+function createNotebookClassifier(content) {
+    let cells;
+    try {
+        cells = JSON.parse(content).cells;
+    } catch (error) {
+        return () => 'code';
+    }
+    if (!Array.isArray(cells)) return () => 'code';
+    
+    // Source lines as JSON string literals in the raw text: {start, end} of the literal's body, and the
+    // offset of the decoded line in the Python text for code cells
+    const lines = [];
+    let python = '';
+    const sourceKey = /"source"\s*:\s*/g;
+    const literal = /"(?:\\.|[^"\\])*"/y;
+    for (const cell of cells) {
+        const key = sourceKey.exec(content);
+        if (!key) break;
+        let i = key.index + key[0].length;
+        const isList = content[i] === '[';
+        if (isList) i++;
+        do {
+            while (/[\s,]/.test(content[i] || '')) i++;
+            literal.lastIndex = i;
+            const match = literal.exec(content);
+            if (!match) break;
+            const line = { start: i + 1, end: i + match[0].length - 1 };
+            if (cell?.cell_type === 'code') {
+                line.offset = python.length;
+                python += JSON.parse(match[0]);
+            }
+            lines.push(line);
+            i += match[0].length;
+        } while (isList);
+        if (cell?.cell_type === 'code' && python && !python.endsWith('\n')) python += '\n';
+        sourceKey.lastIndex = i;
+    }
+    const regions = lexCode(python, 'python');
+    
+    // Length of a stretch of a JSON string body once decoded ("\n" is one character)
+    const decodedLength = raw => {
+        try {
+            // A stretch ending inside an escape ("\\" then "n") drops the unfinished escape
+            const complete = /(^|[^\\])(\\\\)*\\$/.test(raw) ? raw.slice(0, -1) : raw;
+            return JSON.parse(`"${complete}"`).length;
+        } catch (error) {
+            return raw.length;
+        }
+    };
+    return (start, end = start + 1) => {
+        let low = 0;
+        let high = lines.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const line = lines[middle];
+            if (start < line.start) {
+                high = middle - 1;
+            } else if (start >= line.end) {
+                low = middle + 1;
+            } else {
+                if (line.offset === undefined) return 'comment';
+                const from = line.offset + decodedLength(content.slice(line.start, start));
+                const to = line.offset + decodedLength(content.slice(line.start, Math.min(end, line.end)));
+                return getMatchContext(regions, from, Math.max(to, from + 1));
+            }
+        }
+        return 'string';
+    };
+}
+
+/**
+ * Lex a file once and classify matches in it
+ * Notebooks are classified by their cells (createNotebookClassifier); files of other languages
+ * (configuration) are not lexed and every match counts as code.
+ * @returns {(start: number, end?: number) => string} Context of the match at those offsets
+ */
+function createMatchClassifier(path, content) {
+    if (path.toLowerCase().endsWith('.ipynb')) return createNotebookClassifier(content);
+    const language = getCodeLanguage(path);
+    if (!language) return () => 'code';
+    const regions = lexCode(content, language);
+    return (start, end) => getMatchContext(regions, start, end);
+}
+
+/**
+ * Top-level entries of a bracketed list: call arguments, or the entries of an object / dict literal
+ * Commas inside nested brackets, strings and comments do not split; comments are left out of the entry text.
+ * @param {Array} regions - Output of lexCode for the content (empty for unlexed files)
+ * @param {number} open - Offset of the opening bracket
+ * @returns {{end: number, entries: string[]}|null} end is the offset after the closing bracket;
+ *   null when the bracket is not closed
+ */
+function splitBracketed(content, regions, open) {
+    const closing = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    const entries = [];
+    let entry = '';
+    // First region at or after the bracket
+    let r = 0;
+    while (r < regions.length && regions[r].end <= open) r++;
+    
+    let i = open;
+    while (i < content.length) {
+        if (r < regions.length && regions[r].start === i) {
+            const region = regions[r++];
+            if (stack.length > 0 && !COMMENT_CONTEXTS.includes(region.kind)) entry += content.slice(i, region.end);
+            i = region.end;
+            continue;
+        }
+        const char = content[i];
+        if (closing[char]) {
+            if (stack.length > 0) entry += char;
+            stack.push(closing[char]);
+        } else if (char === stack[stack.length - 1]) {
+            stack.pop();
+            if (stack.length === 0) {
+                if (entry.trim()) entries.push(entry.trim());
+                return { end: i + 1, entries };
+            }
+            entry += char;
+        } else if (char === ',' && stack.length === 1) {
+            entries.push(entry.trim());
+            entry = '';
+        } else if (stack.length > 0) {
+            entry += char;
+        }
+        i++;
+    }
+    return null;
+}
@@ -1,100 +1,78 @@
 // Constants and patterns for AI/LLM detection
 
 const GITHUB_API_BASE = 'https://api.github.com';
+const GITHUB_HTML_BASE = 'https://github.com';
 const HUGGINGFACE_API_BASE = 'https://huggingface.co/api';
+const GITLAB_DEFAULT_BASE = 'https://gitlab.com';
 
-const LLM_DEPENDENCIES = {
-    python: [
-        'openai', 'anthropic', 'google-generativeai', 'langchain', 'langchain-openai',
-        'langchain-anthropic', 'langchain-google-genai', 'llama-index', 'llama-index-core',
-        'haystack-ai', 'transformers', 'sentence-transformers', 'vllm', 'huggingface-hub',
-        'llama-cpp-python', 'litellm', 'cohere', 'replicate', 'stability-sdk', 'together',
-        'pinecone-client', 'chromadb', 'weaviate-client', 'qdrant-client', 'faiss-cpu', 'faiss-gpu'
-    ],
-    node: [
-        'openai', '@anthropic-ai/sdk', '@google/generative-ai', 'langchain', 'langchain-openai',
-        'langchain-anthropic', 'ai', 'llamaindex', '@mistralai/mistralai', 'cohere-ai',
-        'replicate', '@huggingface/inference', '@pinecone-database/pinecone', 'chromadb',
-        'weaviate-client', 'qdrant-client', 'vectordb'
-    ],
-    go: ['github.com/sashabaranov/go-openai', 'github.com/anthropics/anthropic-sdk-go', 
-         'github.com/google/generative-ai-go', 'github.com/tmc/langchaingo'],
-    java: ['com.openai:openai-java', 'com.anthropic:anthropic-sdk-java', 
-           'com.google.cloud:google-cloud-aiplatform', 'dev.langchain4j:langchain4j'],
-    rust: ['async-openai', 'anthropic-sdk', 'llm-chain']
-};
+// Largest file whose content is fetched and inspected; bigger files are recorded as skipped
+const FILE_CONTENT_MAX_BYTES = 10 * 1024 * 1024;
+// Source files over this size are not read by the code detector's file scanning
+const CODE_SCAN_MAX_FILE_BYTES = 500000;
+// Default budget of a full content scan (scanOptions.fullScanMaxFiles / fullScanMaxBytes); contents stay in
+// the per-scan fetcher cache and each remote file costs a request, so very large monorepos are cut off here
+const FULL_SCAN_MAX_FILES = 5000;
+const FULL_SCAN_MAX_BYTES = 100 * 1024 * 1024;
+// Files fetched and scanned per batch by the code detector
+const CODE_SCAN_BATCH_FILES = 200;
+// A concrete version: no range, wildcard or dynamic selector (^1.0, 1.+, latest.release, [1.0,2.0))
+const EXACT_VERSION_PATTERN = /^v?\d[\w.-]*(?:\+[\w.-]+)?$/;
+// Leading bytes checked for NUL characters when deciding whether a file is binary
+const BINARY_SNIFF_BYTES = 8000;
+
+// Package names per ecosystem, from AI_CATALOG (ai-catalog.js)
+const LLM_DEPENDENCIES = Object.fromEntries(
+    Object.entries(AI_CATALOG.packages).map(([ecosystem, entries]) => [ecosystem, entries.map(entry => entry.name)])
+);
 
 const MANIFEST_FILES = {
-    python: ['requirements.txt', 'pyproject.toml', 'Pipfile', 'Pipfile.lock', 'setup.py', 'poetry.lock'],
+    python: ['requirements.txt', 'pyproject.toml', 'Pipfile', 'Pipfile.lock', 'setup.py', 'setup.cfg', 'environment.yml',
+             'environment.yaml', 'poetry.lock', 'uv.lock', 'pdm.lock'],
     node: ['package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'],
     go: ['go.mod', 'go.sum'],
-    java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
-    rust: ['Cargo.toml', 'Cargo.lock']
+    java: ['pom.xml', 'build.gradle', 'build.gradle.kts', 'libs.versions.toml'],
+    rust: ['Cargo.toml', 'Cargo.lock'],
+    ruby: ['Gemfile', 'Gemfile.lock'],
+    php: ['composer.json', 'composer.lock'],
+    // "*.ext" entries match any file with that extension
+    dotnet: ['*.csproj', '*.fsproj', '*.vbproj', 'packages.config', 'Directory.Packages.props', 'packages.lock.json'],
+    swift: ['Package.swift', 'Package.resolved']
 };
 
-const SDK_PATTERNS = {
-    python: [
-        { pattern: /import\s+openai/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /from\s+openai\s+import/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /openai\.ChatCompletion/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /openai\.chat\.completions/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /openai\.Embedding/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /OpenAI\(/i, provider: 'OpenAI', weight: 5 },
-        
-        { pattern: /import\s+anthropic/i, provider: 'Anthropic', weight: 5 },
-        { pattern: /from\s+anthropic\s+import/i, provider: 'Anthropic', weight: 5 },
-        { pattern: /Anthropic\(/i, provider: 'Anthropic', weight: 5 },
-        { pattern: /messages\.create\(/i, provider: 'Anthropic', weight: 4 },
-        
-        { pattern: /import\s+google\.generativeai/i, provider: 'Google', weight: 5 },
-        { pattern: /genai\.GenerativeModel/i, provider: 'Google', weight: 5 },
-        { pattern: /\.generate_content\(/i, provider: 'Google', weight: 4 },
-        
-        { pattern: /from\s+langchain/i, provider: 'LangChain', weight: 4 },
-        { pattern: /import\s+langchain/i, provider: 'LangChain', weight: 4 },
-        
-        { pattern: /import\s+litellm/i, provider: 'LiteLLM', weight: 5 },
-        { pattern: /from\s+litellm\s+import/i, provider: 'LiteLLM', weight: 5 },
-        { pattern: /litellm\./i, provider: 'LiteLLM', weight: 4 },
-        
-        { pattern: /from\s+llama_index/i, provider: 'LlamaIndex', weight: 4 },
-        { pattern: /import\s+llama_index/i, provider: 'LlamaIndex', weight: 4 }
-    ],
-    
-    javascript: [
-        { pattern: /from\s+['"]openai['"]/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /require\s*\(\s*['"]openai['"]/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /new\s+OpenAI\s*\(/i, provider: 'OpenAI', weight: 5 },
-        { pattern: /\.chat\.completions\.create/i, provider: 'OpenAI', weight: 5 },
-        
-        { pattern: /from\s+['"]@anthropic-ai\/sdk['"]/i, provider: 'Anthropic', weight: 5 },
-        { pattern: /require\s*\(\s*['"]@anthropic-ai\/sdk['"]/i, provider: 'Anthropic', weight: 5 },
-        { pattern: /new\s+Anthropic\s*\(/i, provider: 'Anthropic', weight: 5 },
-        
-        { pattern: /from\s+['"]@google\/generative-ai['"]/i, provider: 'Google', weight: 5 },
-        { pattern: /GoogleGenerativeAI/i, provider: 'Google', weight: 5 },
-        
-        { pattern: /from\s+['"]langchain/i, provider: 'LangChain', weight: 4 },
-        { pattern: /require\s*\(\s*['"]langchain/i, provider: 'LangChain', weight: 4 },
-        
-        { pattern: /from\s+['"]ai['"]/i, provider: 'Vercel AI', weight: 4 },
-        { pattern: /generateText|streamText/i, provider: 'Vercel AI', weight: 4 }
-    ]
+// Package manager prefixes of GitHub dependency graph SBOM package names ("pip:openai") -> ecosystem
+const SBOM_PACKAGE_MANAGERS = {
+    pip: 'python',
+    npm: 'node',
+    go: 'go',
+    maven: 'java',
+    cargo: 'rust',
+    rust: 'rust',
+    rubygems: 'ruby',
+    composer: 'php',
+    nuget: 'dotnet',
+    swift: 'swift'
 };
 
-const API_ENDPOINTS = [
-    { pattern: /api\.openai\.com/i, provider: 'OpenAI', weight: 4 },
-    { pattern: /api\.anthropic\.com/i, provider: 'Anthropic', weight: 4 },
-    { pattern: /generativelanguage\.googleapis\.com/i, provider: 'Google', weight: 4 },
-    { pattern: /api\.groq\.com/i, provider: 'Groq', weight: 4 },
-    { pattern: /api\.openrouter\.ai/i, provider: 'OpenRouter', weight: 4 },
-    { pattern: /api\.together\.xyz/i, provider: 'Together AI', weight: 4 },
-    { pattern: /api\.cohere\.ai/i, provider: 'Cohere', weight: 4 },
-    { pattern: /api\.replicate\.com/i, provider: 'Replicate', weight: 4 },
-    { pattern: /\/v1\/chat\/completions/i, provider: 'OpenAI-compatible', weight: 3 },
-    { pattern: /\/v1\/completions/i, provider: 'OpenAI-compatible', weight: 3 },
-    { pattern: /\/v1\/embeddings/i, provider: 'OpenAI-compatible', weight: 3 }
-];
+const AI_CATALOG_PROVIDERS = Object.entries(AI_CATALOG.providers);
+
+function escapePatternText(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Code patterns per language: { pattern, provider, weight }
+const SDK_PATTERNS = Object.fromEntries(['python', 'javascript', 'go', 'java'].map(language => [
+    language,
+    AI_CATALOG_PROVIDERS.flatMap(([provider, info]) =>
+        (info.imports?.[language] || []).map(({ pattern, weight }) => ({ pattern, provider, weight })))
+]));
+
+const API_ENDPOINTS = AI_CATALOG_PROVIDERS.flatMap(([provider, info]) =>
+    (info.endpoints || []).map(endpoint => ({
+        pattern: new RegExp(escapePatternText(endpoint), 'i'),
+        provider,
+        weight: info.endpointWeight || 4
+    }))
+);
 
 // CONFIG_PATTERNS removed - we don't scan for API keys anymore
 // Reasons:
@@ -102,21 +80,39 @@ const API_ENDPOINTS = [
 // 2. Code/dependencies are better AI indicators
 // 3. Security: shouldn't log or expose secret references
 
-const MODEL_PATTERNS = [
-    { pattern: /gpt-4o/i, provider: 'OpenAI', model: 'GPT-4o' },
-    { pattern: /gpt-4-turbo|gpt-4-1106/i, provider: 'OpenAI', model: 'GPT-4 Turbo' },
-    { pattern: /gpt-4(?!\.)/i, provider: 'OpenAI', model: 'GPT-4' },
-    { pattern: /gpt-3\.5-turbo/i, provider: 'OpenAI', model: 'GPT-3.5 Turbo' },
-    { pattern: /claude-3-opus/i, provider: 'Anthropic', model: 'Claude 3 Opus' },
-    { pattern: /claude-3\.5-sonnet/i, provider: 'Anthropic', model: 'Claude 3.5 Sonnet' },
-    { pattern: /claude-3-sonnet/i, provider: 'Anthropic', model: 'Claude 3 Sonnet' },
-    { pattern: /claude-3-haiku/i, provider: 'Anthropic', model: 'Claude 3 Haiku' },
-    { pattern: /gemini-1\.5-pro/i, provider: 'Google', model: 'Gemini 1.5 Pro' },
-    { pattern: /gemini-1\.5-flash/i, provider: 'Google', model: 'Gemini 1.5 Flash' },
-    { pattern: /gemini-pro/i, provider: 'Google', model: 'Gemini Pro' },
-    { pattern: /mistral-large/i, provider: 'Mistral', model: 'Mistral Large' },
-    { pattern: /mixtral-8x7b/i, provider: 'Mistral', model: 'Mixtral 8x7B' }
-];
+/**
+ * Build the pattern matching a catalog model by any of its aliases
+ * An alias may carry a date / version suffix ("-20240620", "-0613", "-latest") but must not run
+ * into a longer name, so "gpt-4" does not match inside "gpt-4o" or "llama3" inside "llama3.2".
+ */
+function createModelAliasPattern(aliases) {
+    const alternatives = aliases.map(escapePatternText).join('|');
+    return new RegExp(`(?<![\\w.])(?:${alternatives})(?:-(?:\\d[\\w-]*|latest|preview))?(?![\\w.-])`, 'i');
+}
+
+// Models from AI_CATALOG: model is the display name, id the canonical name
+const MODEL_PATTERNS = AI_CATALOG_PROVIDERS.flatMap(([provider, info]) =>
+    (info.models || []).map(({ id, name, type, aliases }) => ({
+        pattern: createModelAliasPattern(aliases),
+        provider,
+        model: name,
+        id,
+        type
+    }))
+);
+
+// LLM call arguments read per call site (AI_CATALOG.llmCalls): parameter -> argument / option names across SDKs
+const LLM_CALL_PARAMETERS = {
+    model: ['model', 'model_name', 'modelName', 'model_id', 'modelId'],
+    temperature: ['temperature'],
+    maxTokens: ['max_tokens', 'maxTokens', 'max_completion_tokens', 'maxCompletionTokens', 'max_output_tokens', 'maxOutputTokens', 'max_tokens_to_sample'],
+    topP: ['top_p', 'topP'],
+    stream: ['stream', 'streaming'],
+    tools: ['tools', 'functions'],
+    responseFormat: ['response_format', 'responseFormat', 'response_mime_type', 'responseMimeType', 'response_schema', 'responseSchema', 'text_format']
+};
+// Arguments holding further generation options (Gemini generation_config / config, LangChain model_kwargs)
+const LLM_CALL_CONFIG_ARGUMENTS = ['generation_config', 'generationConfig', 'config', 'model_kwargs', 'modelKwargs'];
 
 const PROMPT_INDICATORS = [
     'You are a helpful assistant',
@@ -142,12 +138,13 @@ const CI_PATTERNS = [
     { pattern: /copilot-cli/i, description: 'GitHub Copilot CLI' }
 ];
 
+// lfs: true marks weight files that are usually committed as Git LFS pointers
 const MODEL_FILE_PATTERNS = [
-    { extension: '.gguf', description: 'GGUF model file (llama.cpp format)' },
-    { extension: '.safetensors', description: 'SafeTensors model file' },
-    { extension: '.bin', description: 'Binary model file', pathMatch: /models?|checkpoints?/i },
+    { extension: '.gguf', description: 'GGUF model file (llama.cpp format)', lfs: true },
+    { extension: '.safetensors', description: 'SafeTensors model file', lfs: true },
+    { extension: '.bin', description: 'Binary model file', pathMatch: /models?|checkpoints?/i, lfs: true },
     { filename: 'tokenizer.json', description: 'Tokenizer configuration' },
-    { filename: 'tokenizer.model', description: 'Tokenizer model' },
+    { filename: 'tokenizer.model', description: 'Tokenizer model', lfs: true },
     { filename: 'tokenizer_config.json', description: 'Tokenizer configuration' },
     { filename: 'config.json', description: 'Model configuration', pathMatch: /models?/i },
     { filename: 'generation_config.json', description: 'Generation configuration' },
@@ -156,6 +153,11 @@ const MODEL_FILE_PATTERNS = [
     { filename: 'model_index.json', description: 'Model index file' }
 ];
 
+// Git LFS pointer files are at most 1024 bytes (https://github.com/git-lfs/git-lfs/blob/main/docs/spec.md)
+const LFS_POINTER_MAX_BYTES = 1024;
+// Pointer candidates read per scan; larger weight collections keep the remaining files unpinned
+const LFS_POINTER_MAX_FILES = 100;
+
 // Hardware detection patterns for GPU/TPU/specialized compute
 const HARDWARE_PATTERNS = {
     gpu: {
@@ -48,13 +48,20 @@ async function metadataDetector({ repoMeta }) {
     return findings;
 }
 
-async function dependenciesDetector({ tree, getFileContent, owner, repo, token }) {
+async function dependenciesDetector({ tree, getFileContent, owner, repo, token, repoMeta }) {
     console.log('[Detector: Dependencies] Starting dependency analysis...');
     const findings = [];
     
-    // STEP 1: Try GitHub's SBOM API first
-    console.log('[Detector: Dependencies] Attempting to fetch SBOM from GitHub Dependency Graph API...');
-    const sbomResult = await fetchGitHubSBOM(owner, repo, token);
+    // STEP 1: Try GitHub's SBOM API first (other platforms have no equivalent, go straight to manifests)
+    let sbomResult = null;
+    if (canUseGitHubIndexedAPIs(repoMeta)) {
+        console.log('[Detector: Dependencies] Attempting to fetch SBOM from GitHub Dependency Graph API...');
+        sbomResult = await fetchGitHubSBOM(owner, repo, token);
+    } else if (!isGitHubSource(repoMeta)) {
+        console.log(`[Detector: Dependencies] Source is ${repoMeta.platform}, skipping GitHub Dependency Graph API`);
+    } else {
+        console.log(`[Detector: Dependencies] Scanning ${repoMeta.refName || 'a non-default ref'}${repoMeta.subPath ? ` (${repoMeta.subPath}/)` : ''}, skipping Dependency Graph API (default branch only)`);
+    }
     
     if (sbomResult && sbomResult.sbom) {
         console.log('[Detector: Dependencies] ✓ Successfully fetched SBOM from GitHub');
@@ -62,9 +69,9 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
         
         if (llmDeps.length > 0) {
             console.log(`[Detector: Dependencies] ✓ Found ${llmDeps.length} LLM dependencies via SBOM API`);
-            const sbomUrl = `https://github.com/${owner}/${repo}/network/dependencies`;
+            const sbomUrl = `${githubHost.htmlBase}/${owner}/${repo}/network/dependencies`;
             llmDeps.forEach(dep => {
-                findings.push({
+                const finding = {
                     id: `dep-${dep.ecosystem}-${dep.name.replace(/[^a-zA-Z0-9]/g, '-')}`,
                     title: `Dependency: ${dep.name}`,
                     category: 'dependencies',
@@ -73,7 +80,7 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
                     description: `LLM-related dependency: ${dep.name}${dep.version ? ` (version: ${dep.version})` : ''}`,
                     evidence: [{
                         file: 'GitHub Dependency Graph (SBOM)',
-                        snippet: `SPDX Package: ${dep.name}@${dep.version}`,
+                        snippet: `SPDX Package: ${dep.sbomName}@${dep.version}`,
                         url: sbomUrl
                     }],
                     dependencyInfo: {
@@ -81,10 +88,17 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
                         version: dep.version || 'unknown',
                         ecosystem: dep.ecosystem,
                         source: 'github-sbom-api',
-                        spdxId: dep.spdxId,
-                        license: dep.license
+                        spdxId: dep.spdxId
                     }
-                });
+                };
+                const license = normalizeLicense(dep.license);
+                if (license) finding.dependencyInfo.license = license.expression;
+                if (dep.direct !== undefined) finding.dependencyInfo.direct = dep.direct;
+                if (dep.introducedBy) finding.dependencyInfo.introducedBy = dep.introducedBy;
+                // The dependency graph resolves versions from lockfiles; a plain version (no range) is the installed one
+                if (EXACT_VERSION_PATTERN.test(dep.version)) finding.dependencyInfo.pinned = true;
+                addCatalogInfo(finding.dependencyInfo);
+                findings.push(finding);
             });
             
             console.log(`[Detector: Dependencies] Complete (via SBOM API). Findings: ${findings.length}`);
@@ -97,20 +111,32 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
         } else {
             console.log('[Detector: Dependencies] SBOM retrieved but no LLM dependencies found, falling back to manual parsing...');
         }
-    } else {
+    } else if (canUseGitHubIndexedAPIs(repoMeta)) {
         console.log('[Detector: Dependencies] ⚠️  SBOM API unavailable (dependency graph may not be enabled), falling back to manual parsing...');
     }
     
     // STEP 2: Fallback to manual manifest file parsing
     console.log('[Detector: Dependencies] Using manual manifest file parsing approach...');
+    const manifestNames = Object.values(MANIFEST_FILES).flat();
     const manifestFiles = tree.filter(entry => {
         const fileName = entry.path.split('/').pop();
-        return Object.values(MANIFEST_FILES).flat().includes(fileName);
+        return manifestNames.some(name => name.startsWith('*.') ? fileName.endsWith(name.slice(1)) : fileName === name);
     });
     
     console.log(`[Detector: Dependencies] Found ${manifestFiles.length} manifest files to analyze:`, manifestFiles.map(f => f.path));
     
+    // One finding per package: lockfile entries (exact version + hashes) win over manifest ranges
+    const findingsById = new Map();
+    
+    // Requirement files reached through -r / -c includes ("-r path" / "-c path")
+    const followedRequirements = new Set();
+    
+    await prefetchFileContents(getFileContent, manifestFiles.map(m => m.path));
     for (const manifest of manifestFiles) {
+        if (followedRequirements.has(`-r ${manifest.path}`)) {
+            console.log(`[Detector: Dependencies] ${manifest.path} already parsed as an include`);
+            continue;
+        }
         console.log(`[Detector: Dependencies] Analyzing ${manifest.path}...`);
         const content = await getFileContent(manifest.path);
         if (!content) {
@@ -130,10 +156,70 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
         
         if (manifest.path.endsWith('package.json')) {
             foundDeps = findInPackageJson(content, llmDeps);
+        } else if (manifest.path.endsWith('package-lock.json')) {
+            foundDeps = findInPackageLock(content, llmDeps);
+        } else if (manifest.path.endsWith('yarn.lock')) {
+            foundDeps = findInYarnLock(content, llmDeps);
+        } else if (manifest.path.endsWith('pnpm-lock.yaml')) {
+            foundDeps = findInPnpmLock(content, llmDeps);
         } else if (manifest.path.endsWith('requirements.txt')) {
             foundDeps = findInRequirements(content, llmDeps);
+        } else if (manifest.path.endsWith('setup.py')) {
+            foundDeps = findInSetupPy(content, llmDeps);
+        } else if (manifest.path.endsWith('setup.cfg')) {
+            foundDeps = findInSetupCfg(content, llmDeps);
+        } else if (manifest.path.match(/environment\.ya?ml$/)) {
+            foundDeps = findInCondaEnvironment(content, llmDeps);
+        } else if (manifest.path.endsWith('Pipfile.lock')) {
+            foundDeps = findInPipfileLock(content, llmDeps);
+        } else if (manifest.path.match(/(poetry|uv|pdm)\.lock$/)) {
+            foundDeps = findInPythonTomlLock(content, llmDeps);
         } else if (manifest.path.match(/pyproject\.toml|Pipfile/)) {
             foundDeps = findInPyproject(content, llmDeps);
+        } else if (manifest.path.endsWith('go.mod')) {
+            foundDeps = findInGoMod(content, llmDeps);
+        } else if (manifest.path.endsWith('pom.xml')) {
+            foundDeps = findInPom(content, llmDeps);
+        } else if (manifest.path.match(/build\.gradle(\.kts)?$/)) {
+            foundDeps = findInGradle(content, llmDeps);
+        } else if (manifest.path.endsWith('libs.versions.toml')) {
+            foundDeps = findInVersionCatalog(content, llmDeps);
+        } else if (manifest.path.endsWith('Cargo.toml')) {
+            foundDeps = findInCargoToml(content, llmDeps);
+        } else if (manifest.path.endsWith('Cargo.lock')) {
+            foundDeps = findInCargoLock(content, llmDeps);
+        } else if (manifest.path.endsWith('Gemfile')) {
+            foundDeps = findInGemfile(content, llmDeps);
+        } else if (manifest.path.endsWith('Gemfile.lock')) {
+            foundDeps = findInGemfileLock(content, llmDeps);
+        } else if (manifest.path.endsWith('composer.json')) {
+            foundDeps = findInComposerJson(content, llmDeps);
+        } else if (manifest.path.endsWith('composer.lock')) {
+            foundDeps = findInComposerLock(content, llmDeps);
+        } else if (manifest.path.endsWith('packages.lock.json')) {
+            foundDeps = findInNuGetLock(content, llmDeps);
+        } else if (manifest.path.match(/\.(cs|fs|vb)proj$|packages\.config$|Directory\.Packages\.props$/)) {
+            foundDeps = findInNuGetProject(content, llmDeps);
+        } else if (manifest.path.endsWith('Package.swift')) {
+            foundDeps = findInPackageSwift(content, llmDeps);
+        } else if (manifest.path.endsWith('Package.resolved')) {
+            foundDeps = findInPackageResolved(content, llmDeps);
+        }
+        
+        if (manifest.path.match(/requirements\.txt$|environment\.ya?ml$/)) {
+            followedRequirements.add(`-r ${manifest.path}`);
+            const included = await followRequirementIncludes(manifest.path, content, llmDeps, getFileContent, followedRequirements);
+            foundDeps = [...foundDeps, ...included.deps];
+            // Constraint files pin packages the requirements leave unversioned
+            foundDeps.forEach(dep => {
+                const constraint = included.constraints.get(normalizePythonPackageName(dep.name));
+                if (!constraint) return;
+                if (dep.version === 'unspecified') {
+                    dep.version = constraint.version;
+                    if (constraint.pinned) dep.pinned = true;
+                }
+                dep.constraint = constraint;
+            });
         }
         
         if (foundDeps.length > 0) {
@@ -141,7 +227,7 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
             
             // Create individual findings for each dependency (machine-readable)
             foundDeps.forEach(dep => {
-                findings.push({
+                const finding = {
                     id: `dep-${ecosystem}-${dep.name.replace(/[^a-zA-Z0-9]/g, '-')}`,
                     title: `Dependency: ${dep.name}`,
                     category: 'dependencies',
@@ -149,7 +235,7 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
                     weight: 5,
                     description: `LLM-related dependency: ${dep.name}${dep.version ? ` (version: ${dep.version})` : ''}`,
                     evidence: [{
-                        file: manifest.path,
+                        file: dep.file || manifest.path,
                         line: dep.line,
                         snippet: dep.snippet || dep.name
                     }],
@@ -157,16 +243,36 @@ async function dependenciesDetector({ tree, getFileContent, owner, repo, token }
                         name: dep.name,
                         version: dep.version || 'unknown',
                         ecosystem,
-                        manifestFile: manifest.path,
-                        source: 'manual-parsing'
+                        manifestFile: dep.file || manifest.path,
+                        source: dep.locked ? 'lockfile' : 'manual-parsing'
                     }
-                });
+                };
+                if (dep.locked) {
+                    finding.dependencyInfo.locked = true;
+                    finding.dependencyInfo.hashes = dep.hashes;
+                } else if (dep.pinned) {
+                    finding.dependencyInfo.pinned = true;
+                }
+                if (dep.managedBy) finding.dependencyInfo.managedBy = dep.managedBy;
+                if (dep.direct !== undefined) finding.dependencyInfo.direct = dep.direct;
+                if (dep.introducedBy) finding.dependencyInfo.introducedBy = dep.introducedBy;
+                if (dep.packageManager) finding.dependencyInfo.packageManager = dep.packageManager;
+                // Lockfiles that record package metadata (package-lock.json v2+, composer.lock) name the license
+                const license = normalizeLicense(dep.license);
+                if (license) finding.dependencyInfo.license = license.expression;
+                addCatalogInfo(finding.dependencyInfo);
+                if (dep.constraint) {
+                    finding.evidence.push({ file: dep.constraint.file, line: dep.constraint.line, snippet: `${dep.constraint.snippet} (constraint)` });
+                }
+                addDependencyFinding(findingsById, finding);
             });
         } else {
             console.log(`[Detector: Dependencies] No LLM dependencies found in ${manifest.path}`);
         }
     }
     
+    findings.push(...findingsById.values());
+    
     console.log(`[Detector: Dependencies] Complete (manual parsing). Findings: ${findings.length}`);
     // Return findings without SBOM metadata (fallback mode)
     return {
@@ -183,45 +289,37 @@ function extractLLMDependenciesFromSBOM(sbom) {
     // SPDX format: sbom.packages is an array of package objects
     const packages = sbom.packages || [];
     console.log(`[SBOM Parser] Processing ${packages.length} packages from SBOM...`);
-    
-    // Create a flat list of all known LLM dependencies (lowercase for matching)
-    const allKnownDeps = [
-        ...LLM_DEPENDENCIES.python,
-        ...LLM_DEPENDENCIES.node,
-        ...LLM_DEPENDENCIES.go,
-        ...LLM_DEPENDENCIES.java,
-        ...LLM_DEPENDENCIES.rust
-    ].map(d => d.toLowerCase());
+    const pathTo = traceSBOMDependencyPaths(sbom);
     
     for (const pkg of packages) {
-        const pkgName = pkg.name?.toLowerCase() || '';
+        const { manager, name } = splitSBOMPackageName(pkg.name || '');
         
         // Skip empty or invalid package names
-        if (!pkgName) continue;
-        
-        // Match exact or partial (for scoped packages like @anthropic-ai/sdk)
-        const isLLMDep = allKnownDeps.some(llmDep => {
-            const llmDepLower = llmDep.toLowerCase();
-            // Exact match
-            if (pkgName === llmDepLower) return true;
-            // Scoped package match (e.g., @anthropic-ai/sdk contains anthropic)
-            if (pkgName.includes(llmDepLower)) return true;
-            // Reverse match (for cases like langchain-openai matching langchain)
-            if (llmDepLower.includes(pkgName)) return true;
-            return false;
-        });
+        if (!name) continue;
         
-        if (isLLMDep) {
-            const ecosystem = detectEcosystemFromSPDX(pkg);
+        // Catalog lookup in the package's own ecosystem; all ecosystems when the SBOM does not tell
+        const detected = detectEcosystemFromSPDX(pkg, manager);
+        const ecosystem = AI_CATALOG.packages[detected]
+            ? detected
+            : Object.keys(AI_CATALOG.packages).find(candidate => findCatalogPackage(candidate, name)) || detected;
+        
+        if (findCatalogPackage(ecosystem, name)) {
             console.log(`[SBOM Parser] ✓ Found LLM dependency: ${pkg.name} (${ecosystem})`);
             
-            llmDeps.push({
-                name: pkg.name,
+            const dep = {
+                name,
+                sbomName: pkg.name,
                 version: pkg.versionInfo || 'unknown',
                 ecosystem,
                 spdxId: pkg.SPDXID,
                 license: pkg.licenseConcluded || pkg.licenseDeclared || 'unknown'
-            });
+            };
+            const path = pathTo && pathTo(pkg.SPDXID);
+            if (path) {
+                dep.direct = path.length === 1;
+                if (path.length > 1) dep.introducedBy = path.slice(0, -1);
+            }
+            llmDeps.push(dep);
         }
     }
     
@@ -229,7 +327,49 @@ function extractLLMDependenciesFromSBOM(sbom) {
     return llmDeps;
 }
 
-function detectEcosystemFromSPDX(pkg) {
+/**
+ * Install chains from the SPDX relationships of a GitHub SBOM
+ * The described package (the repository) DEPENDS_ON its direct dependencies; edges between
+ * packages carry the transitive ones. Without any package-to-package edge the graph only lists
+ * packages, so nothing can be told about how they arrive.
+ * @returns {function|null} SPDXID -> chain of package names (null when unreachable), or null without a usable graph
+ */
+function traceSBOMDependencyPaths(sbom) {
+    const relationships = sbom.relationships || [];
+    const roots = new Set(sbom.documentDescribes || relationships
+        .filter(rel => rel.relationshipType === 'DESCRIBES' && rel.spdxElementId === sbom.SPDXID)
+        .map(rel => rel.relatedSpdxElement));
+    const graph = new Map();
+    const addEdge = (from, to) => {
+        if (!graph.has(from)) graph.set(from, new Set());
+        graph.get(from).add(to);
+    };
+    relationships.forEach(rel => {
+        if (rel.relationshipType === 'DEPENDS_ON') addEdge(rel.spdxElementId, rel.relatedSpdxElement);
+        else if (rel.relationshipType === 'DEPENDENCY_OF') addEdge(rel.relatedSpdxElement, rel.spdxElementId);
+    });
+    if (roots.size === 0 || ![...graph.keys()].some(from => !roots.has(from))) return null;
+    
+    const names = new Map((sbom.packages || []).map(pkg => [pkg.SPDXID, splitSBOMPackageName(pkg.name || '').name]));
+    const direct = [...roots].flatMap(root => [...(graph.get(root) || [])]);
+    const trace = traceDependencyPaths(graph, direct);
+    console.log(`[SBOM Parser] Dependency graph: ${direct.length} direct packages, ${graph.size} packages with dependencies`);
+    return (spdxId) => trace(spdxId)?.map(id => names.get(id) || id) || null;
+}
+
+/**
+ * GitHub names SBOM packages with a package manager prefix ("pip:openai", "npm:@anthropic-ai/sdk",
+ * "maven:com.openai:openai-java"); other SBOMs use the bare name
+ * @returns {{manager: string|null, name: string}}
+ */
+function splitSBOMPackageName(sbomName) {
+    const match = sbomName.match(/^([a-z]+):(.+)$/);
+    return match && SBOM_PACKAGE_MANAGERS[match[1]]
+        ? { manager: match[1], name: match[2] }
+        : { manager: null, name: sbomName };
+}
+
+function detectEcosystemFromSPDX(pkg, manager = null) {
     // SPDX packages often have externalRefs that indicate the ecosystem
     const refs = pkg.externalRefs || [];
     for (const ref of refs) {
@@ -246,6 +386,7 @@ function detectEcosystemFromSPDX(pkg) {
                     'maven': 'java',
                     'cargo': 'rust',
                     'gem': 'ruby',
+                    'composer': 'php',
                     'nuget': 'dotnet'
                 };
                 return ecosystemMap[purlType] || purlType;
@@ -253,7 +394,8 @@ function detectEcosystemFromSPDX(pkg) {
         }
     }
     
-    // Fallback: try to infer from package name patterns
+    // Fallback: the package manager prefix, then the package name patterns
+    if (manager) return SBOM_PACKAGE_MANAGERS[manager];
     const pkgName = pkg.name || '';
     if (pkgName.startsWith('@')) return 'node'; // Scoped NPM package
     
@@ -270,11 +412,523 @@ function detectEcosystemFromSPDX(pkg) {
 }
 
 function detectEcosystem(path) {
-    if (path.match(/package\.json|yarn\.lock|pnpm-lock/)) return 'node';
-    if (path.match(/requirements\.txt|pyproject\.toml|Pipfile/)) return 'python';
+    if (path.match(/package(-lock)?\.json|yarn\.lock|pnpm-lock/)) return 'node';
+    if (path.match(/requirements\.txt|pyproject\.toml|Pipfile|(poetry|uv|pdm)\.lock$|setup\.(py|cfg)$|environment\.ya?ml$/)) return 'python';
+    if (path.match(/go\.(mod|sum)$/)) return 'go';
+    if (path.match(/pom\.xml$|build\.gradle(\.kts)?$|libs\.versions\.toml$/)) return 'java';
+    if (path.match(/Cargo\.(toml|lock)$/)) return 'rust';
+    if (path.match(/Gemfile(\.lock)?$/)) return 'ruby';
+    if (path.match(/composer\.(json|lock)$/)) return 'php';
+    if (path.match(/\.(cs|fs|vb)proj$|packages\.config$|Directory\.Packages\.props$|packages\.lock\.json$/)) return 'dotnet';
+    if (path.match(/Package\.(swift|resolved)$/)) return 'swift';
     return null;
 }
 
+/**
+ * Add a manifest dependency finding, merging it with an earlier finding for the same package
+ * Lockfile entries carry the exact resolved version and hashes, so their dependencyInfo wins;
+ * the manifest's declared version is kept as declaredVersion and evidence from both files is combined.
+ */
+function addDependencyFinding(findingsById, finding) {
+    const existing = findingsById.get(finding.id);
+    if (!existing) {
+        findingsById.set(finding.id, finding);
+        return;
+    }
+    
+    const [locked, loose] = finding.dependencyInfo.locked && !existing.dependencyInfo.locked
+        ? [finding, existing]
+        : [existing, finding];
+    const merged = { ...locked, evidence: [...existing.evidence, ...finding.evidence] };
+    if (locked.dependencyInfo.locked && !loose.dependencyInfo.locked) {
+        // Declared in a manifest, so direct even where the lockfile cannot tell (or traced it through another package)
+        const { introducedBy, ...lockedInfo } = locked.dependencyInfo;
+        merged.dependencyInfo = { ...lockedInfo, direct: true };
+        if (loose.dependencyInfo.version !== 'unspecified') {
+            merged.dependencyInfo.declaredVersion = loose.dependencyInfo.version;
+        }
+    } else if (!locked.dependencyInfo.locked && locked.dependencyInfo.version === 'unspecified' && loose.dependencyInfo.version !== 'unspecified') {
+        // e.g. a .csproj reference whose version is set centrally in Directory.Packages.props
+        merged.dependencyInfo = { ...locked.dependencyInfo, version: loose.dependencyInfo.version, ...(loose.dependencyInfo.pinned && { pinned: true }) };
+    }
+    findingsById.set(finding.id, merged);
+}
+
+/**
+ * Normalize a Python package name (PEP 503) so lockfile and LLM_DEPENDENCIES spellings compare equal
+ */
+function normalizePythonPackageName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Look up a dependency in AI_CATALOG.packages the way the ecosystem's parsers match names:
+ * normalized Python names, case-insensitive elsewhere, and JVM artifact suffixes (-core),
+ * NuGet sub-packages (.Connectors.OpenAI) and Go major versions (/v2) under their listed package
+ * @returns {{name: string, provider: string, category: string}|null}
+ */
+function findCatalogPackage(ecosystem, name) {
+    const entries = AI_CATALOG.packages[ecosystem] || [];
+    const normalize = ecosystem === 'python' ? normalizePythonPackageName : value => value.toLowerCase();
+    const id = normalize(name);
+    const separator = { java: '-', dotnet: '.', go: '/' }[ecosystem];
+    return entries.find(entry => normalize(entry.name) === id) ||
+        (separator && entries.find(entry => id.startsWith(normalize(entry.name) + separator))) ||
+        null;
+}
+
+/**
+ * Record the catalog category and provider of a dependency finding
+ */
+function addCatalogInfo(dependencyInfo, name = dependencyInfo.name) {
+    const entry = findCatalogPackage(dependencyInfo.ecosystem, name);
+    if (!entry) return;
+    dependencyInfo.aiCategory = entry.category;
+    dependencyInfo.provider = entry.provider;
+}
+
+/**
+ * Trace shortest install chains through a dependency graph (breadth-first from the direct dependencies)
+ * @param {Map<string, Iterable<string>>} graph - Package -> packages it depends on
+ * @param {Iterable<string>} roots - Direct dependencies
+ * @returns {function(string): string[]|null} Chain from a direct dependency down to the package, null when unreachable
+ */
+function traceDependencyPaths(graph, roots) {
+    const parents = new Map();
+    const queue = [];
+    for (const root of roots) {
+        if (parents.has(root)) continue;
+        parents.set(root, null);
+        queue.push(root);
+    }
+    for (let i = 0; i < queue.length; i++) {
+        for (const dep of graph.get(queue[i]) || []) {
+            if (parents.has(dep)) continue;
+            parents.set(dep, queue[i]);
+            queue.push(dep);
+        }
+    }
+    
+    return (name) => {
+        if (!parents.has(name)) return null;
+        const path = [];
+        for (let node = name; node !== null; node = parents.get(node)) path.unshift(node);
+        return path;
+    };
+}
+
+/**
+ * Packages in a lockfile graph that nothing else depends on
+ * Used as the direct dependencies for lockfiles that do not record them (Yarn classic, Poetry, Composer).
+ */
+function findUndependedPackages(graph) {
+    const dependedOn = new Set([...graph.values()].flatMap(deps => [...deps]));
+    return [...graph.keys()].filter(name => !dependedOn.has(name));
+}
+
+/**
+ * Record the chain of packages that pulls each lockfile result in (introducedBy)
+ * @param {Array} results - Lockfile dependencies
+ * @param {function} pathTo - From traceDependencyPaths
+ * @param {boolean} exactRoots - Roots are the declared direct dependencies; otherwise they were inferred
+ *   with findUndependedPackages, which only proves the packages nothing depends on are direct
+ * @param {function} key - Maps a package name to its graph key
+ */
+function addIntroducingPaths(results, pathTo, exactRoots, key = name => name) {
+    results.forEach(dep => {
+        const path = pathTo(key(dep.name));
+        if (!path) return;
+        if (path.length > 1) dep.introducedBy = path.slice(0, -1);
+        if (!exactRoots && path.length === 1) dep.direct = true;
+    });
+    return results;
+}
+
+/**
+ * Find LLM packages in Pipfile.lock (JSON with "default" and "develop" package maps)
+ * Lockfiles list every transitive package, so only exact LLM_DEPENDENCIES names are reported.
+ */
+function findInPipfileLock(content, llmDeps) {
+    try {
+        const lock = JSON.parse(content);
+        const lines = content.split('\n');
+        const wanted = new Set(llmDeps.map(normalizePythonPackageName));
+        const results = [];
+        
+        ['default', 'develop'].forEach(section => {
+            Object.entries(lock[section] || {}).forEach(([name, info]) => {
+                if (!wanted.has(normalizePythonPackageName(name))) return;
+                if (results.some(r => r.name === name)) return;
+                
+                const version = (info.version || '').replace(/^==/, '') || 'unspecified';
+                const lineIndex = lines.findIndex(line => line.includes(`"${name}": {`));
+                results.push({
+                    name,
+                    version,
+                    line: lineIndex + 1,
+                    snippet: `"${name}": ${info.version || 'unpinned'}${section === 'develop' ? ' (develop)' : ''}`,
+                    hashes: info.hashes || [],
+                    locked: true
+                });
+            });
+        });
+        
+        return results;
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Find LLM packages in TOML lockfiles with [[package]] tables: poetry.lock, uv.lock and pdm.lock
+ * Hashes come from the package's files / sdist / wheels entries, or from [metadata.files] in
+ * lockfiles written by Poetry before 1.5.
+ * Dependency edges come from [package.dependencies] (Poetry) or "dependencies" arrays (uv, PDM).
+ * uv also locks the project itself (an editable / virtual source), whose dependencies are the direct ones.
+ */
+function findInPythonTomlLock(content, llmDeps) {
+    const lines = content.split('\n');
+    const wanted = new Set(llmDeps.map(normalizePythonPackageName));
+    const packages = [];
+    const legacyHashes = new Map(); // normalized name -> hashes from [metadata.files]
+    let current = null;
+    let inPackageTable = false;
+    let dependencyTable = null; // 'keys' in [package.dependencies], 'arrays' in uv's optional / dev tables
+    let inDependencyArray = false;
+    let inMetadataFiles = false;
+    let metadataName = null;
+    // uv writes { name = "anyio" }, PDM "anyio>=3.5"
+    const dependencyNames = (text) => {
+        const names = [...text.matchAll(/\{\s*name\s*=\s*"([^"]+)"/g)].map(m => m[1]);
+        return names.length > 0 ? names : [...text.matchAll(/"([A-Za-z0-9][A-Za-z0-9_.-]*)[^"]*"/g)].map(m => m[1]);
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+        if (header && !inDependencyArray) {
+            const table = header[1];
+            if (table === 'package' && line.startsWith('[[')) {
+                current = { name: null, version: null, line: i + 1, hashes: [], dependencies: [], project: false };
+                packages.push(current);
+                inPackageTable = true;
+            } else {
+                // Sub-tables ([package.dependencies], ...) still belong to the current package
+                if (!table.startsWith('package.')) current = null;
+                inPackageTable = false;
+            }
+            dependencyTable = table === 'package.dependencies' ? 'keys'
+                : ['package.optional-dependencies', 'package.dev-dependencies'].includes(table) ? 'arrays' : null;
+            inMetadataFiles = table === 'metadata.files';
+            metadataName = null;
+            continue;
+        }
+        
+        if (inMetadataFiles) {
+            const entry = line.match(/^"?([A-Za-z0-9_.-]+)"?\s*=\s*\[/);
+            if (entry) metadataName = normalizePythonPackageName(entry[1]);
+            if (metadataName) {
+                const hashes = [...line.matchAll(/hash\s*=\s*"([^"]+)"/g)].map(m => m[1]);
+                legacyHashes.set(metadataName, [...(legacyHashes.get(metadataName) || []), ...hashes]);
+            }
+            continue;
+        }
+        
+        if (!current) continue;
+        if (inDependencyArray) {
+            current.dependencies.push(...dependencyNames(line));
+            if (line.startsWith(']')) inDependencyArray = false;
+            continue;
+        }
+        if (inPackageTable) {
+            const name = line.match(/^name\s*=\s*"([^"]+)"/);
+            const version = line.match(/^version\s*=\s*"([^"]+)"/);
+            const dependencies = line.match(/^dependencies\s*=\s*\[(.*)$/);
+            if (name) current.name = name[1];
+            if (version) current.version = version[1];
+            if (/^source\s*=\s*\{\s*(editable|virtual)\s*=/.test(line)) current.project = true;
+            if (dependencies) {
+                current.dependencies.push(...dependencyNames(dependencies[1]));
+                inDependencyArray = !dependencies[1].trim().endsWith(']');
+            }
+        } else if (dependencyTable === 'keys') {
+            const dep = line.match(/^"?([A-Za-z0-9][A-Za-z0-9_.-]*)"?\s*=/);
+            if (dep) current.dependencies.push(dep[1]);
+        } else if (dependencyTable === 'arrays' && /=\s*\[/.test(line)) {
+            current.dependencies.push(...dependencyNames(line.replace(/^[^=]*=/, '')));
+            inDependencyArray = !line.trim().endsWith(']');
+        }
+        current.hashes.push(...[...line.matchAll(/hash\s*=\s*"([^"]+)"/g)].map(m => m[1]));
+    }
+    
+    const graph = new Map();
+    packages.filter(pkg => pkg.name).forEach(pkg => {
+        const key = normalizePythonPackageName(pkg.name);
+        graph.set(key, new Set([...(graph.get(key) || []), ...pkg.dependencies.map(normalizePythonPackageName)]));
+    });
+    const projects = packages.filter(pkg => pkg.project && pkg.name);
+    const roots = projects.length > 0
+        ? projects.flatMap(pkg => pkg.dependencies.map(normalizePythonPackageName))
+        : findUndependedPackages(graph);
+    
+    const results = packages
+        .filter(pkg => pkg.name && !pkg.project && wanted.has(normalizePythonPackageName(pkg.name)))
+        .map(pkg => ({
+            name: pkg.name,
+            version: pkg.version || 'unspecified',
+            line: pkg.line,
+            snippet: `${pkg.name} ${pkg.version || ''}`.trim(),
+            hashes: pkg.hashes.length > 0 ? pkg.hashes : (legacyHashes.get(normalizePythonPackageName(pkg.name)) || []),
+            locked: true
+        }));
+    if (projects.length > 0) {
+        const directNames = new Set(roots);
+        results.forEach(dep => { dep.direct = directNames.has(normalizePythonPackageName(dep.name)); });
+    }
+    return addIntroducingPaths(results, traceDependencyPaths(graph, roots), projects.length > 0, normalizePythonPackageName);
+}
+
+/**
+ * Find LLM packages in package-lock.json / npm-shrinkwrap.json
+ * lockfileVersion 2/3 list installs under "packages" ("node_modules/a/node_modules/b"); the root
+ * and workspace entries declare the direct dependencies. lockfileVersion 1 only has the nested
+ * "dependencies" tree, which does not say what is direct.
+ * Install chains follow each entry's dependency maps (v2/v3) or "requires" (v1) by package name.
+ */
+function findInPackageLock(content, llmDeps) {
+    try {
+        const lock = JSON.parse(content);
+        const lines = content.split('\n');
+        const wanted = new Set(llmDeps);
+        const results = new Map(); // name -> dep; the hoisted install wins over nested copies
+        const findLine = (key) => lines.findIndex(line => line.includes(`"${key}": {`)) + 1;
+        const addResult = (name, key, info, hoisted, direct) => {
+            if (results.has(name) && !hoisted) return;
+            results.set(name, {
+                name,
+                version: info.version || 'unspecified',
+                line: findLine(key),
+                snippet: `"${key}": ${info.version || 'unpinned'}${info.dev ? ' (dev)' : ''}`,
+                hashes: info.integrity ? info.integrity.split(/\s+/) : [],
+                locked: true,
+                direct,
+                license: info.license
+            });
+        };
+        
+        const graph = new Map();
+        const addEdges = (name, dependencies) => {
+            graph.set(name, new Set([...(graph.get(name) || []), ...Object.keys(dependencies || {})]));
+        };
+        
+        if (lock.packages) {
+            const declared = new Set();
+            Object.entries(lock.packages).forEach(([key, info]) => {
+                if (key.includes('node_modules/')) return;
+                ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'].forEach(section => {
+                    Object.keys(info[section] || {}).forEach(name => declared.add(name));
+                });
+            });
+            
+            Object.entries(lock.packages).forEach(([key, info]) => {
+                const segments = key.split('node_modules/');
+                const name = segments.pop();
+                if (segments.length === 0 || info.link) return;
+                addEdges(name, { ...info.dependencies, ...info.optionalDependencies, ...info.peerDependencies });
+                if (!wanted.has(name)) return;
+                // Installed directly under the root or a workspace and declared there
+                const direct = segments.length === 1 && declared.has(name);
+                addResult(name, key, info, key === `node_modules/${name}`, direct);
+            });
+            return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, declared), true);
+        } else if (lock.dependencies) {
+            const walk = (dependencies, depth) => {
+                Object.entries(dependencies).forEach(([name, info]) => {
+                    addEdges(name, info.requires);
+                    if (wanted.has(name)) addResult(name, name, info, depth === 0, undefined);
+                    if (info.dependencies) walk(info.dependencies, depth + 1);
+                });
+            };
+            walk(lock.dependencies, 0);
+        }
+        
+        return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, findUndependedPackages(graph)), false);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Find LLM packages in yarn.lock, both Yarn classic (v1) and Berry (v2+) formats
+ * Classic entries carry an SRI "integrity", Berry entries a "checksum" (hex SHA-512 behind a cache key).
+ * Berry lists workspaces as entries too, so their dependencies mark direct packages; classic
+ * lockfiles do not record what is direct, so install chains start at packages nothing depends on.
+ */
+function findInYarnLock(content, llmDeps) {
+    const lines = content.split('\n');
+    const wanted = new Set(llmDeps);
+    const entries = [];
+    let current = null;
+    let inDependencies = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        
+        if (!/^\s/.test(raw)) {
+            // Entry header: comma-separated descriptors ("name@range", "name@npm:range", "app@workspace:.")
+            const descriptors = line.replace(/:$/, '').split(/,\s*/).map(d => d.replace(/^"|"$/g, ''));
+            const at = descriptors[0].indexOf('@', 1);
+            current = {
+                name: at > 0 ? descriptors[0].slice(0, at) : descriptors[0],
+                descriptors,
+                line: i + 1,
+                version: null,
+                resolution: '',
+                hashes: [],
+                dependencies: []
+            };
+            entries.push(current);
+            inDependencies = false;
+            continue;
+        }
+        if (!current) continue;
+        
+        if (raw.match(/^\s*/)[0].length <= 2) {
+            inDependencies = /^(dependencies|optionalDependencies|peerDependencies):$/.test(line);
+            const field = line.match(/^"?([A-Za-z]+)"?:?\s+"?([^"]*)"?$/);
+            if (!field) continue;
+            const [, key, value] = field;
+            if (key === 'version') current.version = value;
+            else if (key === 'resolution') current.resolution = value;
+            else if (key === 'integrity') current.hashes.push(...value.split(/\s+/));
+            else if (key === 'checksum') current.hashes.push(value);
+        } else if (inDependencies) {
+            const dep = line.match(/^"?([^"\s:]+)"?:?\s/);
+            if (dep) current.dependencies.push(dep[1]);
+        }
+    }
+    
+    const workspaces = entries.filter(entry => entry.resolution.includes('@workspace:'));
+    const directNames = new Set(workspaces.flatMap(entry => entry.dependencies));
+    const graph = new Map();
+    entries.forEach(entry => {
+        graph.set(entry.name, new Set([...(graph.get(entry.name) || []), ...entry.dependencies]));
+    });
+    const results = new Map();
+    
+    entries
+        .filter(entry => wanted.has(entry.name) && !entry.resolution.includes('@workspace:'))
+        .forEach(entry => {
+            if (results.has(entry.name)) return;
+            results.set(entry.name, {
+                name: entry.name,
+                version: entry.version || 'unspecified',
+                line: entry.line,
+                snippet: `${entry.descriptors.join(', ')}: ${entry.version || 'unpinned'}`,
+                hashes: entry.hashes,
+                locked: true,
+                direct: workspaces.length > 0 ? directNames.has(entry.name) : undefined
+            });
+        });
+    
+    const roots = workspaces.length > 0 ? directNames : findUndependedPackages(graph);
+    return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, roots), workspaces.length > 0);
+}
+
+/**
+ * Find LLM packages in pnpm-lock.yaml (lockfile v5 to v9)
+ * Direct dependencies come from the top-level dependency maps (v5/v6) or "importers"; versions and
+ * integrity hashes from "packages" keys such as "/openai/4.20.1", "/openai@4.20.1" or "openai@4.20.1".
+ * Each package's own dependency maps sit under "packages" (v5/v6) or "snapshots" (v9).
+ */
+function findInPnpmLock(content, llmDeps) {
+    const lines = content.split('\n');
+    const wanted = new Set(llmDeps);
+    const dependencySections = ['dependencies', 'devDependencies', 'optionalDependencies'];
+    // Strip peer dependency suffixes: "4.20.1(encoding@0.1.13)" (v6+) and "4.20.1_encoding@0.1.13" (v5)
+    const cleanVersion = (version) => version.replace(/^['"]|['"]$/g, '').replace(/[(_].*$/, '');
+    const directVersions = new Map(); // direct package name -> version the importer resolved
+    const packages = [];
+    let section = null;
+    let depIndent = null; // Indentation of package names inside a dependency map
+    let directName = null;
+    let current = null;
+    const graph = new Map();
+    let graphNode = null; // Package whose dependency maps are being read
+    let inPackageDependencies = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        if (!raw.trim() || raw.trim().startsWith('#')) continue;
+        const entry = raw.trim().match(/^(['"]?)(.+?)\1:(?:\s+(.*))?$/);
+        if (!entry) continue;
+        const indent = raw.match(/^ */)[0].length;
+        const key = entry[2];
+        const value = entry[3] || '';
+        
+        if (indent === 0) {
+            section = key;
+            depIndent = dependencySections.includes(key) ? 2 : null;
+            current = null;
+            continue;
+        }
+        if (section === 'importers' && indent <= 4) {
+            depIndent = indent === 4 && dependencySections.includes(key) ? 6 : null;
+            continue;
+        }
+        if (depIndent !== null) {
+            if (indent === depIndent) {
+                directName = key;
+                directVersions.set(key, value ? cleanVersion(value) : null);
+            } else if (indent === depIndent + 2 && key === 'version') {
+                directVersions.set(directName, cleanVersion(value));
+            }
+            continue;
+        }
+        
+        if (section === 'packages' || section === 'snapshots') {
+            if (indent === 2) {
+                const parsed = key.match(/^\/?((?:@[^@/]+\/)?[^@/]+)[@/](\d[^_(]*)/);
+                graphNode = parsed ? parsed[1] : null;
+                if (graphNode && !graph.has(graphNode)) graph.set(graphNode, new Set());
+                current = section === 'packages' && parsed && wanted.has(parsed[1])
+                    ? { name: parsed[1], version: parsed[2], line: i + 1, key, hashes: [] }
+                    : null;
+                if (current) packages.push(current);
+            } else if (indent === 4) {
+                inPackageDependencies = dependencySections.includes(key);
+                if (current && key === 'resolution') {
+                    const integrity = value.match(/integrity:\s*([^,}\s]+)/);
+                    if (integrity) current.hashes.push(integrity[1]);
+                }
+            } else if (indent === 6 && inPackageDependencies && graphNode) {
+                graph.get(graphNode).add(key);
+            }
+        }
+    }
+    
+    const results = new Map();
+    packages.forEach(pkg => {
+        const isDirect = directVersions.has(pkg.name);
+        // Several versions may be installed; prefer the one a direct dependency resolved to
+        const preferred = isDirect && directVersions.get(pkg.name) === pkg.version;
+        if (results.has(pkg.name) && !preferred) return;
+        results.set(pkg.name, {
+            name: pkg.name,
+            version: pkg.version,
+            line: pkg.line,
+            snippet: pkg.key,
+            hashes: pkg.hashes,
+            locked: true,
+            direct: isDirect
+        });
+    });
+    
+    return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, directVersions.keys()), true);
+}
+
 function findInPackageJson(content, llmDeps) {
     try {
         const pkg = JSON.parse(content);
@@ -305,101 +959,1203 @@ function findInPackageJson(content, llmDeps) {
             }
             
             results.push({
-                name: dep,
+                name: dep,
+                version,
+                line: lineNum,
+                snippet: `"${dep}": "${version}"`
+            });
+        });
+        
+        return results;
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Parse one pip requirement specifier ("openai>=1.0", "anthropic")
+ * Matches exact names and names extending an LLM package at a word boundary ("langchain-openai").
+ * @returns {{name: string, version: string}|null} null for non-LLM packages
+ */
+function parseRequirementSpec(spec, llmDeps) {
+    const match = spec.match(/^([a-zA-Z0-9\-_.]+)([>=<~!]+(.+))?/);
+    if (!match) return null;
+    
+    const depName = match[1];
+    // Keep range operators ("<1.0" is not "1.0"); only an exact pin is reduced to its version
+    const versionSpec = (match[2] || '').split(/[;#]/)[0].trim();
+    const depLower = depName.toLowerCase();
+    const isLLMDep = llmDeps.some(llmDep => {
+        const llmDepLower = llmDep.toLowerCase();
+        if (depLower === llmDepLower) return true;
+        // Match at word boundaries (e.g., "langchain-openai" matches "langchain")
+        const pattern = new RegExp(`(^|[^a-z])${llmDepLower}([^a-z]|$)`, 'i');
+        return pattern.test(depName);
+    });
+    if (!isLLMDep) return null;
+    
+    // "==1.2.3" pins one version; "==1.2.*" and "==1.2,!=1.2.1" are ranges
+    const pinned = /^===?\s*[^\s,*]+$/.test(versionSpec);
+    return {
+        name: depName,
+        version: versionSpec ? versionSpec.replace(/^===?\s*/, '') : 'unspecified',
+        ...(pinned && { pinned })
+    };
+}
+
+function findInRequirements(content, llmDeps) {
+    const lines = content.split('\n');
+    const deps = [];
+    
+    for (let i = 0; i < lines.length; i++) {
+        const trimmed = lines[i].trim();
+        // Options (-r, -c, -e, --index-url, ...) are not requirements; includes are followed separately
+        if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('-')) continue;
+        
+        const dep = parseRequirementSpec(trimmed, llmDeps);
+        if (dep) {
+            deps.push({ ...dep, line: i + 1, snippet: trimmed });
+        }
+    }
+    return deps;
+}
+
+/**
+ * Follow "-r" / "--requirement" and "-c" / "--constraint" options of a requirements file (or of a
+ * conda environment's pip list) and parse the included files
+ * Included requirement files are followed recursively; constraint files only supply versions.
+ * Dependencies record the file they were declared in.
+ * @param {Set<string>} followed - Includes already parsed during this scan ("-r path" / "-c path"), breaks cycles
+ * @returns {Promise<{deps: Array, constraints: Map<string, Object>}>} constraints by normalized package name
+ */
+async function followRequirementIncludes(filePath, content, llmDeps, getFileContent, followed) {
+    const deps = [];
+    const constraints = new Map();
+    
+    const follow = async (fromFile, fromContent, asConstraint) => {
+        for (const line of fromContent.split('\n')) {
+            // Conda pip lists write includes as YAML items ("- -r requirements.txt")
+            const include = line.trim().replace(/^-\s+(?=-)/, '').match(/^(-r|--requirement|-c|--constraint)(?:\s*=\s*|\s+)(\S+)/);
+            if (!include) continue;
+            
+            const isConstraint = asConstraint || ['-c', '--constraint'].includes(include[1]);
+            const target = resolveRelativePath(fromFile, include[2]);
+            const key = `${isConstraint ? '-c' : '-r'} ${target}`;
+            if (!target || followed.has(key)) continue;
+            followed.add(key);
+            
+            const included = await getFileContent(target);
+            if (!included) {
+                console.log(`[Detector: Dependencies] Could not read ${target} (included from ${fromFile})`);
+                continue;
+            }
+            findInRequirements(included, llmDeps).forEach(dep => {
+                if (isConstraint) constraints.set(normalizePythonPackageName(dep.name), { ...dep, file: target });
+                else deps.push({ ...dep, file: target });
+            });
+            await follow(target, included, isConstraint);
+        }
+    };
+    
+    await follow(filePath, content, false);
+    return { deps, constraints };
+}
+
+/**
+ * Find LLM packages in setup.py install_requires / extras_require / setup_requires / tests_require
+ * Lists passed by name (install_requires=REQUIREMENTS) are looked up as assignments in the same file.
+ */
+function findInSetupPy(content, llmDeps) {
+    const lineAt = (index) => content.slice(0, index).split('\n').length;
+    // End of the bracketed expression opening at index
+    const closingIndex = (index) => {
+        let depth = 0;
+        for (let i = index; i < content.length; i++) {
+            if ('[({'.includes(content[i])) depth++;
+            else if ('])}'.includes(content[i]) && --depth === 0) return i + 1;
+        }
+        return content.length;
+    };
+    
+    const deps = [];
+    for (const keyword of content.matchAll(/\b(?:install_requires|extras_require|setup_requires|tests_require)\s*=\s*([[({]|[A-Za-z_]\w*)/g)) {
+        let start = keyword.index + keyword[0].length - 1;
+        if (!'[({'.includes(keyword[1])) {
+            const assignment = content.match(new RegExp(`^${keyword[1]}\\s*=\\s*[[({]`, 'm'));
+            if (!assignment) continue;
+            start = assignment.index + assignment[0].length - 1;
+        }
+        
+        const region = content.slice(start, closingIndex(start));
+        for (const literal of region.matchAll(/(["'])([^"'\n]*)\1/g)) {
+            // Dict keys are extras_require group names, not requirements
+            if (/^\s*:/.test(region.slice(literal.index + literal[0].length))) continue;
+            const dep = parseRequirementSpec(literal[2].trim(), llmDeps);
+            if (!dep || deps.some(d => d.name === dep.name)) continue;
+            deps.push({ ...dep, line: lineAt(start + literal.index), snippet: literal[2].trim() });
+        }
+    }
+    return deps;
+}
+
+/**
+ * Find LLM packages in setup.cfg: [options] install_requires / setup_requires / tests_require and
+ * every group of [options.extras_require], as single values or indented continuation lines
+ */
+function findInSetupCfg(content, llmDeps) {
+    const lines = content.split('\n');
+    const requirementKeys = ['install_requires', 'setup_requires', 'tests_require'];
+    const deps = [];
+    let section = null;
+    let key = null;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        const line = raw.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+        
+        const header = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+        if (header) {
+            section = header[1];
+            key = null;
+            continue;
+        }
+        
+        let value = line;
+        if (!/^\s/.test(raw)) {
+            const setting = line.match(/^([\w.-]+)\s*[=:]\s*(.*)$/);
+            if (!setting) continue;
+            key = setting[1];
+            value = setting[2];
+        }
+        
+        const isRequirement = section === 'options.extras_require' || (section === 'options' && requirementKeys.includes(key));
+        const dep = isRequirement && value ? parseRequirementSpec(value, llmDeps) : null;
+        if (dep && !deps.some(d => d.name === dep.name)) {
+            deps.push({ ...dep, line: i + 1, snippet: line });
+        }
+    }
+    return deps;
+}
+
+/**
+ * Find LLM packages in a conda environment.yml
+ * Conda specs ("transformers=4.40", "conda-forge::openai >=1.0") are tagged packageManager 'conda';
+ * entries of the nested "pip:" list are pip requirements. Includes in the pip list are followed
+ * by followRequirementIncludes.
+ */
+function findInCondaEnvironment(content, llmDeps) {
+    const lines = content.split('\n');
+    const deps = [];
+    let inDependencies = false;
+    let pipIndent = null; // Indentation of the "- pip:" item while reading its list
+    
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        const indent = raw.match(/^ */)[0].length;
+        
+        if (indent === 0 && !line.startsWith('-')) {
+            inDependencies = /^dependencies\s*:/.test(line);
+            pipIndent = null;
+            continue;
+        }
+        const item = inDependencies && line.match(/^-\s*(.+)$/);
+        if (!item) continue;
+        if (pipIndent !== null && indent <= pipIndent) pipIndent = null;
+        if (/^pip\s*:$/.test(item[1])) {
+            pipIndent = indent;
+            continue;
+        }
+        
+        const spec = item[1].replace(/\s+#.*$/, '').replace(/^["']|["']$/g, '');
+        let dep = null;
+        if (pipIndent !== null) {
+            dep = spec.startsWith('-') ? null : parseRequirementSpec(spec, llmDeps);
+        } else {
+            // [channel::]name[ version | =version | >=version][=build]
+            const conda = spec.match(/^(?:[\w.-]+::)?([A-Za-z0-9_.-]+)\s*(?:(?:==?|[<>!~]=?)\s*([^=\s,]+)|\s+([^=\s,]+))?/);
+            const named = conda && parseRequirementSpec(conda[1], llmDeps);
+            if (named) {
+                dep = { name: named.name, version: conda[2] || conda[3] || 'unspecified', packageManager: 'conda' };
+            }
+        }
+        
+        if (dep && !deps.some(d => d.name === dep.name)) {
+            deps.push({ ...dep, line: i + 1, snippet: line });
+        }
+    }
+    return deps;
+}
+
+function findInPyproject(content, llmDeps) {
+    const lines = content.split('\n');
+    const deps = [];
+    const seen = new Set();
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const depPattern = /["']([a-zA-Z0-9\-_.]+)["']/g;
+        let match;
+        
+        while ((match = depPattern.exec(line)) !== null) {
+            const depName = match[1];
+            const depLower = depName.toLowerCase();
+            
+            // Skip if already found
+            if (seen.has(depLower)) continue;
+            
+            // Use exact match or word boundary match
+            const isLLMDep = llmDeps.some(llmDep => {
+                const llmDepLower = llmDep.toLowerCase();
+                if (depLower === llmDepLower) return true;
+                // Match at word boundaries
+                const pattern = new RegExp(`(^|[^a-z])${llmDepLower}([^a-z]|$)`, 'i');
+                return pattern.test(depName);
+            });
+            
+            if (isLLMDep) {
+                seen.add(depLower);
+                deps.push({
+                    name: depName,
+                    version: 'unspecified',
+                    line: i + 1,
+                    snippet: line.trim()
+                });
+            }
+        }
+    }
+    return deps;
+}
+
+/**
+ * Find LLM modules in go.mod require directives (single-line and block form)
+ * go.mod records the selected version of every module in the build; "// indirect" marks transitive ones.
+ * Major version suffixes ("/v2") still match the module path listed in LLM_DEPENDENCIES.
+ */
+function findInGoMod(content, llmDeps) {
+    const lines = content.split('\n');
+    const deps = [];
+    let inRequire = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (inRequire && line.startsWith(')')) {
+            inRequire = false;
+            continue;
+        }
+        if (!inRequire && /^require\s*\($/.test(line)) {
+            inRequire = true;
+            continue;
+        }
+        
+        const match = inRequire
+            ? line.match(/^(\S+)\s+(v\S+)(.*)$/)
+            : line.match(/^require\s+(\S+)\s+(v\S+)(.*)$/);
+        if (!match) continue;
+        
+        const [, modulePath, version, rest] = match;
+        if (!llmDeps.includes(modulePath) && !llmDeps.includes(modulePath.replace(/\/v\d+$/, ''))) continue;
+        deps.push({
+            name: modulePath,
+            version,
+            line: i + 1,
+            snippet: line,
+            direct: !/\/\/\s*indirect/.test(rest)
+        });
+    }
+    return deps;
+}
+
+/**
+ * Whether a Maven "group:artifact" coordinate is an LLM dependency
+ * Artifacts extending a listed one count too (langchain4j-open-ai for dev.langchain4j:langchain4j).
+ */
+function isLLMJvmCoordinate(coordinate, llmDeps) {
+    // BOMs (langchain4j-bom) only manage versions, they are not dependencies themselves
+    if (coordinate.endsWith('-bom')) return false;
+    return llmDeps.some(dep => coordinate === dep || coordinate.startsWith(`${dep}-`));
+}
+
+/**
+ * BOM managing the version of an artifact: one of the same group named after the artifact's family
+ * (dev.langchain4j:langchain4j-bom manages langchain4j-open-ai). Group-wide BOMs such as
+ * com.google.cloud:libraries-bom version artifacts independently of their own version.
+ * @param {Array<{groupId: string, artifactId: string, version: string}>} boms
+ */
+function findManagingBom(boms, groupId, artifactId) {
+    return boms.find(bom => {
+        const family = bom.artifactId.replace(/-bom$/, '');
+        return bom.groupId === groupId && bom.version && (artifactId === family || artifactId.startsWith(`${family}-`));
+    }) || null;
+}
+
+/**
+ * Find LLM artifacts in a Maven pom.xml
+ * ${...} versions are interpolated from <properties>, project.version and parent.version; missing
+ * versions come from <dependencyManagement> or an imported BOM of the artifact's family (findManagingBom),
+ * recorded as managedBy. Properties defined in a parent POM stay unresolved.
+ */
+function findInPom(content, llmDeps) {
+    // Blank out regions instead of removing them so offsets still map to line numbers
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    const xml = content.replace(/<!--[\s\S]*?-->/g, blank);
+    const tag = (block, name) => block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1];
+    
+    const properties = {};
+    for (const block of xml.matchAll(/<properties>([\s\S]*?)<\/properties>/g)) {
+        for (const prop of block[1].matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+            properties[prop[1]] = prop[2];
+        }
+    }
+    const parent = xml.match(/<parent>([\s\S]*?)<\/parent>/)?.[1] || '';
+    const projectXml = xml.replace(/<(parent|dependencyManagement|dependencies|build|profiles|reporting)>[\s\S]*?<\/\1>/g, '');
+    const parentVersion = tag(parent, 'version');
+    const projectVersion = tag(projectXml, 'version') || parentVersion;
+    if (parentVersion) properties['project.parent.version'] = properties['parent.version'] = parentVersion;
+    if (projectVersion) properties['project.version'] = properties['version'] = projectVersion;
+    
+    const interpolate = (value, depth = 0) => value.replace(/\$\{([^}]+)\}/g, (expr, key) =>
+        key in properties && depth < 5 ? interpolate(properties[key], depth + 1) : expr
+    );
+    const readDependency = (block) => ({
+        groupId: interpolate(tag(block, 'groupId') || ''),
+        artifactId: interpolate(tag(block, 'artifactId') || ''),
+        version: tag(block, 'version') ? interpolate(tag(block, 'version')) : null,
+        scope: tag(block, 'scope'),
+        type: tag(block, 'type')
+    });
+    
+    // Managed versions and imported BOMs
+    const managed = new Map();
+    const importedBoms = [];
+    for (const block of xml.matchAll(/<dependencyManagement>([\s\S]*?)<\/dependencyManagement>/g)) {
+        for (const dep of block[1].matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+            const info = readDependency(dep[1]);
+            if (info.scope === 'import' && info.type === 'pom') importedBoms.push(info);
+            else if (info.version) managed.set(`${info.groupId}:${info.artifactId}`, info.version);
+        }
+    }
+    
+    const dependenciesXml = xml.replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, blank);
+    const deps = [];
+    for (const match of dependenciesXml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+        const info = readDependency(match[1]);
+        const coordinate = `${info.groupId}:${info.artifactId}`;
+        if (!isLLMJvmCoordinate(coordinate, llmDeps) || deps.some(d => d.name === coordinate)) continue;
+        
+        const bom = !info.version && !managed.has(coordinate) ? findManagingBom(importedBoms, info.groupId, info.artifactId) : null;
+        const version = info.version || managed.get(coordinate) || bom?.version || 'unspecified';
+        const artifactIndex = match.index + match[0].indexOf('<artifactId>');
+        deps.push({
+            name: coordinate,
+            version,
+            line: xml.slice(0, artifactIndex).split('\n').length,
+            snippet: `${coordinate}:${version}${info.scope ? ` (${info.scope})` : ''}${bom ? ` (from ${bom.artifactId})` : ''}`,
+            ...(bom && { managedBy: `${bom.groupId}:${bom.artifactId}:${bom.version}` })
+        });
+    }
+    return deps;
+}
+
+/**
+ * Find LLM artifacts in build.gradle / build.gradle.kts
+ * Handles "group:name:version" strings and group / name / version arguments; $var and ${var}
+ * versions are resolved from ext, def, val and extra assignments in the same file; unversioned artifacts take
+ * the version of a platform BOM of their family (managedBy). Version catalog aliases (libs.x.y) are covered
+ * by findInVersionCatalog.
+ */
+function findInGradle(content, llmDeps) {
+    const lines = content.split('\n');
+    const variables = {};
+    lines.forEach(line => {
+        const assignment = line.match(/^\s*(?:ext\.|def\s+|val\s+|var\s+|extra\[)?["']?([A-Za-z_][\w.]*)["']?\]?\s*=\s*["']([^"'$]+)["']\s*;?\s*$/)
+            || line.match(/^\s*set\(\s*["']([\w.]+)["']\s*,\s*["']([^"'$]+)["']\s*\)/);
+        if (assignment) variables[assignment[1]] = assignment[2];
+    });
+    const resolve = (version) => version.replace(/\$\{?([\w.]+)\}?/g, (expr, name) =>
+        variables[name] ?? variables[name.replace(/^(ext|extra|project|rootProject)\./, '')] ?? expr
+    );
+    
+    const found = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line || line.startsWith('//')) continue;
+        
+        const platform = /platform\s*\(/.test(line);
+        for (const m of line.matchAll(/["']([\w.-]+):([\w.-]+)(?::([^"'@:]+))?(?:[:@][^"']*)?["']/g)) {
+            found.push({ group: m[1], name: m[2], version: m[3], platform, line: i + 1, snippet: line });
+        }
+        const named = line.match(/group\s*[:=]\s*["']([^"']+)["']\s*,\s*name\s*[:=]\s*["']([^"']+)["'](?:\s*,\s*version\s*[:=]\s*["']([^"']+)["'])?/);
+        if (named) found.push({ group: named[1], name: named[2], version: named[3], platform, line: i + 1, snippet: line });
+    }
+    
+    // platform(...) / enforcedPlatform(...) BOMs only manage the versions of other dependencies
+    const boms = found
+        .filter(entry => (entry.platform || entry.name.endsWith('-bom')) && entry.version)
+        .map(entry => ({ groupId: entry.group, artifactId: entry.name, version: resolve(entry.version) }));
+    
+    const deps = [];
+    found.forEach(({ group, name, version, platform, line, snippet }) => {
+        const coordinate = `${group}:${name}`;
+        if (platform || !isLLMJvmCoordinate(coordinate, llmDeps) || deps.some(d => d.name === coordinate)) return;
+        const bom = version ? null : findManagingBom(boms, group, name);
+        deps.push({
+            name: coordinate,
+            // Dynamic versions (1.+, latest.release, [1.0,2.0)) are kept as written; they are not exact
+            version: version ? resolve(version) : bom?.version || 'unspecified',
+            line,
+            snippet,
+            ...(bom && { managedBy: `${bom.groupId}:${bom.artifactId}:${bom.version}` })
+        });
+    });
+    return deps;
+}
+
+/**
+ * Find LLM libraries in a Gradle version catalog (gradle/libs.versions.toml)
+ * [libraries] entries use module = "group:name", group / name keys or "group:name:version" strings;
+ * version.ref points into [versions].
+ */
+function findInVersionCatalog(content, llmDeps) {
+    const lines = content.split('\n');
+    const versions = {};
+    const libraries = [];
+    let table = null;
+    
+    lines.forEach((raw, i) => {
+        const line = raw.trim();
+        const header = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+        if (header) {
+            table = header[1];
+            return;
+        }
+        const entry = line.match(/^["']?([\w.-]+)["']?\s*=\s*(.+)$/);
+        if (!entry) return;
+        if (table === 'versions') {
+            const version = entry[2].match(/^"([^"]+)"/) || entry[2].match(/(?:strictly|require|prefer)\s*=\s*"([^"]+)"/);
+            if (version) versions[entry[1]] = version[1];
+        } else if (table === 'libraries') {
+            libraries.push({ value: entry[2], line: i + 1, snippet: line });
+        }
+    });
+    
+    const deps = [];
+    libraries.forEach(({ value, line, snippet }) => {
+        const notation = value.match(/^"([^":]+):([^":]+)(?::([^"]+))?"/);
+        const module = value.match(/module\s*=\s*"([^":]+):([^"]+)"/);
+        const group = value.match(/group\s*=\s*"([^"]+)"/);
+        const name = value.match(/name\s*=\s*"([^"]+)"/);
+        const [groupId, artifactId, inlineVersion] = notation
+            ? [notation[1], notation[2], notation[3]]
+            : module ? [module[1], module[2]] : group && name ? [group[1], name[1]] : [];
+        if (!groupId) return;
+        
+        const coordinate = `${groupId}:${artifactId}`;
+        if (!isLLMJvmCoordinate(coordinate, llmDeps) || deps.some(d => d.name === coordinate)) return;
+        const ref = value.match(/version\.ref\s*=\s*"([^"]+)"/) || value.match(/version\s*=\s*\{\s*ref\s*=\s*"([^"]+)"/);
+        const literal = value.match(/version\s*=\s*"([^"]+)"/);
+        deps.push({
+            name: coordinate,
+            version: inlineVersion || (ref && versions[ref[1]]) || literal?.[1] || 'unspecified',
+            line,
+            snippet
+        });
+    });
+    return deps;
+}
+
+/**
+ * Find LLM crates in Cargo.toml dependency tables
+ * Covers [dependencies], dev-/build- and target-specific tables, [workspace.dependencies], inline
+ * tables and [dependencies.<name>] sections; renamed crates (package = "...") use the crate name.
+ */
+function findInCargoToml(content, llmDeps) {
+    const lines = content.split('\n');
+    const entries = [];
+    let inDependencies = false;
+    let section = null; // [dependencies.<name>] table being read
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/\s+#.*$/, '').trim();
+        const header = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+        if (header) {
+            inDependencies = /(^|\.)(dev-|build-)?dependencies$/.test(header[1]);
+            const named = header[1].match(/(?:^|\.)(?:dev-|build-)?dependencies\.([\w-]+)$/);
+            section = named ? { name: named[1], version: null, line: i + 1, snippet: line } : null;
+            if (section) entries.push(section);
+            continue;
+        }
+        
+        if (section) {
+            const field = line.match(/^(version|package)\s*=\s*"([^"]+)"/);
+            if (field && field[1] === 'version') section.version = field[2];
+            if (field && field[1] === 'package') section.name = field[2];
+        } else if (inDependencies) {
+            const entry = line.match(/^([\w-]+)\s*=\s*(.+)$/);
+            if (!entry) continue;
+            const value = entry[2];
+            const version = value.match(/^"([^"]+)"/) || value.match(/version\s*=\s*"([^"]+)"/);
+            entries.push({
+                name: value.match(/package\s*=\s*"([^"]+)"/)?.[1] || entry[1],
+                version: version ? version[1] : (/workspace\s*=\s*true/.test(value) ? 'workspace' : null),
+                line: i + 1,
+                snippet: line
+            });
+        }
+    }
+    
+    const deps = [];
+    entries.forEach(({ name, version, line, snippet }) => {
+        if (!llmDeps.includes(name) || deps.some(d => d.name === name)) return;
+        deps.push({ name, version: version || 'unspecified', line, snippet });
+    });
+    return deps;
+}
+
+/**
+ * Find LLM crates in Cargo.lock
+ * Packages without a "source" are the workspace's own crates; their dependency lists mark direct crates.
+ * Dependency entries are "name", "name version" or "name version (source)".
+ */
+function findInCargoLock(content, llmDeps) {
+    const lines = content.split('\n');
+    const packages = [];
+    let current = null;
+    let inDependencyArray = false;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (inDependencyArray) {
+            if (line.startsWith(']')) inDependencyArray = false;
+            const dep = line.match(/^"([^" ]+)/);
+            if (dep) current.dependencies.push(dep[1]);
+            continue;
+        }
+        if (line === '[[package]]') {
+            current = { name: null, version: null, source: null, checksum: null, dependencies: [], line: i + 1 };
+            packages.push(current);
+            continue;
+        }
+        if (line.startsWith('[')) {
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+        
+        const field = line.match(/^(\w+)\s*=\s*(.*)$/);
+        if (!field) continue;
+        const [, key, value] = field;
+        if (key === 'dependencies') {
+            current.dependencies.push(...[...value.matchAll(/"([^" ]+)/g)].map(m => m[1]));
+            inDependencyArray = value.startsWith('[') && !value.endsWith(']');
+        } else if (['name', 'version', 'source', 'checksum'].includes(key)) {
+            current[key] = value.replace(/^"|"$/g, '');
+        }
+    }
+    
+    const directNames = new Set(packages.filter(pkg => !pkg.source).flatMap(pkg => pkg.dependencies));
+    const graph = new Map();
+    packages.filter(pkg => pkg.source).forEach(pkg => {
+        graph.set(pkg.name, new Set([...(graph.get(pkg.name) || []), ...pkg.dependencies]));
+    });
+    const results = new Map();
+    packages
+        .filter(pkg => pkg.source && llmDeps.includes(pkg.name))
+        .forEach(pkg => {
+            if (results.has(pkg.name)) return;
+            results.set(pkg.name, {
+                name: pkg.name,
+                version: pkg.version || 'unspecified',
+                line: pkg.line,
+                snippet: `${pkg.name} ${pkg.version || ''}`.trim(),
+                hashes: pkg.checksum ? [`sha256:${pkg.checksum}`] : [],
+                locked: true,
+                direct: directNames.has(pkg.name)
+            });
+        });
+    return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, directNames), true);
+}
+
+function findInGemfile(content, llmDeps) {
+    const lines = content.split('\n');
+    const deps = [];
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const match = line.match(/^gem\s*\(?\s*["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/);
+        if (!match || !llmDeps.includes(match[1]) || deps.some(d => d.name === match[1])) continue;
+        // A requirement without an operator ("1.2.3") or with "=" is an exact version in RubyGems
+        const exact = match[2]?.match(/^(?:=\s*)?(\d[\w.]*)$/);
+        deps.push({
+            name: match[1],
+            version: exact ? exact[1] : (match[2] || 'unspecified'),
+            ...(exact && { pinned: true }),
+            line: i + 1,
+            snippet: line
+        });
+    }
+    return deps;
+}
+
+/**
+ * Find LLM gems in Gemfile.lock
+ * Resolved versions come from the GEM / GIT / PATH specs, direct gems from DEPENDENCIES and
+ * hashes from the CHECKSUMS section (Bundler 2.5+).
+ */
+function findInGemfileLock(content, llmDeps) {
+    const lines = content.split('\n');
+    const specs = [];
+    const directNames = new Set();
+    const checksums = new Map();
+    const graph = new Map();
+    let section = null;
+    let spec = null;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        if (/^\S/.test(raw)) {
+            section = raw.trim();
+            continue;
+        }
+        if (['GEM', 'GIT', 'PATH'].includes(section)) {
+            // Specs sit at four spaces; their own dependencies are indented further
+            const specLine = raw.match(/^ {4}([^\s(]+) \(([^)]+)\)\s*$/);
+            const dep = raw.match(/^ {6}([^\s(]+)/);
+            if (specLine) {
+                spec = { name: specLine[1], version: specLine[2], line: i + 1 };
+                specs.push(spec);
+                if (!graph.has(spec.name)) graph.set(spec.name, new Set());
+            } else if (dep && spec) {
+                graph.get(spec.name).add(dep[1]);
+            }
+        } else if (section === 'DEPENDENCIES') {
+            const dep = raw.match(/^ {2}([^\s(!]+)/);
+            if (dep) directNames.add(dep[1]);
+        } else if (section === 'CHECKSUMS') {
+            const checksum = raw.match(/^ {2}([^\s(]+) \(([^)]+)\)\s+(\S+)/);
+            if (checksum) {
+                checksums.set(`${checksum[1]}@${checksum[2]}`, checksum[3].split(',').map(hash => hash.replace('=', ':')));
+            }
+        }
+    }
+    
+    const results = new Map();
+    specs
+        .filter(spec => llmDeps.includes(spec.name))
+        .forEach(spec => {
+            if (results.has(spec.name)) return;
+            results.set(spec.name, {
+                name: spec.name,
+                version: spec.version,
+                line: spec.line,
+                snippet: `${spec.name} (${spec.version})`,
+                hashes: checksums.get(`${spec.name}@${spec.version}`) || [],
+                locked: true,
+                direct: directNames.has(spec.name)
+            });
+        });
+    return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, directNames), true);
+}
+
+function findInComposerJson(content, llmDeps) {
+    try {
+        const composer = JSON.parse(content);
+        const lines = content.split('\n');
+        const wanted = new Set(llmDeps);
+        const results = [];
+        
+        ['require', 'require-dev'].forEach(section => {
+            Object.entries(composer[section] || {}).forEach(([declared, constraint]) => {
+                // Composer package names are case-insensitive; composer.lock writes them in lowercase
+                const name = declared.toLowerCase();
+                if (!wanted.has(name) || results.some(r => r.name === name)) return;
+                // "1.2.3", "v1.2.3" and "=1.2.3" are exact; other constraints are ranges
+                const exact = String(constraint).trim().match(/^(?:==?\s*)?v?(\d+(?:\.\d+)*(?:-[\w.]+)?)$/);
+                results.push({
+                    name,
+                    version: exact ? exact[1] : constraint,
+                    ...(exact && { pinned: true }),
+                    line: lines.findIndex(line => line.includes(`"${declared}"`)) + 1,
+                    snippet: `"${declared}": "${constraint}"${section === 'require-dev' ? ' (dev)' : ''}`
+                });
+            });
+        });
+        return results;
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Find LLM packages in composer.lock ("packages" and "packages-dev")
+ * Hashes come from dist.shasum (SHA-1), which Composer leaves empty for many registries.
+ * The lockfile does not record the root's requirements, so install chains start at packages nothing requires.
+ */
+function findInComposerLock(content, llmDeps) {
+    try {
+        const lock = JSON.parse(content);
+        const lines = content.split('\n');
+        const wanted = new Set(llmDeps);
+        const results = [];
+        const graph = new Map();
+        
+        [...(lock.packages || []), ...(lock['packages-dev'] || [])].forEach(pkg => {
+            if (!pkg.name) return;
+            // Platform requirements (php, ext-json) are not packages
+            const requires = Object.keys(pkg.require || {}).filter(name => name.includes('/')).map(name => name.toLowerCase());
+            graph.set(pkg.name.toLowerCase(), new Set(requires));
+            if (!wanted.has(pkg.name.toLowerCase()) || results.some(r => r.name === pkg.name)) return;
+            results.push({
+                name: pkg.name,
+                version: pkg.version || 'unspecified',
+                line: lines.findIndex(line => line.includes(`"name": "${pkg.name}"`)) + 1,
+                snippet: `${pkg.name} ${pkg.version || ''}`.trim(),
+                hashes: pkg.dist?.shasum ? [`sha1:${pkg.dist.shasum}`] : [],
+                locked: true,
+                license: pkg.license
+            });
+        });
+        const pathTo = traceDependencyPaths(graph, findUndependedPackages(graph));
+        return addIntroducingPaths(results, pathTo, false, name => name.toLowerCase());
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Whether a NuGet package ID is an LLM dependency
+ * IDs are case-insensitive; sub-packages of a listed ID (Microsoft.SemanticKernel.Connectors.OpenAI) count too.
+ */
+function isLLMNuGetPackage(name, llmDeps) {
+    const id = name.toLowerCase();
+    return llmDeps.some(dep => id === dep.toLowerCase() || id.startsWith(`${dep.toLowerCase()}.`));
+}
+
+/**
+ * Find LLM packages in .NET project files (.csproj / .fsproj / .vbproj), Directory.Packages.props
+ * (central package versions) and packages.config
+ * $(Property) versions are resolved from properties defined in the same file.
+ */
+function findInNuGetProject(content, llmDeps) {
+    const xml = content.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+    const properties = {};
+    for (const group of xml.matchAll(/<PropertyGroup\b[^>]*>([\s\S]*?)<\/PropertyGroup>/g)) {
+        for (const prop of group[1].matchAll(/<([\w.]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+            properties[prop[1]] = prop[2];
+        }
+    }
+    const resolve = (value) => value.replace(/\$\(([\w.]+)\)/g, (expr, name) => properties[name] ?? expr);
+    
+    const deps = [];
+    for (const match of xml.matchAll(/<(PackageReference|PackageVersion|package)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)) {
+        const attribute = (name) => match[2].match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'))?.[1];
+        const name = attribute('Include') || attribute('Update') || attribute('id');
+        if (!name || !isLLMNuGetPackage(name, llmDeps) || deps.some(d => d.name === name)) continue;
+        
+        const version = attribute('Version') || match[3]?.match(/<Version>\s*([^<]+?)\s*<\/Version>/)?.[1];
+        deps.push({
+            name,
+            version: version ? resolve(version) : 'unspecified',
+            line: xml.slice(0, match.index).split('\n').length,
+            snippet: match[0].split('\n')[0].trim()
+        });
+    }
+    return deps;
+}
+
+/**
+ * Find LLM packages in a NuGet packages.lock.json
+ * Entries are grouped per target framework; "Direct" entries are referenced by the project itself.
+ * Packages of "Project" entries (project references) start install chains as well.
+ */
+function findInNuGetLock(content, llmDeps) {
+    try {
+        const lock = JSON.parse(content);
+        const lines = content.split('\n');
+        const results = new Map();
+        const graph = new Map();
+        const roots = new Set();
+        
+        Object.values(lock.dependencies || {}).forEach(framework => {
+            Object.entries(framework).forEach(([name, info]) => {
+                // Package IDs are case-insensitive and dependency maps do not always match the entry's casing
+                const key = name.toLowerCase();
+                const dependencies = Object.keys(info.dependencies || {}).map(dep => dep.toLowerCase());
+                graph.set(key, new Set([...(graph.get(key) || []), ...dependencies]));
+                if (info.type === 'Direct') roots.add(key);
+                if (info.type === 'Project') dependencies.forEach(dep => roots.add(dep));
+                if (info.type === 'Project' || !isLLMNuGetPackage(name, llmDeps)) return;
+                const direct = info.type === 'Direct';
+                if (results.has(name) && (!direct || results.get(name).direct)) return;
+                results.set(name, {
+                    name,
+                    version: info.resolved || 'unspecified',
+                    line: lines.findIndex(line => line.includes(`"${name}": {`)) + 1,
+                    snippet: `"${name}": ${info.resolved || 'unresolved'} (${info.type})`,
+                    hashes: info.contentHash ? [`sha512-${info.contentHash}`] : [],
+                    locked: true,
+                    direct
+                });
+            });
+        });
+        return addIntroducingPaths([...results.values()], traceDependencyPaths(graph, roots), true, name => name.toLowerCase());
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Reduce a Swift package URL to host/owner/repo, the form used in LLM_DEPENDENCIES.swift and pkg:swift
+ */
+function normalizeSwiftPackageUrl(url) {
+    return url
+        .replace(/^[a-z+]+:\/\//i, '')
+        .replace(/^[^@/]+@/, '')
+        .replace(/^([^/:]+):(?!\d)/, '$1/')
+        .replace(/\.git$/, '')
+        .replace(/\/$/, '');
+}
+
+function findSwiftPackage(url, llmDeps) {
+    const name = normalizeSwiftPackageUrl(url);
+    return llmDeps.find(dep => dep.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Find LLM packages in Package.swift .package(url:, ...) declarations
+ * The version is the first requirement given (from:, exact:, a range start, or a branch / revision).
+ */
+function findInPackageSwift(content, llmDeps) {
+    const deps = [];
+    
+    for (const start of content.matchAll(/\.package\s*\(/g)) {
+        // Read up to the matching parenthesis; requirements such as .upToNextMajor(from:) nest
+        let depth = 1;
+        let end = start.index + start[0].length;
+        while (end < content.length && depth > 0) {
+            if (content[end] === '(') depth++;
+            if (content[end] === ')') depth--;
+            end++;
+        }
+        const declaration = content.slice(start.index, end);
+        const url = declaration.match(/url:\s*"([^"]+)"/);
+        const name = url && findSwiftPackage(url[1], llmDeps);
+        if (!name || deps.some(d => d.name === name)) continue;
+        
+        const version = declaration.slice(url.index + url[0].length).match(/"([^"]+)"/);
+        deps.push({
+            name,
+            version: version ? version[1] : 'unspecified',
+            line: content.slice(0, start.index).split('\n').length,
+            snippet: declaration.replace(/\s+/g, ' ')
+        });
+    }
+    return deps;
+}
+
+/**
+ * Find LLM packages in Package.resolved (format v1 "object.pins" and v2/v3 "pins")
+ * Branch and revision pins have no version; the pinned commit is used instead.
+ */
+function findInPackageResolved(content, llmDeps) {
+    try {
+        const resolved = JSON.parse(content);
+        const lines = content.split('\n');
+        const pins = resolved.pins || resolved.object?.pins || [];
+        const results = [];
+        
+        pins.forEach(pin => {
+            const url = pin.location || pin.repositoryURL || '';
+            const name = findSwiftPackage(url, llmDeps);
+            if (!name || results.some(r => r.name === name)) return;
+            const version = pin.state?.version || pin.state?.revision || 'unspecified';
+            results.push({
+                name,
                 version,
-                line: lineNum,
-                snippet: `"${dep}": "${version}"`
+                line: lines.findIndex(line => line.includes(`"${url}"`)) + 1,
+                snippet: `${pin.identity || pin.package || name} ${version}`,
+                hashes: [],
+                locked: true
             });
         });
-        
         return results;
     } catch (e) {
         return [];
     }
 }
 
-function findInRequirements(content, llmDeps) {
-    const lines = content.split('\n');
-    const deps = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const trimmed = line.trim();
-        if (!trimmed || trimmed.startsWith('#')) continue;
+/**
+ * Lines of a file matching a pattern, classified by where the match sits (see code-lexer.js)
+ * A line counts as code when any of its matches is in code. With ignoreComments, matches in comments
+ * and docstrings are dropped.
+ * @param {Function} classify - From createMatchClassifier
+ * @returns {Array<{line: number, text: string, context: string}>} In file order
+ */
+function findClassifiedMatches(content, pattern, classify, ignoreComments = false) {
+    // Line-anchored patterns match per line, as they did when files were scanned line by line
+    const flags = [...new Set(`${pattern.flags}gm`)].join('');
+    const regex = new RegExp(pattern.source, flags);
+    const lines = new Map(); // line number -> match
+    let line = 1;
+    let lineStart = 0;
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+        if (match[0].length === 0) {
+            regex.lastIndex++;
+            continue;
+        }
+        const context = classify(match.index, match.index + match[0].length);
+        if (ignoreComments && COMMENT_CONTEXTS.includes(context)) continue;
         
-        // Match: package-name==version or package-name>=version or just package-name
-        const match = trimmed.match(/^([a-zA-Z0-9\-_.]+)([>=<~!]+(.+))?/);
+        let newline;
+        while ((newline = content.indexOf('\n', lineStart)) !== -1 && newline < match.index) {
+            line++;
+            lineStart = newline + 1;
+        }
+        const existing = lines.get(line);
+        if (!existing || (existing.context !== 'code' && context === 'code')) {
+            const lineEnd = content.indexOf('\n', lineStart);
+            lines.set(line, { line, text: content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd), context });
+        }
+    }
+    return [...lines.values()];
+}
+
+/**
+ * Value of a literal call argument
+ * @returns {{literal: boolean, value: *}} value is null for None / null / undefined; literal is false for expressions
+ */
+function parseArgumentLiteral(text) {
+    const string = text.match(/^[rRuU]?(['"`])((?:\\.|(?!\1)[^\\])*)\1$/s);
+    if (string && !(string[1] === '`' && string[2].includes('${'))) {
+        return { literal: true, value: string[2].replace(/\\(.)/g, '$1') };
+    }
+    if (/^[+-]?(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:e[+-]?\d+)?$/i.test(text)) {
+        return { literal: true, value: Number(text.replace(/_/g, '')) };
+    }
+    const constants = { True: true, true: true, False: false, false: false, None: null, null: null, undefined: null };
+    if (Object.hasOwn(constants, text)) return { literal: true, value: constants[text] };
+    return { literal: false, value: null };
+}
+
+/**
+ * Named arguments among the entries of a call (name=value) or of an object / dict literal (key: value)
+ * Spread entries (**kwargs, ...options) are skipped: their contents are not known statically.
+ * @returns {{named: Object, positional: string[]}} named: argument name -> value text
+ */
+function parseArgumentEntries(entries, mapping) {
+    const named = {};
+    const positional = [];
+    for (const entry of entries) {
+        if (/^(?:\*|\.\.\.)/.test(entry)) continue;
+        const match = mapping
+            ? entry.match(/^(['"]?)([A-Za-z_$][\w$]*)\1\s*:\s*([\s\S]+)$/)
+            : entry.match(/^()([A-Za-z_]\w*)\s*=(?!=)\s*([\s\S]+)$/);
         if (match) {
-            const depName = match[1];
-            const versionSpec = match[2] || '';
-            const depLower = depName.toLowerCase();
-            
-            // Use exact match or word boundary match
-            const isLLMDep = llmDeps.some(llmDep => {
-                const llmDepLower = llmDep.toLowerCase();
-                if (depLower === llmDepLower) return true;
-                // Match at word boundaries (e.g., "langchain-openai" matches "langchain")
-                const pattern = new RegExp(`(^|[^a-z])${llmDepLower}([^a-z]|$)`, 'i');
-                return pattern.test(depName);
-            });
-            
-            if (isLLMDep) {
-                deps.push({
-                    name: depName,
-                    version: versionSpec ? versionSpec.replace(/^[>=<~!]+/, '') : 'unspecified',
-                    line: i + 1,
-                    snippet: trimmed
-                });
-            }
+            named[match[2]] = match[3].trim();
+        } else if (mapping && /^[A-Za-z_$][\w$]*$/.test(entry)) {
+            named[entry] = entry; // Shorthand property { model }
+        } else if (!mapping) {
+            positional.push(entry);
         }
     }
-    return deps;
+    return { named, positional };
 }
 
-function findInPyproject(content, llmDeps) {
-    const lines = content.split('\n');
-    const deps = [];
-    const seen = new Set();
-    
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const depPattern = /["']([a-zA-Z0-9\-_.]+)["']/g;
+/**
+ * Arguments of a nested options value: an object / dict literal or a constructor call
+ * (GenerationConfig(temperature=0.2), types.GenerateContentConfig(...))
+ * @returns {Object} Argument name -> value text; empty for other expressions
+ */
+function parseNestedArguments(text, language) {
+    const call = language === 'python' ? text.match(/^[A-Za-z_][\w.]*\s*\(/) : null;
+    if (!text.startsWith('{') && !call) return {};
+    const split = splitBracketed(text, lexCode(text, language), call ? call[0].length - 1 : 0);
+    return split ? parseArgumentEntries(split.entries, !call).named : {};
+}
+
+/**
+ * String a file assigns to an identifier at the start of a line (MODEL = "gpt-4o", const MODEL: string = '...')
+ * @returns {string|null} The string, or null when the name is not such a constant
+ */
+function findStringConstant(content, regions, name) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) return null;
+    const assignment = new RegExp(`^[ \\t]*(?:(?:export\\s+)?(?:const|let|var)\\s+)?${name.replace(/\$/g, '\\$')}\\s*(?::\\s*[\\w.]+\\s*)?=\\s*(['"])([^'"\\n]*)\\1`, 'gm');
+    let match;
+    while ((match = assignment.exec(content)) !== null) {
+        if (getMatchContext(regions, match.index) === 'code') return match[2];
+    }
+    return null;
+}
+
+/**
+ * LLM invocations of a source file with the arguments reviews ask about (AI_CATALOG.llmCalls, LLM_CALL_PARAMETERS)
+ * Only literal values are recorded as parameters; other arguments are kept as expression text. A model named
+ * by an identifier is resolved when the file assigns that identifier a string literal.
+ * @returns {Array<{file, line, api, provider, parameters, expressions, modelConstant?}>} tools and responseFormat
+ *   are booleans (passed or not), the other parameters the literal values
+ */
+function extractLLMCallSites(path, content) {
+    const language = getCodeLanguage(path);
+    const calls = AI_CATALOG.llmCalls.filter(call => call.languages.includes(language) && call.pattern.test(content));
+    if (calls.length === 0) return [];
+    
+    const regions = lexCode(content, language);
+    const callSites = [];
+    for (const call of calls) {
+        const regex = new RegExp(call.pattern.source, 'g');
         let match;
-        
-        while ((match = depPattern.exec(line)) !== null) {
-            const depName = match[1];
-            const depLower = depName.toLowerCase();
+        while ((match = regex.exec(content)) !== null) {
+            const open = match.index + match[0].length - 1;
+            if (getMatchContext(regions, match.index, open + 1) !== 'code') continue;
+            const split = splitBracketed(content, regions, open);
+            if (!split) continue;
             
-            // Skip if already found
-            if (seen.has(depLower)) continue;
+            // JavaScript SDKs take one options object; Python SDKs take keyword arguments
+            const { named, positional } = parseArgumentEntries(split.entries, false);
+            const options = language === 'javascript' ? positional.find(entry => entry.startsWith('{')) : null;
+            const args = options ? { ...parseNestedArguments(options, language), ...named } : named;
+            for (const name of LLM_CALL_CONFIG_ARGUMENTS) {
+                if (!args[name]) continue;
+                for (const [key, value] of Object.entries(parseNestedArguments(args[name], language))) {
+                    if (!Object.hasOwn(args, key)) args[key] = value;
+                }
+            }
+            if (call.positionalModel && positional[0] && !LLM_CALL_PARAMETERS.model.some(name => Object.hasOwn(args, name))) {
+                args.model = positional[0];
+            }
             
-            // Use exact match or word boundary match
-            const isLLMDep = llmDeps.some(llmDep => {
-                const llmDepLower = llmDep.toLowerCase();
-                if (depLower === llmDepLower) return true;
-                // Match at word boundaries
-                const pattern = new RegExp(`(^|[^a-z])${llmDepLower}([^a-z]|$)`, 'i');
-                return pattern.test(depName);
-            });
+            const parameters = {};
+            const expressions = {};
+            let modelConstant = null;
+            for (const [parameter, names] of Object.entries(LLM_CALL_PARAMETERS)) {
+                const name = names.find(n => Object.hasOwn(args, n));
+                if (!name) continue;
+                const text = args[name];
+                if (parameter === 'tools' || parameter === 'responseFormat') {
+                    parameters[parameter] = !/^(?:None|null|undefined|False|false|NOT_GIVEN|\[\s*\]|\{\s*\})$/.test(text);
+                    continue;
+                }
+                const { literal, value } = parseArgumentLiteral(text);
+                // model=MODEL_NAME with MODEL_NAME = "gpt-4o" in the same file
+                const constant = parameter === 'model' && !literal ? findStringConstant(content, regions, text) : null;
+                if (literal) {
+                    parameters[parameter] = value;
+                } else if (constant !== null) {
+                    parameters[parameter] = constant;
+                    modelConstant = text;
+                } else {
+                    expressions[parameter] = text.length > 100 ? `${text.slice(0, 100)}...` : text;
+                }
+            }
+            // Streaming variants (messages.stream, generate_content_stream) stream without a flag
+            if (!Object.hasOwn(parameters, 'stream') && !expressions.stream && /stream/i.test(match[0])) {
+                parameters.stream = true;
+            }
             
-            if (isLLMDep) {
-                seen.add(depLower);
-                deps.push({
-                    name: depName,
-                    version: 'unspecified',
-                    line: i + 1,
-                    snippet: line.trim()
-                });
+            callSites.push({
+                file: path,
+                line: content.slice(0, match.index).split('\n').length,
+                api: match[1] || call.api,
+                provider: call.provider,
+                parameters,
+                expressions,
+                ...(modelConstant && { modelConstant })
+            });
+        }
+    }
+    return callSites.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * LLM call sites of the files the code detector found AI usage in (Code Search path)
+ */
+async function collectLLMCallSites(paths, getFileContent) {
+    const callSites = [];
+    for (const path of paths) {
+        if (!getCodeLanguage(path)) continue;
+        const content = await getFileContent(path);
+        if (content) callSites.push(...extractLLMCallSites(path, content));
+    }
+    return callSites;
+}
+
+/**
+ * Source files read by the file scanning detectors (code, legacy SDK APIs)
+ * Files with the given extensions under CODE_SCAN_MAX_FILE_BYTES, at most 200. Full content scans
+ * (scanOptions.codeScanMode 'full') take every language the lexer knows plus notebooks within the scan
+ * budget (scanOptions.fullScanMaxFiles / fullScanMaxBytes), so both detectors read the same files.
+ * @returns {{files: Array, maxFiles: number, maxBytes: number, leftOut: Array<{path, reason, size}>}}
+ *   leftOut lists the files a full scan leaves out; readCodeScanFiles adds those over the byte budget
+ */
+function selectCodeScanFiles(tree, extensions, scanOptions) {
+    const fullScan = scanOptions?.codeScanMode === 'full';
+    const scanExtensions = fullScan ? [...Object.values(CODE_LEXER_EXTENSIONS).flat(), '.ipynb'] : extensions;
+    const sourceFiles = tree.filter(entry => {
+        const ext = entry.path.match(/\.[^.]+$/)?.[0]?.toLowerCase() || '';
+        return entry.type !== 'tree' && scanExtensions.includes(ext);
+    });
+    const withinSize = sourceFiles.filter(entry => !entry.size || entry.size < CODE_SCAN_MAX_FILE_BYTES);
+    const maxFiles = fullScan ? (scanOptions.fullScanMaxFiles ?? FULL_SCAN_MAX_FILES) : 200;
+    const leftOut = fullScan ? [
+        ...sourceFiles.filter(entry => entry.size >= CODE_SCAN_MAX_FILE_BYTES).map(entry => ({ path: entry.path, reason: 'too-large', size: entry.size })),
+        ...withinSize.slice(maxFiles).map(entry => ({ path: entry.path, reason: 'scan-budget', size: entry.size ?? null }))
+    ] : [];
+    return {
+        files: withinSize.slice(0, maxFiles),
+        maxFiles,
+        maxBytes: fullScan ? (scanOptions.fullScanMaxBytes ?? FULL_SCAN_MAX_BYTES) : Infinity,
+        leftOut
+    };
+}
+
+/**
+ * Read the selected files in batches of CODE_SCAN_BATCH_FILES and pass them to visit in file order,
+ * until the byte budget is spent
+ * Sizes come from the tree; files without one (GitLab trees) count with their content length once read.
+ * @param {Object} selection - From selectCodeScanFiles; files over the byte budget are added to its leftOut
+ * @param {function(Object, string): void} visit - Called with the tree entry and its content
+ * @returns {Promise<number>} Files read
+ */
+async function readCodeScanFiles(selection, getFileContent, visit) {
+    const { files, maxBytes, leftOut } = selection;
+    let bytesRead = 0;
+    let filesRead = 0;
+    for (let start = 0; start < files.length; start += CODE_SCAN_BATCH_FILES) {
+        const batch = files.slice(start, start + CODE_SCAN_BATCH_FILES).filter(file => {
+            if (bytesRead + (file.size || 0) > maxBytes) {
+                leftOut.push({ path: file.path, reason: 'scan-budget', size: file.size ?? null });
+                return false;
             }
+            bytesRead += file.size || 0;
+            return true;
+        });
+        await prefetchFileContents(getFileContent, batch.map(f => f.path));
+        for (const file of batch) {
+            const content = await getFileContent(file.path);
+            filesRead++;
+            if (!content) continue;
+            if (!file.size) bytesRead += content.length;
+            visit(file, content);
         }
     }
-    return deps;
+    return filesRead;
 }
 
-async function codeDetector({ tree, getFileContent, owner, repo, token, resumeState, repoMeta, sbomAvailable, detectedDependencies }) {
+async function codeDetector({ tree, getFileContent, owner, repo, token, resumeState, repoMeta, sbomAvailable, detectedDependencies, scanOptions }) {
     console.log('[Detector: Code] Starting code analysis...');
     const findings = [];
     let aiFilesFound = []; // Track files where AI usage was found
+    // Matches that only occur in comments and docstrings ("# import openai") are dropped on request
+    const ignoreComments = scanOptions?.ignoreCommentMatches === true;
+    // Full content scans read every source file from the tree instead of asking Code Search, which is rate
+    // limited, only indexes default branches and skips forks and large files
+    const fullScan = scanOptions?.codeScanMode === 'full';
+    if (fullScan) {
+        console.log('[Detector: Code] Full content scan requested - scanning every source file instead of using Code Search');
+    }
     
     // Try GitHub Search API first (more efficient if token is provided)
     // NOTE: We use GitHub Search API for primary detection, but still need recursive tree scanning because:
@@ -407,12 +2163,13 @@ async function codeDetector({ tree, getFileContent, owner, repo, token, resumeSt
     // 2. Some AI-specific files (config files, model files, etc.) may not match search patterns
     // 3. We need to scan files identified by search API for detailed analysis (line numbers, context)
     // 4. Fallback is needed when Search API is unavailable or rate-limited
-    if (token) {
+    // 5. Code Search only indexes the default branch, so other refs and sub paths use file scanning
+    if (token && canUseGitHubIndexedAPIs(repoMeta) && scanOptions?.useCodeSearch !== false && !fullScan) {
         console.log('[Detector: Code] Using GitHub Search API for efficient scanning...');
         const languages = repoMeta?.languages || [];
         
         // Pass SBOM intelligence to search function for optimization
-        const searchResult = await searchCodeViaAPI(owner, repo, token, resumeState, languages, sbomAvailable, detectedDependencies, getFileContent);
+        const searchResult = await searchCodeViaAPI(owner, repo, token, resumeState, languages, sbomAvailable, detectedDependencies, getFileContent, ignoreComments);
         
         if (searchResult) {
             findings.push(...searchResult.findings);
@@ -429,19 +2186,23 @@ async function codeDetector({ tree, getFileContent, owner, repo, token, resumeSt
             
             console.log(`[Detector: Code] Identified ${aiFilesFound.length} files with AI usage for detailed scanning`);
             
+            const callSites = await collectLLMCallSites(aiFilesFound, getFileContent);
+            console.log(`[Detector: Code] Extracted ${callSites.length} LLM call sites`);
+            
             // If paused due to rate limit, return findings with resume state
             if (searchResult.paused) {
                 return {
                     findings,
                     paused: true,
                     resumeState: searchResult.resumeState,
-                    aiFilesFound // Pass this to other detectors
+                    aiFilesFound, // Pass this to other detectors
+                    callSites
                 };
             }
             
             // All searches complete
             console.log('[Detector: Code] ✓ All searches completed');
-            return { findings, paused: false, aiFilesFound };
+            return { findings, paused: false, aiFilesFound, callSites };
         }
         console.log('[Detector: Code] Search API not available, falling back to file scanning...');
     }
@@ -452,59 +2213,73 @@ async function codeDetector({ tree, getFileContent, owner, repo, token, resumeSt
     // - Some detectors need to scan specific file types (e.g., modelsIdentifierDetector scans config files)
     // - Documentation detection needs to check entire tree for README.md, SECURITY.md, etc.
     // - The tree is fetched once (recursive=1) and reused, so it's efficient
-    const CODE_EXTENSIONS = ['.py', '.js', '.ts', '.jsx', '.tsx'];
-    const codeFiles = tree.filter(entry => {
-        const ext = entry.path.match(/\.[^.]+$/)?.[0] || '';
-        return CODE_EXTENSIONS.includes(ext) && (!entry.size || entry.size < 500000);
-    }).slice(0, 200);
-    
-    console.log(`[Detector: Code] Found ${codeFiles.length} code files to scan (limited to 200, <500KB each)`);
+    // Full scans cover every language the lexer knows plus notebooks, within a file and byte budget
+    const selection = selectCodeScanFiles(tree, ['.py', '.js', '.ts', '.jsx', '.tsx'], scanOptions);
+    const codeFiles = selection.files;
+    if (fullScan) {
+        console.log(`[Detector: Code] Found ${codeFiles.length} source files to scan (full scan, <500KB each, budget ${selection.maxFiles} files / ${(selection.maxBytes / 1024 / 1024).toFixed(0)} MB${selection.leftOut.length > 0 ? `, ${selection.leftOut.length} files left out` : ''})`);
+    } else {
+        console.log(`[Detector: Code] Found ${codeFiles.length} code files to scan (limited to 200, <500KB each)`);
+    }
     
     const sdkFindings = new Map();
     const apiFindings = new Map();
-    let filesScanned = 0;
+    const callSites = [];
+    let filesWithContent = 0;
     
-    for (const file of codeFiles) {
-        filesScanned++;
-        if (filesScanned % 20 === 0) {
-            console.log(`[Detector: Code] Progress: ${filesScanned}/${codeFiles.length} files scanned...`);
+    const filesScanned = await readCodeScanFiles(selection, getFileContent, (file, content) => {
+        filesWithContent++;
+        if (filesWithContent % 20 === 0) {
+            console.log(`[Detector: Code] Progress: ${filesWithContent}/${codeFiles.length} files scanned...`);
         }
         
-        const content = await getFileContent(file.path);
-        if (!content) continue;
-        
-        const ext = file.path.match(/\.[^.]+$/)?.[0] || '';
-        const language = ext === '.py' ? 'python' : 'javascript';
+        // Notebooks hold Python cells
+        const language = file.path.endsWith('.ipynb') ? 'python' : getCodeLanguage(file.path);
         const patterns = SDK_PATTERNS[language] || [];
+        const classify = createMatchClassifier(file.path, content);
+        callSites.push(...extractLLMCallSites(file.path, content));
+        
+        // Evidence shows matches in code before those in comments or strings
+        const toEvidence = matches => {
+            const ordered = [...matches.filter(m => m.context === 'code'), ...matches.filter(m => m.context !== 'code')];
+            return { file: file.path, line: ordered[0].line, context: ordered[0].context, snippet: ordered.slice(0, 2).map(m => m.text).join('\n') };
+        };
         
         for (const { pattern, provider, weight } of patterns) {
-            if (pattern.test(content)) {
+            const matches = findClassifiedMatches(content, pattern, classify, ignoreComments);
+            if (matches.length > 0) {
                 const key = `${provider}-${language}`;
                 if (!sdkFindings.has(key)) {
                     sdkFindings.set(key, { provider, weight, files: [] });
                 }
-                const lines = content.split('\n').filter(line => pattern.test(line));
-                const snippet = lines.slice(0, 2).join('\n');
-                sdkFindings.get(key).files.push({ file: file.path, snippet });
+                sdkFindings.get(key).files.push(toEvidence(matches));
             }
         }
         
         for (const { pattern, provider, weight } of API_ENDPOINTS) {
-            if (pattern.test(content)) {
+            const matches = findClassifiedMatches(content, pattern, classify, ignoreComments);
+            if (matches.length > 0) {
                 const key = `api-${provider}`;
                 if (!apiFindings.has(key)) {
                     apiFindings.set(key, { provider, weight, files: [] });
                 }
-                const lines = content.split('\n').filter(line => pattern.test(line));
-                const snippet = lines.slice(0, 2).join('\n');
-                apiFindings.get(key).files.push({ file: file.path, snippet });
+                apiFindings.get(key).files.push(toEvidence(matches));
             }
         }
-    }
+    });
     
     console.log(`[Detector: Code] Scanned ${filesScanned} files`);
+    const { leftOut } = selection;
+    if (leftOut.length > 0 && getFileContent.skipped) {
+        const recorded = new Set(getFileContent.skipped.map(f => f.path));
+        getFileContent.skipped.push(...leftOut.filter(f => !recorded.has(f.path)));
+        console.warn(`[Detector: Code] ⚠️  Full scan left out ${leftOut.length} source files (${leftOut.filter(f => f.reason === 'scan-budget').length} over the scan budget); they are listed in the inventory`);
+    }
     console.log(`[Detector: Code] Found ${sdkFindings.size} SDK patterns, ${apiFindings.size} API endpoint patterns`);
     
+    // Files with AI usage are scanned first by the model identifier, as with Code Search results
+    aiFilesFound = [...new Set([...sdkFindings.values(), ...apiFindings.values()].flatMap(data => data.files.map(f => f.file)))];
+    
     for (const [key, data] of sdkFindings) {
         console.log(`[Detector: Code] ✓ ${data.provider} SDK detected in ${data.files.length} files`);
         findings.push({
@@ -514,7 +2289,7 @@ async function codeDetector({ tree, getFileContent, owner, repo, token, resumeSt
             severity: 'high',
             weight: data.weight,
             description: `Found ${data.provider} SDK usage in ${data.files.length} file(s)`,
-            evidence: data.files.slice(0, 5).map(f => ({ file: f.file, snippet: f.snippet.substring(0, 200) }))
+            evidence: data.files.slice(0, 5).map(f => ({ file: f.file, line: f.line, snippet: f.snippet.substring(0, 200), context: f.context }))
         });
     }
     
@@ -527,15 +2302,16 @@ async function codeDetector({ tree, getFileContent, owner, repo, token, resumeSt
             severity: 'medium',
             weight: data.weight,
             description: `Found API calls to ${data.provider} in ${data.files.length} file(s)`,
-            evidence: data.files.slice(0, 5).map(f => ({ file: f.file, snippet: f.snippet.substring(0, 200) }))
+            evidence: data.files.slice(0, 5).map(f => ({ file: f.file, line: f.line, snippet: f.snippet.substring(0, 200), context: f.context }))
         });
     }
     
     console.log(`[Detector: Code] Complete. Findings: ${findings.length}`);
-    return { findings, paused: false, aiFilesFound };
+    console.log(`[Detector: Code] Extracted ${callSites.length} LLM call sites`);
+    return { findings, paused: false, aiFilesFound, callSites };
 }
 
-async function searchCodeViaAPI(owner, repo, token, resumeState = null, languages = [], sbomAvailable = false, detectedDependencies = [], getFileContent = null) {
+async function searchCodeViaAPI(owner, repo, token, resumeState = null, languages = [], sbomAvailable = false, detectedDependencies = [], getFileContent = null, ignoreComments = false) {
     const findings = resumeState?.findings || [];
     const sdkFindings = resumeState?.sdkFindings || new Map();
     
@@ -690,7 +2466,7 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
         }
         
         console.log(`[Code Search] 🎯 SMART MODE: ${searches.length} targeted searches (only searching for installed dependencies)`);
-        
+    
     } else {
         // FALLBACK MODE: Use broad pattern matching (original behavior)
         console.log(`[Code Search] 📡 FALLBACK MODE: SBOM not available, using broad pattern matching`);
@@ -725,6 +2501,12 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
         
         const result = await searchCodeInRepo(owner, repo, query, token);
         
+        // Search disabled/unsupported on this host (e.g. GitHub Enterprise Server): use file scanning instead
+        if (result && result.unavailable) {
+            console.warn('[Code Search] ⚠️  Code search unavailable, falling back to file scanning');
+            return null;
+        }
+        
         if (!result) {
             // Check if it was a rate limit issue
             if (result === false) { // Rate limit hit
@@ -751,7 +2533,9 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
         // Update rate limit tracking
         if (result.rateLimit) {
             lastRateLimit = result.rateLimit;
-            console.log(`[Code Search] Rate limit: ${lastRateLimit.remaining}/${lastRateLimit.limit} remaining`);
+            if (Number.isFinite(lastRateLimit.remaining)) {
+                console.log(`[Code Search] Rate limit: ${lastRateLimit.remaining}/${lastRateLimit.limit} remaining`);
+            }
             
             // If we hit 0, pause and defer remaining searches
             if (lastRateLimit.remaining === 0) {
@@ -787,6 +2571,7 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
         for (const item of result.items) {
             let lineNumber = item.line_number;
             let snippet = item.snippet;
+            let context = null;
             
             // If we have a snippet but no line number, fetch the file to find the exact line
             if (snippet && !lineNumber && item.path && getFileContent) {
@@ -794,16 +2579,22 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
                     const fileContent = await getFileContent(item.path);
                     if (fileContent) {
                         const lines = fileContent.split('\n');
+                        const fragment = snippet.substring(0, Math.min(30, snippet.length));
                         // Search for the snippet in the file
+                        let lineOffset = 0;
                         for (let i = 0; i < lines.length; i++) {
                             // Check if this line contains the matched text from snippet
                             const line = lines[i];
-                            if (snippet && line.includes(snippet.substring(0, Math.min(30, snippet.length)))) {
+                            if (line.includes(fragment)) {
                                 lineNumber = i + 1; // Line numbers are 1-indexed
                                 // Update snippet to be the actual line
                                 snippet = line.trim();
+                                // Code, comment, docstring or string - the search index does not tell them apart
+                                const matchOffset = lineOffset + line.indexOf(fragment);
+                                context = createMatchClassifier(item.path, fileContent)(matchOffset, matchOffset + fragment.length);
                                 break;
                             }
+                            lineOffset += line.length + 1;
                         }
                     }
                 } catch (error) {
@@ -811,15 +2602,18 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
                 }
             }
             
+            if (ignoreComments && COMMENT_CONTEXTS.includes(context)) {
+                console.log(`[Code Search] Skipping ${item.path}:${lineNumber} - match is in a ${context}`);
+                continue;
+            }
+            
             // Build GitHub URL with line anchor
             // GitHub Search API returns html_url with commit SHA (e.g., .../blob/abc123/path)
+            // Without html_url the UI builds the link from the repository host and ref
             let url = item.html_url || null;
             if (url && lineNumber) {
                 // Remove existing line anchor if present, add new one
                 url = url.replace(/#L\d+$/, '') + `#L${lineNumber}`;
-            } else if (!url && lineNumber) {
-                // Build URL if we don't have one (fallback - use main branch)
-                url = `https://github.com/${owner}/${repo}/blob/main/${item.path}#L${lineNumber}`;
             } else if (url && !lineNumber) {
                 // Keep original URL even without line number (it has commit SHA which is better than branch)
             }
@@ -829,7 +2623,8 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
                 path: item.path,
                 line: lineNumber,
                 url: url,
-                snippet: snippet
+                snippet: snippet,
+                context
             };
             sdkFindings.get(key).files.add(JSON.stringify(fileInfo));
         }
@@ -838,7 +2633,9 @@ async function searchCodeViaAPI(owner, repo, token, resumeState = null, language
     }
     
     console.log(`[Code Search] ✓ Completed all ${searches.length} searches`);
-    console.log(`[Code Search] Final rate limit: ${lastRateLimit.remaining}/${lastRateLimit.limit} remaining`);
+    if (Number.isFinite(lastRateLimit.remaining)) {
+        console.log(`[Code Search] Final rate limit: ${lastRateLimit.remaining}/${lastRateLimit.limit} remaining`);
+    }
     
     return {
         findings: convertSearchToFindings(sdkFindings),
@@ -876,7 +2673,8 @@ function convertSearchToFindings(sdkFindings) {
                 file: fileInfo.path,
                 line: fileInfo.line,
                 url: fileInfo.url,
-                snippet: fileInfo.snippet || null // Don't add fallback text - let UI handle it
+                snippet: fileInfo.snippet || null, // Don't add fallback text - let UI handle it
+                context: fileInfo.context || null
             })),
             filesFound: data.files.size // Track for filtering
         });
@@ -913,6 +2711,7 @@ async function configDetector({ tree, getFileContent }) {
     
     const modelNameFindings = new Map();
     
+    await prefetchFileContents(getFileContent, configFiles.map(f => f.path));
     for (const file of configFiles) {
         console.log(`[Detector: Config] Scanning ${file.path}...`);
         const content = await getFileContent(file.path);
@@ -921,12 +2720,12 @@ async function configDetector({ tree, getFileContent }) {
         const lines = content.split('\n');
         
         // Check for model names in config (NOT API keys)
-        for (const { pattern, provider, model } of MODEL_PATTERNS) {
+        for (const { pattern, provider, model, id } of MODEL_PATTERNS) {
             for (let i = 0; i < lines.length; i++) {
                 if (pattern.test(lines[i])) {
                     const key = `model-${provider}-${model}`;
                     if (!modelNameFindings.has(key)) {
-                        modelNameFindings.set(key, { provider, model, files: [] });
+                        modelNameFindings.set(key, { provider, model, id, files: [] });
                     }
                     
                     modelNameFindings.get(key).files.push({ 
@@ -955,7 +2754,7 @@ async function configDetector({ tree, getFileContent }) {
             evidence: data.files.slice(0, 5), // Already has line, snippet
             modelInfo: {
                 provider: data.provider,
-                modelName: data.model,
+                modelName: data.id, // Catalog id, as reported by the model identifier detector
                 locations: data.files, // Already has file, line, snippet
                 files: data.files.map(f => f.file) // For backward compatibility
             }
@@ -973,6 +2772,7 @@ async function ciDetector({ tree, getFileContent }) {
     
     console.log(`[Detector: CI/CD] Found ${ciFiles.length} workflow files`);
     
+    await prefetchFileContents(getFileContent, ciFiles.map(f => f.path));
     for (const file of ciFiles) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -997,10 +2797,11 @@ async function ciDetector({ tree, getFileContent }) {
     return findings;
 }
 
-async function modelsDetector({ tree }) {
+async function modelsDetector({ tree, getFileContent }) {
     console.log('[Detector: Models] Starting model file detection...');
     const findings = [];
     const modelFiles = new Map();
+    const lfsCandidates = [];
     
     for (const entry of tree) {
         const fileName = entry.path.split('/').pop();
@@ -1022,11 +2823,28 @@ async function modelsDetector({ tree }) {
                 if (!modelFiles.has(key)) {
                     modelFiles.set(key, { description, files: [] });
                 }
-                modelFiles.get(key).files.push({ file: entry.path, size: entry.size || 0 });
+                const modelFile = { file: entry.path, size: entry.size || 0, lfs: null };
+                modelFiles.get(key).files.push(modelFile);
+                
+                // Weight files small enough to be LFS pointers (GitLab trees report no size)
+                if (pattern.lfs && (entry.size === undefined || entry.size <= LFS_POINTER_MAX_BYTES)) {
+                    lfsCandidates.push(modelFile);
+                }
             }
         }
     }
     
+    // Pointers pin the real artifact: read them to get the object's SHA-256 and size
+    const pointerFiles = lfsCandidates.slice(0, LFS_POINTER_MAX_FILES);
+    const pointerContents = await prefetchFileContents(getFileContent, pointerFiles.map(f => f.file));
+    pointerFiles.forEach((modelFile, i) => {
+        modelFile.lfs = parseLfsPointer(pointerContents[i]);
+    });
+    const lfsCount = pointerFiles.filter(f => f.lfs).length;
+    if (lfsCount > 0) {
+        console.log(`[Detector: Models] ✓ Resolved ${lfsCount} Git LFS pointers`);
+    }
+    
     for (const [key, data] of modelFiles) {
         console.log(`[Detector: Models] ✓ Found ${data.files.length} ${data.description} files`);
         findings.push({
@@ -1036,7 +2854,13 @@ async function modelsDetector({ tree }) {
             severity: 'high',
             weight: Math.min(data.files.length + 4, 8),
             description: `Found ${data.files.length} ${data.description} file(s)`,
-            evidence: data.files.slice(0, 10).map(f => ({ file: f.file, snippet: `File size: ${f.size} bytes` }))
+            evidence: data.files.slice(0, 10).map(f => ({
+                file: f.file,
+                snippet: f.lfs
+                    ? `Git LFS object: sha256:${f.lfs.oid}, ${f.lfs.size} bytes`
+                    : `File size: ${f.size} bytes`
+            })),
+            modelFiles: data.files
         });
     }
     
@@ -1173,6 +2997,7 @@ function detectProvidersInUse(findings) {
             }
             if (depName.includes('cohere')) providers.add('Cohere');
             if (depName.includes('mistral')) providers.add('Mistral');
+            if (finding.dependencyInfo.aiCategory === 'llm-sdk') providers.add(finding.dependencyInfo.provider);
         }
     }
     
@@ -1226,10 +3051,11 @@ function getCodeExtensionsForLanguages(languages) {
     return extArray;
 }
 
-async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, token, aiFilesFound, repoMeta, allFindings }) {
+async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, token, aiFilesFound, callSites = [], repoMeta, allFindings, scanOptions }) {
     console.log('[Detector: AI Models] Starting AI model identification...');
     const findings = [];
     const modelsFound = new Map();
+    const ignoreComments = scanOptions?.ignoreCommentMatches === true;
     
     // WHY RECURSIVE TREE SCANNING FOR MODELS:
     // Model names are often in config files (YAML, JSON, TOML, .env) that may not be detected by code search
@@ -1245,47 +3071,13 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
     const providersUsed = detectProvidersInUse(allFindings || []);
     console.log(`[Detector: AI Models] Detected providers in use: ${Array.from(providersUsed).join(', ') || 'None detected, will infer from patterns'}`);
     
-    const shouldCheckHuggingFace = providersUsed.size === 0 || providersUsed.has('HuggingFace');
-    console.log(`[Detector: AI Models] Will query HuggingFace API: ${shouldCheckHuggingFace}`);
+    // Offline sources (local folders/archives) must not reach out to the HuggingFace API
+    const shouldCheckHuggingFace = !repoMeta?.offline && (providersUsed.size === 0 || providersUsed.has('HuggingFace'));
+    console.log(`[Detector: AI Models] Will query HuggingFace API: ${shouldCheckHuggingFace}${repoMeta?.offline ? ' (offline source)' : ''}`);
     
-    // Patterns to identify specific model usage
+    // Patterns to identify specific model usage: catalog models plus HuggingFace org/model references
     const modelPatterns = [
-        // OpenAI models - LLM
-        { pattern: /["']?(gpt-4o-mini)["']?/gi, provider: 'OpenAI', model: 'gpt-4o-mini', type: 'text-generation' },
-        { pattern: /["']?(gpt-4o)["']?/gi, provider: 'OpenAI', model: 'gpt-4o', type: 'text-generation' },
-        { pattern: /["']?(gpt-4-turbo)["']?/gi, provider: 'OpenAI', model: 'gpt-4-turbo', type: 'text-generation' },
-        { pattern: /["']?(gpt-4)["']?/gi, provider: 'OpenAI', model: 'gpt-4', type: 'text-generation' },
-        { pattern: /["']?(gpt-3\.5-turbo)["']?/gi, provider: 'OpenAI', model: 'gpt-3.5-turbo', type: 'text-generation' },
-        { pattern: /["']?(o1-preview)["']?/gi, provider: 'OpenAI', model: 'o1-preview', type: 'text-generation' },
-        { pattern: /["']?(o1-mini)["']?/gi, provider: 'OpenAI', model: 'o1-mini', type: 'text-generation' },
-        
-        // OpenAI models - Embeddings
-        { pattern: /["']?(text-embedding-3-large)["']?/gi, provider: 'OpenAI', model: 'text-embedding-3-large', type: 'embeddings' },
-        { pattern: /["']?(text-embedding-3-small)["']?/gi, provider: 'OpenAI', model: 'text-embedding-3-small', type: 'embeddings' },
-        { pattern: /["']?(text-embedding-ada-002)["']?/gi, provider: 'OpenAI', model: 'text-embedding-ada-002', type: 'embeddings' },
-        
-        // OpenAI models - Image Generation
-        { pattern: /["']?(dall-e-3)["']?/gi, provider: 'OpenAI', model: 'dall-e-3', type: 'text-to-image' },
-        { pattern: /["']?(dall-e-2)["']?/gi, provider: 'OpenAI', model: 'dall-e-2', type: 'text-to-image' },
-        
-        // Anthropic models - LLM
-        { pattern: /["']?(claude-3-5-sonnet-\d+)["']?/gi, provider: 'Anthropic', model: 'claude-3.5-sonnet', type: 'text-generation' },
-        { pattern: /["']?(claude-3-opus-\d+)["']?/gi, provider: 'Anthropic', model: 'claude-3-opus', type: 'text-generation' },
-        { pattern: /["']?(claude-3-sonnet-\d+)["']?/gi, provider: 'Anthropic', model: 'claude-3-sonnet', type: 'text-generation' },
-        { pattern: /["']?(claude-3-haiku-\d+)["']?/gi, provider: 'Anthropic', model: 'claude-3-haiku', type: 'text-generation' },
-        
-        // Google AI models - LLM (Gemini)
-        { pattern: /["']?(gemini-1\.5-pro-\d+)["']?/gi, provider: 'Google', model: 'gemini-1.5-pro', type: 'text-generation' },
-        { pattern: /["']?(gemini-1\.5-flash-\d+)["']?/gi, provider: 'Google', model: 'gemini-1.5-flash', type: 'text-generation' },
-        { pattern: /["']?(gemini-1\.5-pro)["']?/gi, provider: 'Google', model: 'gemini-1.5-pro', type: 'text-generation' },
-        { pattern: /["']?(gemini-1\.5-flash)["']?/gi, provider: 'Google', model: 'gemini-1.5-flash', type: 'text-generation' },
-        { pattern: /["']?(gemini-pro)["']?/gi, provider: 'Google', model: 'gemini-pro', type: 'text-generation' },
-        { pattern: /["']?(gemini-2\.0-flash-exp)["']?/gi, provider: 'Google', model: 'gemini-2.0-flash-exp', type: 'text-generation' },
-        
-        // Google AI models - Embeddings (models/embedding-001 format)
-        { pattern: /["']?(models\/embedding-001)["']?/gi, provider: 'Google', model: 'models/embedding-001', type: 'embeddings' },
-        { pattern: /["']?(models\/text-embedding-004)["']?/gi, provider: 'Google', model: 'models/text-embedding-004', type: 'embeddings' },
-        { pattern: /["']?(text-embedding-004)["']?/gi, provider: 'Google', model: 'text-embedding-004', type: 'embeddings' },
+        ...MODEL_PATTERNS.map(({ pattern, provider, id, type }) => ({ pattern, provider, model: id, type })),
         
         // HuggingFace models (pattern: organization/model-name)
         // Only match if it's actually from HuggingFace context
@@ -1293,45 +3085,31 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
         { pattern: /["']([a-zA-Z0-9_-]+\/[a-zA-Z0-9_.-]+)["']/gi, provider: 'HuggingFace', model: 'extract', type: 'unknown' },
         
         // HuggingFace explicit URL patterns (hf.co/)
-        { pattern: /["']?hf\.co\/([a-zA-Z0-9_-]+\/[a-zA-Z0-9_.-]+)(?::[a-zA-Z0-9_-]+)?["']?/gi, provider: 'HuggingFace', model: 'extract', type: 'unknown' },
-        
-        // Mistral models
-        { pattern: /["']?(mistral-large)["']?/gi, provider: 'Mistral', model: 'mistral-large', type: 'text-generation' },
-        { pattern: /["']?(mixtral-8x7b)["']?/gi, provider: 'Mistral', model: 'mixtral-8x7b', type: 'text-generation' },
-        
-        // Cohere models (order matters: more specific patterns first to prevent partial matches)
-        { pattern: /["']?(command-r7b-arabic)["']?/gi, provider: 'Cohere', model: 'command-r7b-arabic', type: 'text-generation' },
-        { pattern: /["']?(command-r-plus)["']?/gi, provider: 'Cohere', model: 'command-r-plus', type: 'text-generation' },
-        // Match "command-r" only when not followed by more alphanumeric characters (to avoid matching inside "command-r7b-arabic")
-        { pattern: /["']?(command-r)(?![a-z0-9-])["']?/gi, provider: 'Cohere', model: 'command-r', type: 'text-generation' },
-        { pattern: /["']?(command-a)["']?/gi, provider: 'Cohere', model: 'command-a', type: 'text-generation' },
-        
-        // Ollama/Local models
-        { pattern: /["']?(llama3\.3)["']?/gi, provider: 'Meta', model: 'llama3.3', type: 'text-generation' },
-        { pattern: /["']?(llama3\.2)["']?/gi, provider: 'Meta', model: 'llama3.2', type: 'text-generation' },
-        { pattern: /["']?(llama3\.1)["']?/gi, provider: 'Meta', model: 'llama3.1', type: 'text-generation' },
-        { pattern: /["']?(llama3)["']?/gi, provider: 'Meta', model: 'llama3', type: 'text-generation' },
-        { pattern: /["']?(codellama)["']?/gi, provider: 'Meta', model: 'codellama', type: 'text-generation' },
-        { pattern: /["']?(deepseek-coder-v2)["']?/gi, provider: 'DeepSeek', model: 'deepseek-coder-v2', type: 'text-generation' },
-        { pattern: /["']?(deepseek-r1)["']?/gi, provider: 'DeepSeek', model: 'deepseek-r1', type: 'text-generation' },
-        { pattern: /["']?(deepseek-v3)["']?/gi, provider: 'DeepSeek', model: 'deepseek-v3', type: 'text-generation' },
-        { pattern: /["']?(qwen2\.5)["']?/gi, provider: 'Alibaba', model: 'qwen2.5', type: 'text-generation' },
-        { pattern: /["']?(qwen2\.5-coder)["']?/gi, provider: 'Alibaba', model: 'qwen2.5-coder', type: 'text-generation' },
-        { pattern: /["']?(qwq)["']?/gi, provider: 'Alibaba', model: 'qwq', type: 'text-generation' },
-        { pattern: /["']?(gemma2)["']?/gi, provider: 'Google', model: 'gemma2', type: 'text-generation' },
-        { pattern: /["']?(gemma3)["']?/gi, provider: 'Google', model: 'gemma3', type: 'text-generation' },
-        { pattern: /["']?(phi4)["']?/gi, provider: 'Microsoft', model: 'phi4', type: 'text-generation' },
-        { pattern: /["']?(phi3)["']?/gi, provider: 'Microsoft', model: 'phi3', type: 'text-generation' },
-        { pattern: /["']?(mistral)["']?/gi, provider: 'Mistral', model: 'mistral', type: 'text-generation' },
-        { pattern: /["']?(medllama2)["']?/gi, provider: 'Meta', model: 'medllama2', type: 'text-generation' },
-        { pattern: /["']?(meditron)["']?/gi, provider: 'EPFL', model: 'meditron', type: 'text-generation' },
-        { pattern: /["']?(mathstral)["']?/gi, provider: 'Mistral', model: 'mathstral', type: 'text-generation' },
-        // Use word boundaries to prevent false matches in "yield", "lying", etc.
-        // Match: "yi", 'yi', or yi as standalone word (not inside other words)
-        { pattern: /["']yi["']|\byi\b/gi, provider: '01.AI', model: 'yi', type: 'text-generation' },
-        { pattern: /["']?(athene-v2)["']?/gi, provider: 'Nexusflow', model: 'athene-v2', type: 'text-generation' }
+        { pattern: /["']?hf\.co\/([a-zA-Z0-9_-]+\/[a-zA-Z0-9_.-]+)(?::[a-zA-Z0-9_-]+)?["']?/gi, provider: 'HuggingFace', model: 'extract', type: 'unknown' }
     ];
     
+    // Model named by a pattern match, or null when the match is not a model
+    const resolveModelMatch = ({ provider, model }, match) => {
+        const modelName = model === 'extract' ? match[1] : model;
+        
+        // Special case: Exclude Google's models/* format from HuggingFace detector
+        if (provider === 'HuggingFace' && modelName.startsWith('models/')) {
+            return null; // This is a Google model, not HuggingFace
+        }
+        
+        // Validate model name to filter out false positives
+        if (!isValidModelName(modelName, provider)) {
+            return null;
+        }
+        
+        // Normalize Google model names: prefer "models/embedding-001" format
+        if (provider === 'Google' && !modelName.startsWith('models/') && 
+            (modelName.includes('embedding') || modelName.includes('text-embedding'))) {
+            return `models/${modelName}`;
+        }
+        return modelName;
+    };
+    
     // Define exclusion list for non-code files
     const EXCLUDE_EXTENSIONS = ['.md', '.txt', '.svg', '.png', '.jpg', '.jpeg', '.gif', '.pdf', '.doc', '.docx'];
     
@@ -1389,6 +3167,7 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
     console.log(`[Detector: AI Models] Total files to scan: ${allFilesToScan.length} (${priorityFiles.length} priority)`);
     
     let filesScanned = 0;
+    await prefetchFileContents(getFileContent, allFilesToScan.map(f => f.path));
     for (const { path, priority } of allFilesToScan) {
         filesScanned++;
         
@@ -1406,36 +3185,28 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
         
         // Split content into lines for line number tracking
         const lines = content.split('\n');
+        const classify = createMatchClassifier(path, content);
         
         // Scan for model patterns
         for (const { pattern, provider, model, type } of modelPatterns) {
-            const regex = new RegExp(pattern.source, pattern.flags);
+            const regex = new RegExp(pattern.source, 'gi');
             let match;
             
             while ((match = regex.exec(content)) !== null) {
-                let modelName = model === 'extract' ? match[1] : model;
-                
-                // Special case: Exclude Google's models/* format from HuggingFace detector
-                if (provider === 'HuggingFace' && modelName.startsWith('models/')) {
-                    continue; // This is a Google model, not HuggingFace
+                const normalizedModelName = resolveModelMatch({ provider, model }, match);
+                if (!normalizedModelName) {
+                    continue;
                 }
                 
-                // Validate model name to filter out false positives
-                if (!isValidModelName(modelName, provider)) {
-                    continue; // Skip invalid model names
+                // A model named in a comment or docstring ("Uses gpt-4 for ...") is documentation, not usage
+                const context = classify(match.index, match.index + match[0].length);
+                if (ignoreComments && COMMENT_CONTEXTS.includes(context)) {
+                    continue;
                 }
                 
                 // Calculate line number by counting newlines before match
                 const lineNum = content.substring(0, match.index).split('\n').length;
                 const lineContent = lines[lineNum - 1] || '';
-                
-                // Normalize Google model names: prefer "models/embedding-001" format
-                let normalizedModelName = modelName;
-                if (provider === 'Google' && !modelName.startsWith('models/') && 
-                    (modelName.includes('embedding') || modelName.includes('text-embedding'))) {
-                    normalizedModelName = `models/${modelName}`;
-                }
-                
                 const key = `${provider}-${normalizedModelName}`;
                 
                 if (!modelsFound.has(key)) {
@@ -1459,8 +3230,11 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
                     modelsFound.get(key).locations.push({
                         file: path,
                         line: lineNum,
-                        snippet: lineContent.trim().substring(0, 100)
+                        snippet: lineContent.trim().substring(0, 100),
+                        context
                     });
+                } else if (COMMENT_CONTEXTS.includes(existingLoc.context)) {
+                    existingLoc.context = context;
                 }
             }
         }
@@ -1468,6 +3242,32 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
     
     console.log(`[Detector: AI Models] Found ${modelsFound.size} distinct AI models`);
     
+    // Attach the LLM call sites found by the code detector to the model they name
+    const unattachedCallSites = new Map(); // provider -> call sites naming no literal or identified model
+    for (const callSite of callSites) {
+        const name = callSite.parameters.model;
+        const quoted = typeof name === 'string' ? JSON.stringify(name) : null;
+        let key = null;
+        for (const entry of quoted ? modelPatterns : []) {
+            const match = new RegExp(entry.pattern.source, 'i').exec(quoted);
+            const modelName = match && resolveModelMatch(entry, match);
+            if (modelName) {
+                key = `${entry.provider}-${modelName}`;
+                break;
+            }
+        }
+        if (key && modelsFound.has(key)) {
+            const data = modelsFound.get(key);
+            data.callSites = [...(data.callSites || []), callSite];
+        } else {
+            unattachedCallSites.set(callSite.provider, [...(unattachedCallSites.get(callSite.provider) || []), callSite]);
+        }
+    }
+    if (callSites.length > 0) {
+        const unattached = [...unattachedCallSites.values()].flat().length;
+        console.log(`[Detector: AI Models] Attached ${callSites.length - unattached}/${callSites.length} LLM call sites to models${unattached > 0 ? ' (others name no literal or identified model)' : ''}`);
+    }
+    
     // Track duplicate/related models
     const modelRelationships = new Map(); // modelName (normalized) -> [keys]
     
@@ -1542,7 +3342,7 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
                 }
             }
         } else if (data.isHuggingFace && !shouldCheckHuggingFace) {
-            console.log(`[Detector: AI Models] Skipping HuggingFace API check for ${data.modelName} (no HuggingFace libraries detected)`);
+            console.log(`[Detector: AI Models] Skipping HuggingFace API check for ${data.modelName} (${repoMeta?.offline ? 'offline source' : 'no HuggingFace libraries detected'})`);
         }
         
         // Build description based on provider and model type
@@ -1567,11 +3367,15 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
             description = `${data.provider} model: ${data.modelName}${typeLabel}`;
         }
         
-        // Create evidence with line numbers
-        const evidence = data.locations.slice(0, 5).map(loc => ({
+        // Create evidence with line numbers, usages before mentions in comments and docstrings
+        const evidence = [
+            ...data.locations.filter(loc => !COMMENT_CONTEXTS.includes(loc.context)),
+            ...data.locations.filter(loc => COMMENT_CONTEXTS.includes(loc.context))
+        ].slice(0, 5).map(loc => ({
             file: loc.file,
             line: loc.line,
-            snippet: loc.snippet
+            snippet: loc.snippet,
+            context: loc.context
         }));
         
         // Only add HuggingFace model card info if verified
@@ -1606,7 +3410,8 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
                 ...(data.hfDetails && { huggingface: data.hfDetails }),
                 ...(data.modelCardData && { modelCardData: data.modelCardData }),
                 ...(data.detectionSource && { detectionSource: data.detectionSource }),
-                ...(data.relatedModels && { relatedModels: data.relatedModels })
+                ...(data.relatedModels && { relatedModels: data.relatedModels }),
+                ...(data.callSites && { callSites: data.callSites })
             }
         });
         
@@ -1614,6 +3419,23 @@ async function modelsIdentifierDetector({ tree, getFileContent, owner, repo, tok
         console.log(`[Detector: AI Models] ✓ ${data.provider} model "${data.modelName}"${typeInfo} found in ${data.locations.length} location(s)`);
     }
     
+    // Call sites with a model given by an expression (model=cfg.model) or missing from the catalog (claude-2.1)
+    // are still LLM usage; they are kept as one finding per provider (unweighted: the SDK finding scores the usage)
+    for (const [provider, sites] of unattachedCallSites) {
+        const describe = site => site.parameters.model ?? site.expressions.model ?? 'no model argument';
+        findings.push({
+            id: `code-llm-calls-${provider.toLowerCase()}`,
+            title: `${provider} LLM Calls Without Identified Model`,
+            category: 'code',
+            severity: 'medium',
+            weight: 0,
+            description: `Found ${sites.length} ${provider} LLM call site(s) whose model is not a literal or not a known model`,
+            evidence: sites.slice(0, 5).map(site => ({ file: site.file, line: site.line, snippet: `${site.api}: ${describe(site)}` })),
+            callSites: sites
+        });
+        console.log(`[Detector: AI Models] ✓ ${provider}: ${sites.length} LLM call site(s) without an identified model`);
+    }
+    
     console.log(`[Detector: AI Models] Complete. Findings: ${findings.length}`);
     return findings;
 }
@@ -1630,6 +3452,7 @@ async function promptsDetector({ tree, getFileContent }) {
     console.log(`[Detector: Prompts] Found ${promptFiles.length} potential prompt files`);
     
     const foundPrompts = [];
+    await prefetchFileContents(getFileContent, promptFiles.slice(0, 20).map(f => f.path));
     for (const file of promptFiles.slice(0, 20)) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -1676,6 +3499,176 @@ async function promptsDetector({ tree, getFileContent }) {
     return findings; // Returns empty array - prompts are not AIBOM components
 }
 
+// ============================================================================
+// LEGACY SDK API DETECTION
+// ============================================================================
+/**
+ * Highest version a declared dependency can resolve to - installers pick the newest allowed release
+ * Understands pip / PEP 440 specifiers (<, <=, ==, ~=, 1.2.*) and npm ranges (^, ~, 1.x).
+ * @returns {{version: string, inclusive: boolean}|null|undefined} null when there is no upper bound
+ *   (the latest release is installed), undefined when the declaration cannot be read
+ */
+function getDeclaredVersionCeiling(dependencyInfo) {
+    const { version, locked } = dependencyInfo;
+    const exact = getExactDependencyVersion(dependencyInfo);
+    if (exact || (locked && version)) return { version: exact || version, inclusive: true };
+    
+    const spec = (version || '').split(';')[0].trim().replace(/([<>=!~^]+)\s+/g, '$1');
+    if (!spec || ['unspecified', 'latest', '*', 'x'].includes(spec.toLowerCase())) return null;
+    if (spec.includes('||') || /(^|\s)-(\s|$)/.test(spec)) return undefined;
+    
+    // Upper bound of a partial or wildcard version: bump the part at index ("1.4" at 0 -> "2")
+    const bump = (parts, index) => [...parts.slice(0, index), parts[index] + 1].join('.');
+    let ceiling = null;
+    for (const token of spec.split(/[\s,]+/)) {
+        const match = token.match(/^(<=|>=|<|>|===?|!=|~=|\^|~|=)?v?(\d+(?:\.(?:\d+|[x*]))*)([-+.]?[0-9a-z.+-]*)$/i);
+        if (!match) return undefined;
+        const [, operator = '', versionText, suffix] = match;
+        const parts = versionText.split('.');
+        const wildcard = parts.findIndex(part => /^[x*]$/i.test(part));
+        const numbers = (wildcard === -1 ? parts : parts.slice(0, wildcard)).map(Number);
+        
+        let bound = null;
+        if (wildcard !== -1) {
+            if (['', '=', '==', '==='].includes(operator) && numbers.length > 0) bound = { version: bump(numbers, numbers.length - 1), inclusive: false };
+        } else if (operator === '<' || operator === '<=') {
+            bound = { version: versionText + suffix, inclusive: operator === '<=' };
+        } else if (['', '=', '==', '==='].includes(operator)) {
+            bound = { version: versionText + suffix, inclusive: true };
+        } else if (operator === '^') {
+            const first = numbers.slice(0, 3).findIndex(n => n !== 0);
+            bound = { version: bump(numbers, first === -1 ? Math.min(numbers.length, 3) - 1 : first), inclusive: false };
+        } else if (operator === '~') {
+            bound = { version: bump(numbers, numbers.length > 1 ? 1 : 0), inclusive: false };
+        } else if (operator === '~=') {
+            bound = { version: bump(numbers, Math.max(numbers.length - 2, 0)), inclusive: false };
+        }
+        // >, >= and != leave the top open
+        if (bound && (!ceiling || compareOSVVersions(bound.version, ceiling.version) < 0 ||
+            (compareOSVVersions(bound.version, ceiling.version) === 0 && !bound.inclusive))) {
+            ceiling = bound;
+        }
+    }
+    return ceiling;
+}
+
+/**
+ * Whether the version a declaration resolves to supports an API style of AI_CATALOG.sdkApiStyles
+ * Unreadable declarations are given the benefit of the doubt.
+ */
+function isApiStyleSupported(style, ceiling) {
+    if (ceiling === undefined) return true;
+    const isBelow = version => ceiling !== null && (compareOSVVersions(ceiling.version, version) < 0 ||
+        (compareOSVVersions(ceiling.version, version) === 0 && !ceiling.inclusive));
+    if (style.below && !isBelow(style.below)) return false;
+    if (style.since && isBelow(style.since)) return false;
+    return true;
+}
+
+function describeSupportedVersions(style) {
+    return [style.since && `>=${style.since}`, style.below && `<${style.below}`].filter(Boolean).join(', ') || 'all versions';
+}
+
+/**
+ * Correlate SDK call styles found in code with the declared SDK versions (AI_CATALOG.sdkApiStyles)
+ * Reports calls the declared version does not provide (openai.ChatCompletion with openai 1.x,
+ * google.generativeai code with only google-genai declared) and deprecated call styles, with file and line.
+ * @returns {Promise<Array>} Risk findings with legacyApiInfo
+ */
+async function legacyApiDetector({ tree, getFileContent, allFindings = [], scanOptions = {} }) {
+    console.log('[Detector: Legacy APIs] Starting SDK API style detection...');
+    const findings = [];
+    const ignoreComments = scanOptions.ignoreCommentMatches === true;
+    
+    // Full content scans read the same files as the code detector (already fetched by then)
+    const selection = selectCodeScanFiles(tree, ['.py', '.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx'], scanOptions);
+    
+    // Lines matching each style, in scan order
+    const matches = new Map();
+    await readCodeScanFiles(selection, getFileContent, (file, content) => {
+        const language = file.path.toLowerCase().endsWith('.ipynb') ? 'python' : getCodeLanguage(file.path);
+        const classify = createMatchClassifier(file.path, content);
+        for (const style of AI_CATALOG.sdkApiStyles) {
+            if (style.language !== language || (style.imports && !style.imports.test(content))) continue;
+            for (const { line, text, context } of findClassifiedMatches(content, style.pattern, classify, ignoreComments)) {
+                if (!matches.has(style.id)) matches.set(style.id, []);
+                matches.get(style.id).push({ file: file.path, line, snippet: text.trim().slice(0, 200), context });
+            }
+        }
+    });
+    
+    const depFindings = allFindings.filter(f => f.category === 'dependencies' && f.dependencyInfo);
+    const findDeclared = (language, packageName) => {
+        const ecosystem = language === 'python' ? 'python' : 'node';
+        const normalize = ecosystem === 'python' ? normalizePythonPackageName : name => name.toLowerCase();
+        const declared = depFindings.filter(f =>
+            f.dependencyInfo.ecosystem === ecosystem &&
+            normalize(f.dependencyInfo.name) === normalize(packageName)
+        );
+        return declared.find(f => f.dependencyInfo.locked) || declared[0] || null;
+    };
+    
+    for (const style of AI_CATALOG.sdkApiStyles) {
+        const locations = matches.get(style.id);
+        if (!locations) continue;
+        
+        const declared = findDeclared(style.language, style.package);
+        const sibling = !declared && AI_CATALOG.sdkApiStyles
+            .filter(other => other.family === style.family && other.package !== style.package)
+            .map(other => findDeclared(other.language, other.package))
+            .find(Boolean);
+        const info = declared?.dependencyInfo;
+        const supportedVersions = describeSupportedVersions(style);
+        const where = `${locations[0].file}:${locations[0].line}${locations.length > 1 ? ` and ${locations.length - 1} more` : ''}`;
+        
+        let severity, title, description;
+        if (info && !isApiStyleSupported(style, getDeclaredVersionCeiling(info))) {
+            severity = style.severity || 'high';
+            title = `${style.package} ${info.version} does not provide ${style.description}`;
+            description = `Code uses ${style.description} (${where}), which needs ${style.package} ${supportedVersions}, ` +
+                `but ${info.manifestFile || 'the manifest'} declares ${info.version}. ${style.migration}`;
+        } else if (sibling) {
+            severity = style.severity || 'high';
+            title = `${style.package} not declared for ${style.description}`;
+            description = `Code uses ${style.description} (${where}), but only ${sibling.dependencyInfo.name} is declared ` +
+                `(${sibling.dependencyInfo.manifestFile || 'manifest'}). ${style.migration}`;
+        } else if (style.legacy) {
+            severity = 'low';
+            title = `Deprecated API: ${style.description}`;
+            description = `Code uses ${style.description} (${where})${info ? `, still supported by ${style.package} ${info.version}` : ''}. ${style.migration}`;
+        } else {
+            continue;
+        }
+        
+        console.log(`[Detector: Legacy APIs] ⚠️  ${title} (${where})`);
+        findings.push({
+            id: `risk-legacy-api-${style.id}`,
+            title,
+            category: 'risk',
+            severity,
+            weight: 0,
+            description,
+            evidence: [
+                ...((declared || sibling)?.evidence || []).slice(0, 1),
+                ...locations.slice(0, 10)
+            ],
+            legacyApiInfo: {
+                style: style.id,
+                package: style.package,
+                supportedVersions,
+                declaredPackage: (info || sibling?.dependencyInfo)?.name || null,
+                declaredVersion: (info || sibling?.dependencyInfo)?.version || null,
+                deprecated: Boolean(style.legacy),
+                migration: style.migration,
+                locations: locations.map(({ file, line, context }) => ({ file, line, context }))
+            }
+        });
+    }
+    
+    console.log(`[Detector: Legacy APIs] Complete. Findings: ${findings.length}`);
+    return findings;
+}
+
 // ============================================================================
 // HARDWARE DETECTION
 // ============================================================================
@@ -1742,6 +3735,7 @@ async function hardwareDetector({ tree, getFileContent, allFindings = [] }) {
     
     console.log(`[Detector: Hardware] Scanning ${Math.min(codeFiles.length, 50)} code files for hardware patterns...`);
     
+    await prefetchFileContents(getFileContent, codeFiles.slice(0, 50).map(f => f.path));
     for (const file of codeFiles.slice(0, 50)) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -1905,6 +3899,7 @@ async function infrastructureDetector({ tree, getFileContent, allFindings = [] }
     
     console.log(`[Detector: Infrastructure] Found ${dockerFiles.length} containerization files`);
     
+    await prefetchFileContents(getFileContent, dockerFiles.map(f => f.path));
     for (const file of dockerFiles) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -1942,6 +3937,7 @@ async function infrastructureDetector({ tree, getFileContent, allFindings = [] }
     
     console.log(`[Detector: Infrastructure] Found ${k8sFiles.length} orchestration files`);
     
+    await prefetchFileContents(getFileContent, k8sFiles.map(f => f.path));
     for (const file of k8sFiles) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -1975,6 +3971,7 @@ async function infrastructureDetector({ tree, getFileContent, allFindings = [] }
     
     console.log(`[Detector: Infrastructure] Scanning ${Math.min(configFiles.length, 100)} files for cloud patterns...`);
     
+    await prefetchFileContents(getFileContent, configFiles.slice(0, 100).map(f => f.path));
     for (const file of configFiles.slice(0, 100)) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -2188,6 +4185,7 @@ async function documentationParser({ tree, getFileContent }) {
     
     console.log(`[Detector: Documentation] Found ${docFiles.length} documentation files`);
     
+    await prefetchFileContents(getFileContent, docFiles.slice(0, 20).map(f => f.path));
     for (const file of docFiles.slice(0, 20)) {
         const content = await getFileContent(file.path);
         if (!content) continue;
@@ -2273,7 +4271,117 @@ async function documentationParser({ tree, getFileContent }) {
 // ============================================================================
 // RISK DETECTION
 // ============================================================================
-async function riskDetector({ tree, getFileContent, allFindings = [], parsedDocs = null }) {
+/**
+ * Risk findings for dependencies with known vulnerabilities in a local OSV export
+ * One finding per vulnerability and dependency; only exact (locked or pinned) versions are matched.
+ * @param {Object} osvDatabase - Output of loadOSVDatabase
+ * @param {Array} depFindings - Dependency findings
+ * @returns {Array} Findings with vulnerabilityInfo
+ */
+function createVulnerabilityFindings(osvDatabase, depFindings) {
+    const findings = [];
+    const findingSeverity = { critical: 'high', high: 'high', medium: 'medium', low: 'low' };
+    
+    for (const depFinding of depFindings) {
+        const info = depFinding.dependencyInfo;
+        if (!info) continue;
+        
+        for (const { record, affected, version } of findOSVVulnerabilities(osvDatabase, info)) {
+            const rating = getOSVSeverity(record, affected);
+            const fixedVersions = getOSVFixedVersions(affected);
+            const summary = record.summary || (record.details || '').split('\n')[0] || 'Known vulnerability';
+            console.log(`[Detector: Risk] 🚨 ${record.id} (${rating.severity}) affects ${info.name}@${version}`);
+            
+            findings.push({
+                id: `risk-vuln-${record.id}-${depFinding.id}`,
+                title: `Vulnerability ${record.id} in ${info.name}@${version}`,
+                category: 'risk',
+                severity: findingSeverity[rating.severity] || 'medium',
+                weight: 0,
+                description: `${summary}${fixedVersions.length > 0 ? ` (fixed in ${fixedVersions.join(', ')})` : ''}`,
+                evidence: [
+                    ...depFinding.evidence.slice(0, 1),
+                    {
+                        file: `OSV database (${osvDatabase.source})`,
+                        snippet: `${[record.id, ...(record.aliases || [])].join(', ')}: ${info.name} ${version}`,
+                        url: `https://osv.dev/vulnerability/${encodeURIComponent(record.id)}`
+                    }
+                ],
+                vulnerabilityInfo: {
+                    id: record.id,
+                    aliases: record.aliases || [],
+                    summary,
+                    details: record.details || '',
+                    published: record.published || null,
+                    modified: record.modified || null,
+                    ...rating,
+                    cwes: (record.database_specific?.cwe_ids || [])
+                        .map(cwe => parseInt(String(cwe).replace(/^CWE-/i, '')))
+                        .filter(Number.isInteger),
+                    fixedVersions,
+                    references: (record.references || []).map(ref => ref.url).filter(Boolean),
+                    package: { name: info.name, version, ecosystem: info.ecosystem },
+                    database: osvDatabase.source
+                }
+            });
+        }
+    }
+    
+    return findings;
+}
+
+/**
+ * Risk findings for AI dependencies and models whose license conflicts with the repository license
+ * @param {Object} repoMeta - Repository metadata with license / licenseSource
+ * @param {Array} findings - Dependency and model findings
+ * @returns {Array} Findings with licenseInfo
+ */
+function createLicenseFindings(repoMeta, findings) {
+    const components = findings.map(finding => {
+        const license = finding.dependencyInfo?.license || finding.modelInfo?.huggingface?.license;
+        const name = finding.dependencyInfo?.name || finding.modelInfo?.modelName;
+        return { finding, name, license: normalizeLicense(license) };
+    }).filter(component => component.license);
+    
+    const productLicense = normalizeLicense(repoMeta.license);
+    if (!productLicense) {
+        const restricted = components.filter(c => ['non-commercial', 'use-restricted', 'proprietary'].includes(c.license.class));
+        if (restricted.length > 0) {
+            console.log(`[Detector: Risk] ⚠️  Repository license unknown, cannot check ${restricted.map(c => `${c.name} (${c.license.name})`).join(', ')}`);
+        }
+        return [];
+    }
+    
+    const licenseFindings = [];
+    for (const { finding, name, license } of components) {
+        const conflict = checkLicenseCompatibility(productLicense, license);
+        if (!conflict) continue;
+        console.log(`[Detector: Risk] ⚖️  ${name} (${license.name}) conflicts with repository license ${productLicense.name}`);
+        licenseFindings.push({
+            id: `risk-license-${finding.id}`,
+            title: `License conflict: ${name} (${license.name})`,
+            category: 'risk',
+            severity: conflict.severity,
+            weight: 0,
+            description: conflict.reason,
+            evidence: [
+                ...(finding.evidence || []).slice(0, 1),
+                { file: repoMeta.licenseSource, snippet: `Repository license: ${productLicense.name}` }
+            ],
+            licenseInfo: {
+                component: name,
+                license: license.expression,
+                licenseClass: license.class,
+                productLicense: productLicense.expression,
+                productLicenseClass: productLicense.class,
+                reason: conflict.reason
+            }
+        });
+    }
+    return licenseFindings;
+}
+
+async function riskDetector({ repoMeta, tree, getFileContent, allFindings = [], parsedDocs = null, scanOptions = {} }) {
     console.log('[Detector: Risk] Starting risk assessment...');
     const findings = [];
     const risks = {
@@ -2324,6 +4432,22 @@ async function riskDetector({ tree, getFileContent, allFindings = [], parsedDocs
         }
     }
     
+    // Known vulnerabilities from the OSV export loaded for this scan (scanOptions.osvDatabase)
+    if (scanOptions.osvDatabase) {
+        const vulnerabilityFindings = createVulnerabilityFindings(scanOptions.osvDatabase, depFindings);
+        vulnerabilityFindings.forEach(f => risks.vulnerabilities.push({
+            id: f.vulnerabilityInfo.id,
+            package: f.vulnerabilityInfo.package.name,
+            version: f.vulnerabilityInfo.package.version,
+            severity: f.vulnerabilityInfo.severity
+        }));
+        findings.push(...vulnerabilityFindings);
+        console.log(`[Detector: Risk] ${vulnerabilityFindings.length} known vulnerabilities in ${depFindings.length} dependencies (${scanOptions.osvDatabase.source})`);
+    }
+    
+    // Licenses of AI dependencies and models against the repository's own license
+    findings.push(...createLicenseFindings(repoMeta, allFindings.filter(f => f.category === 'dependencies' || f.modelInfo)));
+    
     // Scan documentation for risk keywords
     const allDocText = [
         ...parsedDocs.intendedUse.map(d => d.text),
@@ -23,17 +23,33 @@ function generateExtendedAIBOM(analysisResult, selectedFindings) {
         generator: {
             tool: 'AI BOM Generator',
             version: '1.0.0',
-            vendor: 'Cyfinoid Research'
+            vendor: 'Cyfinoid Research',
+            catalogVersion: AI_CATALOG.version
         },
         repository: {
             owner: repository.owner,
             name: repository.repo,
             fullName: repository.fullName,
             url: repository.htmlUrl,
+            platform: repository.platform,
+            ref: repository.refName || null,
+            commit: repository.ref || null,
+            path: repository.subPath || null,
             description: repository.description,
             topics: repository.topics,
-            languages: repository.languages
+            languages: repository.languages,
+            license: repository.license || null
         },
+        inventory: analysisResult.inventory || null,
+        submodules: (analysisResult.submodules || []).map(submodule => ({
+            path: submodule.path,
+            url: submodule.url,
+            commit: submodule.sha,
+            repository: submodule.owner ? `${submodule.owner}/${submodule.repo}` : null,
+            status: submodule.status,
+            findings: submodule.result ? submodule.result.findings.length : null,
+            error: submodule.error
+        })),
         standard_bom: standardBom,
         extended_metadata: extendedMetadata,
         summary: generateSummary(extendedMetadata, selectedFindings)
@@ -202,10 +218,13 @@ function extractGovernanceMetadata(findings, analysisResult) {
                 type: finding.modelInfo.modelType,
                 intended_use: finding.description,
                 detection_source: finding.modelInfo.detectionSource || 'code-analysis',
-                locations: finding.modelInfo.locations || []
+                locations: finding.modelInfo.locations || [],
+                call_sites: finding.modelInfo.callSites || []
             });
         }
     }
+    // LLM calls whose model is an expression or not a known model
+    governance.unidentified_model_call_sites = findings.filter(f => f.callSites).flatMap(f => f.callSites);
     
     // Check documentation status from findings
     for (const finding of governanceFindings) {
@@ -1,19 +1,199 @@
 // GitHub API functions
+
+// Active GitHub host for the current scan: github.com or a GitHub Enterprise Server instance
+let githubHost = {
+    apiBase: GITHUB_API_BASE,
+    htmlBase: GITHUB_HTML_BASE,
+    isEnterprise: false
+};
+// File content requests for the active host share one scheduler (concurrency + rate limit budget)
+let githubRequestScheduler = createRequestScheduler('GitHub');
+
+/**
+ * Point all GitHub API calls at github.com or a GitHub Enterprise Server instance
+ * @param {string|null} hostUrl - GHES URL (e.g. https://github.example.com); empty or github.com for the public API
+ * @returns {Object} The active host configuration
+ */
+function configureGitHubHost(hostUrl) {
+    let origin = null;
+    if (hostUrl) {
+        const normalized = /^https?:\/\//i.test(hostUrl.trim()) ? hostUrl.trim() : `https://${hostUrl.trim()}`;
+        origin = new URL(normalized).origin;
+    }
+    
+    if (!origin || /^https:\/\/(www\.)?github\.com$/i.test(origin)) {
+        githubHost = { apiBase: GITHUB_API_BASE, htmlBase: GITHUB_HTML_BASE, isEnterprise: false };
+    } else {
+        // GitHub Enterprise Server serves the REST API under /api/v3 on the same host
+        githubHost = { apiBase: `${origin}/api/v3`, htmlBase: origin, isEnterprise: true };
+        console.log(`[GitHub API] Using GitHub Enterprise Server at ${origin} (API: ${githubHost.apiBase})`);
+    }
+    githubRequestScheduler = createRequestScheduler(githubHost.isEnterprise ? origin : 'GitHub');
+    return githubHost;
+}
+
+/**
+ * fetch() with ETag / Last-Modified revalidation
+ * Validators and bodies are stored per request; GitHub does not count 304 Not Modified
+ * responses against the rate limit, so unchanged data is re-read from the response cache.
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers (the Accept header is part of the cache key)
+ * @returns {Promise<Response>} The live response, or the stored body as a 200 response on 304
+ */
+async function fetchGitHubConditional(url, headers) {
+    const key = `${headers['Accept'] || ''} ${url}`;
+    const cached = await getCachedResponse(key);
+    const requestHeaders = { ...headers };
+    if (cached?.etag) requestHeaders['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+    
+    const response = await fetch(url, { headers: requestHeaders });
+    
+    if (response.status === 304 && cached) {
+        console.log(`[GitHub API] ↺ Not modified (no rate limit cost): ${url.replace(githubHost.apiBase, '')}`);
+        // Keep the live rate limit headers, restore the ones that describe the stored body
+        const responseHeaders = new Headers(response.headers);
+        responseHeaders.delete('Content-Length');
+        Object.entries(cached.headers || {}).forEach(([name, value]) => responseHeaders.set(name, value));
+        return new Response(cached.body, { status: 200, headers: responseHeaders });
+    }
+    
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+    if (response.ok && (etag || lastModified)) {
+        const body = await response.clone().text();
+        const link = response.headers.get('Link');
+        await putCachedResponse({ key, etag, lastModified, body, headers: link ? { Link: link } : {} });
+    }
+    return response;
+}
+
+/**
+ * Parse repository input into owner, repo and an optional ref
+ * Supports owner/repo, owner/repo@ref and github.com or GitHub Enterprise Server URLs with
+ * /tree/<ref>/<path>, /blob/<ref>/<path>, /commit/<sha> and /pull/<number> suffixes.
+ * For tree/blob URLs the ref and sub path cannot be told apart (branch names may contain "/"),
+ * so the combined value is returned as refPath and split by resolveRepoRef.
+ * host is the URL of the host named in the input (GITHUB_HTML_BASE for github.com), or null when it names none.
+ * @returns {{host: string|null, owner: string, repo: string, ref: string|null, refPath: string|null, refKind: string|null}}
+ */
 function parseRepoInput(input) {
     input = input.trim();
-    const urlPattern = /github\.com\/([^\/]+)\/([^\/]+)/;
+    // Either an explicit http(s) URL or a bare host name containing a dot (github.com/o/r, ghe.corp.com/o/r)
+    const urlPattern = /^(?:(https?):\/\/([^\/\s]+)|([^\/\s@]+\.[^\/\s@]+))\/([^\/]+)\/([^\/?#@]+)(?:@([^?#]+)|\/(tree|blob|commit|pull)\/([^?#]+))?/i;
     const urlMatch = input.match(urlPattern);
     
     if (urlMatch) {
-        return { owner: urlMatch[1], repo: urlMatch[2].replace(/\.git$/, '') };
+        const [, scheme, schemeHost, bareHost, owner, repo, atRef, kind, rest] = urlMatch;
+        const hostName = (schemeHost || bareHost).toLowerCase();
+        const host = /^(www\.)?github\.com$/.test(hostName) ? GITHUB_HTML_BASE : `${scheme || 'https'}://${hostName}`;
+        const result = { host, owner, repo: repo.replace(/\.git$/, ''), ref: atRef || null, refPath: null, refKind: kind || (atRef ? 'ref' : null) };
+        if (kind === 'commit' || kind === 'pull') {
+            result.ref = rest.split('/')[0];
+        } else if (kind) {
+            result.refPath = decodeURIComponent(rest.replace(/\/+$/, ''));
+        }
+        return result;
+    }
+    
+    // owner/repo@ref - the first "@" separates the ref (git ref names may not start with "@")
+    const atIndex = input.indexOf('@');
+    const repoPart = atIndex >= 0 ? input.substring(0, atIndex) : input;
+    const ref = atIndex >= 0 ? input.substring(atIndex + 1).trim() : null;
+    
+    const parts = repoPart.split('/');
+    if (parts.length >= 2 && parts[0] && parts[1]) {
+        return { host: null, owner: parts[0], repo: parts[1], ref: ref || null, refPath: null, refKind: ref ? 'ref' : null };
+    }
+    
+    throw new Error('Invalid repository format. Use "owner/repo", "owner/repo@ref" or GitHub URL.');
+}
+
+/**
+ * Parse organization / user input for batch scans
+ * Supports "org", "@org" and github.com or GitHub Enterprise Server URLs (https://github.com/org)
+ * host is set as in parseRepoInput: GITHUB_HTML_BASE for github.com URLs, null for bare names.
+ * @returns {{host: string|null, owner: string}}
+ */
+function parseOwnerInput(input) {
+    input = input.trim().replace(/\/+$/, '');
+    const urlMatch = input.match(/^(?:(https?):\/\/([^\/\s]+)|([^\/\s@]+\.[^\/\s@]+))\/(?:orgs\/)?([^\/?#]+)/i);
+    
+    if (urlMatch) {
+        const [, scheme, schemeHost, bareHost, owner] = urlMatch;
+        const hostName = (schemeHost || bareHost).toLowerCase();
+        const host = /^(www\.)?github\.com$/.test(hostName) ? GITHUB_HTML_BASE : `${scheme || 'https'}://${hostName}`;
+        return { host, owner };
     }
     
-    const parts = input.split('/');
-    if (parts.length >= 2) {
-        return { owner: parts[0], repo: parts[1] };
+    const owner = input.replace(/^@/, '');
+    if (/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(owner)) {
+        return { host: null, owner };
     }
     
-    throw new Error('Invalid repository format. Use "owner/repo" or GitHub URL.');
+    throw new Error('Invalid organization format. Use "org", "user" or a GitHub organization URL.');
+}
+
+async function fetchCommitSha(owner, repo, ref, token = null) {
+    const headers = { 'Accept': 'application/vnd.github.sha' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+    const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+    const response = await fetchGitHubConditional(`${githubHost.apiBase}/repos/${owner}/${repo}/commits/${encodedRef}`, headers);
+    
+    if (response.status === 404 || response.status === 422) return null;
+    if (!response.ok) throw new Error(`GitHub API error resolving ref "${ref}": ${response.status}`);
+    
+    return (await response.text()).trim();
+}
+
+/**
+ * Resolve parsed ref information to a concrete commit SHA
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} parsed - Output of parseRepoInput (ref, refPath, refKind)
+ * @param {string} defaultBranch - Repository default branch (used when no ref was given)
+ * @param {string} token - GitHub token
+ * @returns {Promise<{name: string, sha: string, kind: string, subPath: string|null, isDefaultBranch: boolean}>}
+ */
+async function resolveRepoRef(owner, repo, parsed, defaultBranch, token = null) {
+    const { ref, refPath, refKind } = parsed;
+    
+    if (refKind === 'pull') {
+        console.log(`[GitHub API] Resolving pull request #${ref}...`);
+        const headers = { 'Accept': 'application/vnd.github.v3+json' };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        const response = await fetchGitHubConditional(`${githubHost.apiBase}/repos/${owner}/${repo}/pulls/${ref}`, headers);
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? `Pull request #${ref} not found.` : `GitHub API error: ${response.status}`);
+        }
+        const pull = await response.json();
+        console.log(`[GitHub API] ✓ PR #${ref} head: ${pull.head.label} @ ${pull.head.sha}`);
+        return { name: `pull/${ref}`, sha: pull.head.sha, kind: 'pull', subPath: null, isDefaultBranch: false };
+    }
+    
+    if (refPath) {
+        // Try progressively longer prefixes as the ref: "feature/x/src" -> "feature", "feature/x", ...
+        const segments = refPath.split('/').filter(Boolean);
+        for (let i = 1; i <= segments.length; i++) {
+            const candidate = segments.slice(0, i).join('/');
+            const sha = await fetchCommitSha(owner, repo, candidate, token);
+            if (sha) {
+                const subPath = segments.slice(i).join('/') || null;
+                console.log(`[GitHub API] ✓ Resolved ${candidate} -> ${sha}${subPath ? ` (path: ${subPath})` : ''}`);
+                return { name: candidate, sha, kind: refKind, subPath, isDefaultBranch: candidate === defaultBranch };
+            }
+        }
+        throw new Error(`Could not resolve a branch, tag or commit from "${refPath}".`);
+    }
+    
+    const name = ref || defaultBranch;
+    const sha = await fetchCommitSha(owner, repo, name, token);
+    if (!sha) {
+        throw new Error(`Could not resolve ref "${name}" in ${owner}/${repo}.`);
+    }
+    console.log(`[GitHub API] ✓ Resolved ${name} -> ${sha}`);
+    return { name, sha, kind: refKind || 'branch', subPath: null, isDefaultBranch: name === defaultBranch };
 }
 
 async function fetchRepoMeta(owner, repo, token = null) {
@@ -26,7 +206,7 @@ async function fetchRepoMeta(owner, repo, token = null) {
         console.warn('[GitHub API] No token provided - rate limits will be lower');
     }
     
-    const response = await fetch(`${GITHUB_API_BASE}/repos/${owner}/${repo}`, { headers });
+    const response = await fetchGitHubConditional(`${githubHost.apiBase}/repos/${owner}/${repo}`, headers);
     
     if (!response.ok) {
         if (response.status === 404) throw new Error('Repository not found.');
@@ -49,7 +229,7 @@ async function fetchRepoMeta(owner, repo, token = null) {
     console.log(`[GitHub API] Default branch: ${data.default_branch}`);
     console.log(`[GitHub API] Stars: ${data.stargazers_count}, Forks: ${data.forks_count}`);
     
-    const langResponse = await fetch(data.languages_url, { headers });
+    const langResponse = await fetchGitHubConditional(data.languages_url, headers);
     const languages = langResponse.ok ? await langResponse.json() : {};
     
     const result = {
@@ -60,8 +240,16 @@ async function fetchRepoMeta(owner, repo, token = null) {
         defaultBranch: data.default_branch,
         topics: data.topics || [],
         languages: Object.keys(languages),
-        owner: data.owner.login
+        owner: data.owner.login,
+        platform: 'github',
+        host: githubHost.htmlBase,
+        isEnterprise: githubHost.isEnterprise
     };
+    // GitHub reports NOASSERTION for license files it cannot match; the analyzer then reads the file itself
+    if (data.license?.spdx_id && data.license.spdx_id !== 'NOASSERTION') {
+        result.license = data.license.spdx_id;
+        result.licenseSource = 'GitHub repository metadata';
+    }
     
     console.log(`[GitHub API] Languages detected: ${result.languages.join(', ') || 'None'}`);
     console.log(`[GitHub API] Topics: ${result.topics.join(', ') || 'None'}`);
@@ -69,7 +257,94 @@ async function fetchRepoMeta(owner, repo, token = null) {
     return result;
 }
 
-async function fetchRepoTree(owner, repo, ref, token = null) {
+// Largest file the contents API returns inline; bigger files are read through the git blobs API
+const GITHUB_CONTENTS_INLINE_MAX_BYTES = 1024 * 1024;
+// Subtree requests allowed when a truncated tree has to be walked directory by directory
+const TREE_WALK_MAX_REQUESTS = 200;
+// Directories walked first (likely to hold AI code or configuration) and last (rarely relevant)
+const TREE_WALK_PRIORITY_DIRECTORIES = [
+    'src', 'app', 'apps', 'lib', 'libs', 'packages', 'services', 'server', 'backend', 'api',
+    'ai', 'ml', 'llm', 'llms', 'agent', 'agents', 'model', 'models', 'prompts', 'notebooks',
+    'inference', 'training', 'pipelines', 'config', 'configs', '.github'
+];
+const TREE_WALK_LOW_PRIORITY_DIRECTORIES = [
+    'docs', 'doc', 'test', 'tests', '__tests__', 'spec', 'fixtures', 'testdata', 'vendor',
+    'third_party', 'third-party', 'node_modules', 'assets', 'static', 'public', 'images', 'img', 'media'
+];
+
+function getTreeWalkPriority(path, focusPath) {
+    // The directory being scoped to (and its ancestors) always comes first
+    if (focusPath && (path === focusPath || focusPath.startsWith(`${path}/`) || path.startsWith(`${focusPath}/`))) return -1;
+    const parts = path.toLowerCase().split('/');
+    if (parts.some(part => TREE_WALK_LOW_PRIORITY_DIRECTORIES.includes(part))) return 2;
+    if (parts.some(part => TREE_WALK_PRIORITY_DIRECTORIES.includes(part))) return 0;
+    return 1;
+}
+
+async function fetchTreeObject(owner, repo, sha, recursive, headers) {
+    const response = await fetchGitHubConditional(
+        `${githubHost.apiBase}/repos/${owner}/${repo}/git/trees/${sha}${recursive ? '?recursive=1' : ''}`,
+        headers
+    );
+    if (!response.ok) {
+        console.error('[GitHub API] Failed to fetch tree:', response.status, response.statusText);
+        throw new Error('Failed to fetch repository tree');
+    }
+    return response.json();
+}
+
+/**
+ * Walk a tree directory by directory after the recursive listing came back truncated
+ * Each directory is first requested recursively; only directories that are themselves
+ * too large are split further. Directories left when the request budget runs out are reported.
+ */
+async function walkTruncatedTree(owner, repo, ref, headers, focusPath) {
+    const entries = [];
+    const skippedDirectories = [];
+    const queue = [{ path: '', sha: ref }];
+    let requests = 0;
+    
+    while (queue.length > 0) {
+        queue.sort((a, b) => getTreeWalkPriority(a.path, focusPath) - getTreeWalkPriority(b.path, focusPath));
+        const dir = queue.shift();
+        
+        if (requests >= TREE_WALK_MAX_REQUESTS) {
+            skippedDirectories.push(dir.path);
+            continue;
+        }
+        
+        const prefix = dir.path ? `${dir.path}/` : '';
+        // The root is already known to be truncated, so list it non-recursively straight away
+        let data = dir.path ? await fetchTreeObject(owner, repo, dir.sha, true, headers) : null;
+        if (dir.path) requests++;
+        
+        if (data && !data.truncated) {
+            entries.push(...data.tree.map(entry => ({ ...entry, path: prefix + entry.path })));
+            continue;
+        }
+        
+        data = await fetchTreeObject(owner, repo, dir.sha, false, headers);
+        requests++;
+        data.tree.forEach(entry => {
+            if (entry.type === 'tree') {
+                queue.push({ path: prefix + entry.path, sha: entry.sha });
+            } else {
+                entries.push({ ...entry, path: prefix + entry.path });
+            }
+        });
+    }
+    
+    return { entries, skippedDirectories, requests };
+}
+
+/**
+ * Fetch the full file tree of a commit
+ * GitHub truncates recursive listings above ~100,000 entries / 7 MB; in that case the tree is
+ * walked subtree by subtree, prioritizing directories likely to hold AI code.
+ * @param {string} focusPath - Optional sub path the scan is scoped to (walked first)
+ * @returns {Promise<{files: Array, inventory: {complete: boolean, truncated: boolean, method: string, skippedDirectories: Array<string>}}>}
+ */
+async function fetchRepoTree(owner, repo, ref, token = null, focusPath = null) {
     console.log(`[GitHub API] Fetching file tree for ${owner}/${repo}@${ref}`);
     const headers = { 'Accept': 'application/vnd.github.v3+json' };
     if (token) headers['Authorization'] = `Bearer ${token}`;
@@ -80,32 +355,100 @@ async function fetchRepoTree(owner, repo, ref, token = null) {
     // 3. The tree is fetched once and reused across all detectors, making it efficient
     // 4. This enables targeted scanning of specific file types without multiple API calls
     const startTime = performance.now();
-    const response = await fetch(
-        `${GITHUB_API_BASE}/repos/${owner}/${repo}/git/trees/${ref}?recursive=1`,
-        { headers }
-    );
+    const data = await fetchTreeObject(owner, repo, ref, true, headers);
+    let entries = data.tree;
+    const inventory = { complete: true, truncated: false, method: 'recursive', skippedDirectories: [] };
     
-    if (!response.ok) {
-        console.error('[GitHub API] Failed to fetch tree:', response.status, response.statusText);
-        throw new Error('Failed to fetch repository tree');
+    if (data.truncated) {
+        console.warn(`[GitHub API] ⚠️  Recursive tree truncated at ${entries.length.toLocaleString()} entries - walking subtrees instead`);
+        const walk = await walkTruncatedTree(owner, repo, ref, headers, focusPath);
+        entries = walk.entries;
+        Object.assign(inventory, {
+            complete: walk.skippedDirectories.length === 0,
+            truncated: true,
+            method: 'subtree-walk',
+            skippedDirectories: walk.skippedDirectories
+        });
+        console.log(`[GitHub API] Subtree walk used ${walk.requests} requests`);
+        if (!inventory.complete) {
+            console.warn(`[GitHub API] ⚠️  Request budget exhausted - ${walk.skippedDirectories.length} directories not listed: ${walk.skippedDirectories.slice(0, 10).join(', ')}${walk.skippedDirectories.length > 10 ? ', ...' : ''}`);
+        }
     }
     
-    const data = await response.json();
-    const files = data.tree.filter(entry => entry.type === 'blob');
+    const files = entries.filter(entry => entry.type === 'blob');
+    // Submodules appear as gitlinks: "commit" entries whose sha is the pinned submodule commit
+    const gitlinks = entries.filter(entry => entry.type === 'commit');
     const elapsed = (performance.now() - startTime).toFixed(2);
     
     console.log(`[GitHub API] Tree fetched in ${elapsed}ms`);
-    console.log(`[GitHub API] Total entries: ${data.tree.length}, Files: ${files.length}`);
+    console.log(`[GitHub API] Total entries: ${entries.length}, Files: ${files.length}${gitlinks.length > 0 ? `, Submodules: ${gitlinks.length}` : ''}`);
     
     const totalSize = files.reduce((sum, f) => sum + (f.size || 0), 0);
     console.log(`[GitHub API] Total file size: ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
     
-    return files.map(entry => ({
-        path: entry.path,
-        type: entry.type,
-        size: entry.size,
-        sha: entry.sha
-    }));
+    return {
+        files: files.map(entry => ({
+            path: entry.path,
+            type: entry.type,
+            size: entry.size,
+            sha: entry.sha
+        })),
+        inventory,
+        gitlinks: gitlinks.map(entry => ({ path: entry.path, sha: entry.sha }))
+    };
+}
+
+/**
+ * Map a submodule URL to a repository on the active GitHub host
+ * Handles https, ssh (git@host:owner/repo) and relative (../repo) URLs.
+ * @returns {{owner: string, repo: string}|null} null for submodules hosted elsewhere
+ */
+function resolveGitHubSubmodule(url, owner, repo) {
+    let path = null;
+    if (url.startsWith('../') || url.startsWith('./')) {
+        // Relative URLs resolve against the parent repository's URL
+        const parts = [owner, repo];
+        url.split('/').forEach(segment => {
+            if (segment === '..') parts.pop();
+            else if (segment && segment !== '.') parts.push(segment);
+        });
+        path = parts.join('/');
+    } else {
+        const match = url.match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+)$/i);
+        if (match && match[1].toLowerCase() === new URL(githubHost.htmlBase).host.toLowerCase()) {
+            path = match[2];
+        }
+    }
+    
+    const segments = (path || '').replace(/\/+$/, '').replace(/\.git$/, '').split('/');
+    if (segments.length !== 2 || !segments[0] || !segments[1]) return null;
+    return { owner: segments[0], repo: segments[1] };
+}
+
+/**
+ * Combine gitlink tree entries with .gitmodules into the submodule list of a source
+ * @param {Array} gitlinks - {path, sha} entries from fetchRepoTree
+ * @returns {Promise<Array>} {path, name, url, sha, owner, repo}; owner/repo are null unless hosted on the active GitHub host
+ */
+async function resolveGitHubSubmodules(owner, repo, gitlinks, subPath, getFileContent) {
+    const inScope = gitlinks.filter(link => !subPath || link.path.startsWith(`${subPath}/`));
+    if (inScope.length === 0) return [];
+    
+    const modules = parseGitModules(await getFileContent('.gitmodules'));
+    const submodules = inScope.map(link => {
+        const module = modules.find(m => m.path === link.path);
+        const target = module ? resolveGitHubSubmodule(module.url, owner, repo) : null;
+        return {
+            path: link.path,
+            name: module?.name || link.path,
+            url: module?.url || null,
+            sha: link.sha,
+            owner: target?.owner || null,
+            repo: target?.repo || null
+        };
+    });
+    console.log(`[GitHub API] ✓ ${submodules.length} submodules (${submodules.filter(s => s.owner).length} on ${githubHost.isEnterprise ? 'this GitHub Enterprise Server' : 'GitHub'})`);
+    return submodules;
 }
 
 async function searchCodeInRepo(owner, repo, query, token = null) {
@@ -115,24 +458,34 @@ async function searchCodeInRepo(owner, repo, query, token = null) {
     try {
         const searchQuery = encodeURIComponent(`${query} repo:${owner}/${repo}`);
         // Request text_matches to get line numbers and code snippets
-        const response = await fetch(
-            `${GITHUB_API_BASE}/search/code?q=${searchQuery}&per_page=100`,
-            { 
-                headers: {
-                    ...headers,
-                    'Accept': 'application/vnd.github.v3.text-match+json' // Request text matches
-                }
+        const response = await fetchGitHubConditional(
+            `${githubHost.apiBase}/search/code?q=${searchQuery}&per_page=100`,
+            {
+                ...headers,
+                'Accept': 'application/vnd.github.v3.text-match+json' // Request text matches
             }
         );
         
         // Check rate limit headers
-        const remaining = parseInt(response.headers.get('X-RateLimit-Remaining') || '0');
-        const limit = parseInt(response.headers.get('X-RateLimit-Limit') || '10');
+        // GitHub Enterprise Server with rate limiting disabled sends no headers: treat as unlimited, not exhausted
+        const remainingHeader = response.headers.get('X-RateLimit-Remaining');
+        const limitHeader = response.headers.get('X-RateLimit-Limit');
+        const remaining = remainingHeader !== null ? parseInt(remainingHeader) : Infinity;
+        const limit = limitHeader !== null ? parseInt(limitHeader) : Infinity;
         const resetTime = response.headers.get('X-RateLimit-Reset');
         
-        console.log(`[GitHub Search API] Rate limit: ${remaining}/${limit} remaining`);
+        if (remainingHeader !== null) {
+            console.log(`[GitHub Search API] Rate limit: ${remaining}/${limit} remaining`);
+        } else {
+            console.log('[GitHub Search API] No rate limit headers (rate limiting disabled on this host)');
+        }
         
         if (!response.ok) {
+            // Code search may be disabled or unsupported (e.g. on GitHub Enterprise Server)
+            if (response.status === 404 || response.status === 501 || response.status === 503) {
+                console.warn(`[GitHub Search API] Code search unavailable on ${githubHost.htmlBase} (${response.status})`);
+                return { unavailable: true, items: [] };
+            }
             if (response.status === 403 || response.status === 429) {
                 console.warn(`[GitHub Search API] ⚠️  Rate limited!`);
                 
@@ -220,6 +573,129 @@ async function searchCodeInRepo(owner, repo, query, token = null) {
     }
 }
 
+/**
+ * List all repositories of an organization, falling back to a user account
+ * @param {string} owner - Organization or user login
+ * @param {string} token - GitHub token (private repositories are included when it has access)
+ * @returns {Promise<Array>} Repository summaries from the listing endpoint
+ */
+async function listOwnerRepositories(owner, token = null) {
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+    const fetchAllPages = async (firstUrl) => {
+        const repos = [];
+        let url = firstUrl;
+        while (url) {
+            const response = await fetchGitHubConditional(url, headers);
+            if (!response.ok) return { status: response.status, repos: null };
+            repos.push(...await response.json());
+            // Follow the Link header: <https://...&page=2>; rel="next"
+            const next = (response.headers.get('Link') || '').match(/<([^>]+)>;\s*rel="next"/);
+            url = next ? next[1] : null;
+        }
+        return { status: 200, repos };
+    };
+    
+    console.log(`[GitHub API] Listing repositories for ${owner}...`);
+    let result = await fetchAllPages(`${githubHost.apiBase}/orgs/${owner}/repos?type=all&per_page=100`);
+    if (result.status === 404) {
+        console.log(`[GitHub API] ${owner} is not an organization, listing user repositories`);
+        result = await fetchAllPages(`${githubHost.apiBase}/users/${owner}/repos?type=owner&per_page=100`);
+    }
+    if (!result.repos) {
+        if (result.status === 404) throw new Error(`Organization or user "${owner}" not found.`);
+        throw new Error(`GitHub API error listing repositories: ${result.status}`);
+    }
+    
+    console.log(`[GitHub API] ✓ Found ${result.repos.length} repositories for ${owner}`);
+    return result.repos.map(data => ({
+        name: data.name,
+        fullName: data.full_name,
+        owner: data.owner.login,
+        description: data.description || '',
+        htmlUrl: data.html_url,
+        defaultBranch: data.default_branch,
+        topics: data.topics || [],
+        language: data.language || null,
+        archived: !!data.archived,
+        fork: !!data.fork,
+        isPrivate: !!data.private,
+        size: data.size || 0,
+        pushedAt: data.pushed_at
+    }));
+}
+
+/**
+ * Fetch the current rate limit budget (this endpoint does not count against the limit)
+ * @returns {Promise<{core: Object, search: Object}|null>} null when rate limiting is disabled (GHES)
+ */
+async function fetchRateLimit(token = null) {
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    
+    try {
+        const response = await fetch(`${githubHost.apiBase}/rate_limit`, { headers });
+        if (!response.ok) return null;
+        const data = await response.json();
+        const toBudget = (r) => r ? { remaining: r.remaining, limit: r.limit, resetTime: new Date(r.reset * 1000) } : null;
+        return {
+            core: toBudget(data.resources?.core),
+            search: toBudget(data.resources?.search)
+        };
+    } catch (error) {
+        console.warn('[GitHub API] Could not fetch rate limit:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Load a GitHub repository into the repoMeta / tree / getFileContent contract used by analyzeRepository
+ * @param {Object} parsed - Output of parseRepoInput (owner, repo and optional ref information)
+ * @param {string} token - GitHub token
+ * @param {function} onStatus - Optional status message callback
+ */
+async function loadGitHubSource(parsed, token = null, onStatus = () => {}) {
+    const { owner, repo } = parsed;
+    
+    onStatus('Fetching repository...');
+    const repoMeta = await fetchRepoMeta(owner, repo, token);
+    
+    // Pin the scan to a concrete commit so the tree, contents, evidence links and BOM all agree
+    onStatus('Resolving ref...');
+    const resolved = await resolveRepoRef(owner, repo, parsed, repoMeta.defaultBranch, token);
+    
+    onStatus('Fetching file tree...');
+    const { files, inventory, gitlinks } = await fetchRepoTree(owner, repo, resolved.sha, token, resolved.subPath);
+    const { tree, subPath } = scopeTreeToSubPath(files, resolved.subPath);
+    const getFileContent = createFileContentFetcher(owner, repo, resolved.sha, token, tree);
+    const submodules = await resolveGitHubSubmodules(owner, repo, gitlinks, subPath, getFileContent);
+    
+    // Directories outside the scanned sub path do not make its inventory incomplete
+    if (subPath) {
+        inventory.skippedDirectories = inventory.skippedDirectories.filter(dir =>
+            dir === subPath || dir.startsWith(`${subPath}/`) || subPath.startsWith(`${dir}/`));
+        inventory.complete = inventory.skippedDirectories.length === 0;
+    }
+    
+    Object.assign(repoMeta, {
+        ref: resolved.sha,
+        refName: resolved.name,
+        refKind: resolved.kind,
+        subPath,
+        isDefaultBranch: resolved.isDefaultBranch
+    });
+    
+    // Submodules on the same host can be scanned at their pinned commit (scanOptions.recurseSubmodules)
+    const loadSubmoduleSource = (submodule) => loadGitHubSource(
+        { owner: submodule.owner, repo: submodule.repo, ref: submodule.sha, refKind: 'commit' },
+        token,
+        onStatus
+    );
+    
+    return { owner, repo, repoMeta, tree, getFileContent, token, inventory, submodules, loadSubmoduleSource };
+}
+
 async function fetchGitHubSBOM(owner, repo, token) {
     console.log(`[GitHub SBOM API] Fetching SBOM for ${owner}/${repo}`);
     const headers = { 
@@ -231,14 +707,16 @@ async function fetchGitHubSBOM(owner, repo, token) {
     }
     
     try {
-        const response = await fetch(
-            `${GITHUB_API_BASE}/repos/${owner}/${repo}/dependency-graph/sbom`,
-            { headers }
+        const response = await fetchGitHubConditional(
+            `${githubHost.apiBase}/repos/${owner}/${repo}/dependency-graph/sbom`,
+            headers
         );
         
         if (!response.ok) {
             if (response.status === 404) {
-                console.log('[GitHub SBOM API] Dependency graph not available for this repository');
+                console.log(githubHost.isEnterprise
+                    ? '[GitHub SBOM API] Dependency graph SBOM not available (not enabled on this GitHub Enterprise Server instance or repository)'
+                    : '[GitHub SBOM API] Dependency graph not available for this repository');
             } else if (response.status === 403) {
                 console.log('[GitHub SBOM API] Insufficient permissions - dependency graph may be disabled');
             } else if (response.status === 401) {
@@ -357,71 +835,105 @@ async function fetchHuggingFaceModelInfo(modelId) {
     }
 }
 
-function createFileContentFetcher(owner, repo, ref, token = null) {
-    const cache = new Map();
+/**
+ * Create the getFileContent function for a repository at a pinned ref
+ * Content is looked up in the persistent blob cache by the tree entry's SHA before any request is made.
+ * Requests go through the shared GitHub request scheduler, so concurrent callers (e.g. prefetchFileContents)
+ * are bounded and rate limits are respected; concurrent calls for the same path share one request.
+ * Files the contents API does not inline (over 1 MB) are read as raw bytes from the git blobs API;
+ * binary, oversized and unreadable files are listed in getFileContent.skipped.
+ * @param {Array} tree - Optional tree entries ({path, sha, size}) used to map paths to blob SHAs
+ */
+function createFileContentFetcher(owner, repo, ref, token = null, tree = null) {
+    const cache = new Map(); // path -> Promise<string|null>
+    const blobShas = new Map((tree || []).map(entry => [entry.path, entry.sha]));
+    const blobSizes = new Map((tree || []).map(entry => [entry.path, entry.size]));
     const headers = { 'Accept': 'application/vnd.github.v3+json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    let rateLimitWaitUntil = 0;
+    const rawHeaders = { 'Accept': 'application/vnd.github.v3.raw' };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+        rawHeaders['Authorization'] = `Bearer ${token}`;
+    }
+    const stats = { cacheHits: 0, requests: 0 };
+    const skipped = [];
     
-    return async function getFileContent(path) {
-        if (cache.has(path)) return cache.get(path);
+    function fetchRawBlob(sha) {
+        stats.requests++;
+        return githubRequestScheduler.fetch(
+            `${githubHost.apiBase}/repos/${owner}/${repo}/git/blobs/${sha}`,
+            { headers: rawHeaders }
+        );
+    }
+    
+    async function decodeAndCache(path, sha, bytes) {
+        const content = decodeTextBytes(bytes);
+        if (content === null) {
+            await putCachedBinaryBlob(sha, bytes.length);
+            return recordSkippedFile(skipped, path, 'binary', bytes.length);
+        }
+        // The contents API reports the blob SHA, so files outside the tree are cached too
+        await putCachedBlob(sha, content);
+        return content;
+    }
+    
+    async function loadFileContent(path) {
+        const size = blobSizes.get(path);
+        if (size > FILE_CONTENT_MAX_BYTES) return recordSkippedFile(skipped, path, 'too-large', size);
         
-        // Check if we need to wait for rate limit
-        const now = Date.now();
-        if (rateLimitWaitUntil > now) {
-            const waitMs = rateLimitWaitUntil - now;
-            await new Promise(resolve => setTimeout(resolve, waitMs));
+        let sha = blobShas.get(path);
+        const cached = await getCachedBlob(sha);
+        if (cached !== undefined) {
+            stats.cacheHits++;
+            return cached.binary ? recordSkippedFile(skipped, path, 'binary', cached.size) : cached;
         }
         
         try {
-            const response = await fetch(
-                `${GITHUB_API_BASE}/repos/${owner}/${repo}/contents/${path}?ref=${ref}`,
-                { headers }
-            );
-            
-            // Handle rate limiting
-            if (response.status === 429 || response.status === 403) {
-                const resetTime = response.headers.get('X-RateLimit-Reset');
-                const remaining = response.headers.get('X-RateLimit-Remaining');
-                console.warn(`[Rate Limit] Hit rate limit on ${path}`);
-                console.warn(`[Rate Limit] Remaining: ${remaining || 'unknown'}`);
-                
-                if (resetTime) {
-                    rateLimitWaitUntil = parseInt(resetTime) * 1000;
-                    const waitMs = rateLimitWaitUntil - Date.now();
-                    if (waitMs > 0 && waitMs < 60000) { // Wait up to 60 seconds
-                        console.log(`[Rate Limit] Waiting ${Math.ceil(waitMs/1000)} seconds before retry...`);
-                        await new Promise(resolve => setTimeout(resolve, waitMs));
-                        console.log(`[Rate Limit] Retrying ${path}...`);
-                        // Retry
-                        return getFileContent(path);
-                    } else {
-                        console.error(`[Rate Limit] Wait time too long (${Math.ceil(waitMs/1000)}s), skipping file`);
+            let response;
+            if (sha && size > GITHUB_CONTENTS_INLINE_MAX_BYTES) {
+                response = await fetchRawBlob(sha);
+            } else {
+                stats.requests++;
+                response = await githubRequestScheduler.fetch(
+                    `${githubHost.apiBase}/repos/${owner}/${repo}/contents/${path}?ref=${ref}`,
+                    { headers }
+                );
+                if (response.ok) {
+                    const data = await response.json();
+                    // Directories and submodules have no content
+                    if (data.type !== 'file') return null;
+                    sha = data.sha || sha;
+                    if (data.size > FILE_CONTENT_MAX_BYTES) return recordSkippedFile(skipped, path, 'too-large', data.size);
+                    if (data.encoding === 'base64' && (data.content || data.size === 0)) {
+                        return decodeAndCache(path, sha, base64ToBytes(data.content));
                     }
+                    // Files over 1 MB come back without inline content (encoding "none")
+                    response = await fetchRawBlob(sha);
                 }
-                cache.set(path, null);
-                return null;
             }
             
-            if (!response.ok) {
-                cache.set(path, null);
-                return null;
-            }
-            
-            const data = await response.json();
-            if (data.content) {
-                const content = atob(data.content.replace(/\n/g, ''));
-                cache.set(path, content);
-                return content;
+            // The scheduler already waited out short rate limit pauses; anything left is a skip
+            if (response.status === 429 || response.status === 403) {
+                console.warn(`[Rate Limit] Hit rate limit on ${path}, remaining: ${response.headers.get('X-RateLimit-Remaining') || 'unknown'}`);
+                return recordSkippedFile(skipped, path, 'rate-limited', size);
             }
+            // Detectors probe well-known paths that often do not exist; those are not skipped files
+            if (response.status === 404) return null;
+            if (!response.ok) return recordSkippedFile(skipped, path, 'error', size);
             
-            cache.set(path, null);
-            return null;
+            return decodeAndCache(path, sha, new Uint8Array(await response.arrayBuffer()));
         } catch (error) {
-            cache.set(path, null);
-            return null;
+            return recordSkippedFile(skipped, path, 'error', size);
         }
-    };
+    }
+    
+    function getFileContent(path) {
+        if (!cache.has(path)) cache.set(path, loadFileContent(path));
+        return cache.get(path);
+    }
+    
+    getFileContent.stats = stats;
+    getFileContent.skipped = skipped;
+    return getFileContent;
 }
 
 // ============================================================================
@@ -0,0 +1,214 @@
+// GitLab API functions
+// Provides the same repoMeta / tree / getFileContent contract as github-api.js
+// so analyzeRepository and the detectors run unchanged against GitLab projects.
+
+// File content requests to GitLab share one scheduler (concurrency + rate limit budget)
+const gitlabRequestScheduler = createRequestScheduler('GitLab');
+
+function normalizeGitLabBase(instanceUrl) {
+    let base = (instanceUrl || GITLAB_DEFAULT_BASE).trim();
+    if (!/^https?:\/\//i.test(base)) base = `https://${base}`;
+    return base.replace(/\/+$/, '');
+}
+
+function parseGitLabInput(input, instanceUrl = null) {
+    input = input.trim().replace(/\.git$/, '');
+    let baseUrl = normalizeGitLabBase(instanceUrl);
+    let projectPath = input;
+    
+    if (/^https?:\/\//i.test(input)) {
+        const url = new URL(input);
+        // Full URLs carry their own instance; a configured instance with a
+        // relative URL root (e.g. https://host/gitlab) is honoured when it matches
+        const configured = instanceUrl ? new URL(baseUrl) : null;
+        const rootPath = configured && configured.host === url.host
+            ? configured.pathname.replace(/\/+$/, '')
+            : '';
+        baseUrl = `${url.protocol}//${url.host}${rootPath}`;
+        projectPath = url.pathname.substring(rootPath.length);
+    }
+    
+    // Drop UI routes such as /-/tree/main or /-/blob/main/file.py
+    projectPath = projectPath.split('/-/')[0].replace(/^\/+|\/+$/g, '');
+    
+    const segments = projectPath.split('/').filter(Boolean);
+    if (segments.length < 2) {
+        throw new Error('Invalid GitLab project format. Use "group/project", "group/subgroup/project" or a GitLab URL.');
+    }
+    
+    return {
+        owner: segments.slice(0, -1).join('/'),
+        repo: segments[segments.length - 1],
+        projectPath: segments.join('/'),
+        baseUrl
+    };
+}
+
+function getGitLabHeaders(token) {
+    const headers = { 'Accept': 'application/json' };
+    if (token) headers['PRIVATE-TOKEN'] = token;
+    return headers;
+}
+
+async function fetchGitLabProjectMeta(projectPath, baseUrl, token = null) {
+    const apiBase = `${baseUrl}/api/v4`;
+    console.log(`[GitLab API] Fetching metadata for ${projectPath} on ${baseUrl}`);
+    const headers = getGitLabHeaders(token);
+    if (token) {
+        console.log('[GitLab API] Using provided token for authentication');
+    } else {
+        console.warn('[GitLab API] No token provided - only public projects are accessible');
+    }
+    
+    const response = await fetch(`${apiBase}/projects/${encodeURIComponent(projectPath)}?license=true`, { headers });
+    
+    if (!response.ok) {
+        if (response.status === 404) throw new Error('Project not found. Private projects require a GitLab token with read_api scope.');
+        if (response.status === 401) throw new Error('GitLab token was rejected. Check the token and its read_api scope.');
+        if (response.status === 429) {
+            const retryAfter = response.headers.get('Retry-After');
+            throw new Error(`GitLab rate limit exceeded.${retryAfter ? ` Retry in ${retryAfter} seconds.` : ''}`);
+        }
+        throw new Error(`GitLab API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    console.log(`[GitLab API] Project found: ${data.path_with_namespace} (id ${data.id})`);
+    console.log(`[GitLab API] Default branch: ${data.default_branch}`);
+    console.log(`[GitLab API] Stars: ${data.star_count}, Forks: ${data.forks_count}`);
+    
+    if (!data.default_branch) {
+        throw new Error('Project has no default branch (the repository may be empty).');
+    }
+    
+    const langResponse = await fetch(`${apiBase}/projects/${data.id}/languages`, { headers });
+    const languages = langResponse.ok ? await langResponse.json() : {};
+    
+    const result = {
+        name: data.path,
+        fullName: data.path_with_namespace,
+        description: data.description || '',
+        htmlUrl: data.web_url,
+        defaultBranch: data.default_branch,
+        topics: data.topics || data.tag_list || [],
+        languages: Object.keys(languages),
+        owner: data.namespace?.full_path || projectPath.split('/').slice(0, -1).join('/'),
+        platform: 'gitlab',
+        host: baseUrl,
+        projectId: data.id,
+        apiBase
+    };
+    // License keys are lowercase SPDX identifiers ("apache-2.0"); "other" for unrecognized files
+    if (data.license?.key && data.license.key !== 'other') {
+        result.license = data.license.key;
+        result.licenseSource = 'GitLab project metadata';
+    }
+    
+    console.log(`[GitLab API] Languages detected: ${result.languages.join(', ') || 'None'}`);
+    console.log(`[GitLab API] Topics: ${result.topics.join(', ') || 'None'}`);
+    
+    return result;
+}
+
+async function fetchGitLabTree(repoMeta, ref, token = null) {
+    console.log(`[GitLab API] Fetching file tree for ${repoMeta.fullName}@${ref}`);
+    const headers = getGitLabHeaders(token);
+    const startTime = performance.now();
+    const entries = [];
+    
+    // The repository tree endpoint is paginated (max 100 per page); follow X-Next-Page until exhausted
+    let page = '1';
+    while (page) {
+        const response = await fetch(
+            `${repoMeta.apiBase}/projects/${repoMeta.projectId}/repository/tree?recursive=true&per_page=100&page=${page}&ref=${encodeURIComponent(ref)}`,
+            { headers }
+        );
+        
+        if (!response.ok) {
+            console.error('[GitLab API] Failed to fetch tree:', response.status, response.statusText);
+            throw new Error('Failed to fetch repository tree');
+        }
+        
+        entries.push(...await response.json());
+        page = response.headers.get('X-Next-Page');
+    }
+    
+    const files = entries.filter(entry => entry.type === 'blob');
+    const elapsed = (performance.now() - startTime).toFixed(2);
+    
+    console.log(`[GitLab API] Tree fetched in ${elapsed}ms`);
+    console.log(`[GitLab API] Total entries: ${entries.length}, Files: ${files.length}`);
+    
+    // GitLab's tree endpoint does not report blob sizes; detectors treat a missing size as "small enough"
+    return files.map(entry => ({
+        path: entry.path,
+        type: entry.type,
+        sha: entry.id
+    }));
+}
+
+/**
+ * Create the getFileContent function for a GitLab project at a ref
+ * GitLab tree entries carry git blob SHAs, so the persistent blob cache is shared with GitHub scans.
+ * Requests go through the shared GitLab request scheduler (bounded concurrency, RateLimit-* and Retry-After aware).
+ * Binary, oversized and unreadable files are listed in getFileContent.skipped.
+ * @param {Array} tree - Optional tree entries ({path, sha}) used to map paths to blob SHAs
+ */
+function createGitLabFileContentFetcher(repoMeta, ref, token = null, tree = null) {
+    const cache = new Map(); // path -> Promise<string|null>
+    const blobShas = new Map((tree || []).map(entry => [entry.path, entry.sha]));
+    const headers = getGitLabHeaders(token);
+    const stats = { cacheHits: 0, requests: 0 };
+    const skipped = [];
+    
+    async function loadFileContent(path) {
+        const cached = await getCachedBlob(blobShas.get(path));
+        if (cached !== undefined) {
+            stats.cacheHits++;
+            return cached.binary ? recordSkippedFile(skipped, path, 'binary', cached.size) : cached;
+        }
+        
+        try {
+            stats.requests++;
+            const response = await gitlabRequestScheduler.fetch(
+                `${repoMeta.apiBase}/projects/${repoMeta.projectId}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`,
+                { headers }
+            );
+            
+            if (response.status === 429) {
+                console.warn(`[Rate Limit] GitLab rate limit hit on ${path}, skipping file`);
+                return recordSkippedFile(skipped, path, 'rate-limited');
+            }
+            
+            if (response.status === 404) return null;
+            if (!response.ok) return recordSkippedFile(skipped, path, 'error');
+            
+            // The tree endpoint reports no sizes, so oversized and binary files are caught from the response;
+            // the body is streamed and cancelled early, as weight file candidates are fetched to look for LFS pointers
+            const declaredSize = parseInt(response.headers.get('Content-Length') || '0');
+            if (declaredSize > FILE_CONTENT_MAX_BYTES) {
+                response.body?.cancel?.().catch(() => {});
+                return recordSkippedFile(skipped, path, 'too-large', declaredSize);
+            }
+            const { content, reason, size } = await readTextResponse(response);
+            if (reason === 'binary') {
+                await putCachedBinaryBlob(blobShas.get(path), declaredSize || null);
+                return recordSkippedFile(skipped, path, reason, declaredSize || null);
+            }
+            if (content === null) return recordSkippedFile(skipped, path, reason, size);
+            await putCachedBlob(blobShas.get(path), content);
+            return content;
+        } catch (error) {
+            return recordSkippedFile(skipped, path, 'error');
+        }
+    }
+    
+    function getFileContent(path) {
+        if (!cache.has(path)) cache.set(path, loadFileContent(path));
+        return cache.get(path);
+    }
+    
+    getFileContent.stats = stats;
+    getFileContent.skipped = skipped;
+    return getFileContent;
+}
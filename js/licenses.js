@@ -0,0 +1,243 @@
+// License inventory and compatibility checks
+// Licenses of AI dependencies (lockfiles, the GitHub SBOM), models (HuggingFace card data) and the
+// repository itself are resolved to SPDX identifiers and sorted into classes, so that combinations a
+// product cannot ship - a non-commercial model inside an Apache-2.0 product - can be flagged.
+
+const LICENSE_CLASSES = {
+    permissive: 'Permissive',
+    'weak-copyleft': 'Weak copyleft',
+    'strong-copyleft': 'Strong copyleft',
+    'network-copyleft': 'Network copyleft',
+    'use-restricted': 'Use-restricted',
+    'non-commercial': 'Non-commercial',
+    proprietary: 'Proprietary'
+};
+
+// SPDX license identifiers by class
+const SPDX_LICENSES = {
+    permissive: [
+        'MIT', 'MIT-0', 'Apache-2.0', 'BSD-2-Clause', 'BSD-3-Clause', 'BSD-3-Clause-Clear', 'ISC', '0BSD',
+        'Unlicense', 'CC0-1.0', 'CC-BY-2.0', 'CC-BY-2.5', 'CC-BY-3.0', 'CC-BY-4.0', 'Zlib', 'BSL-1.0',
+        'Python-2.0', 'PSF-2.0', 'PostgreSQL', 'UPL-1.0', 'AFL-3.0', 'Artistic-2.0', 'ECL-2.0', 'NCSA',
+        'MS-PL', 'WTFPL', 'PDDL-1.0', 'ODC-By-1.0', 'CDLA-Permissive-1.0', 'CDLA-Permissive-2.0', 'BlueOak-1.0.0'
+    ],
+    'weak-copyleft': [
+        'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MPL-2.0', 'EPL-1.0',
+        'EPL-2.0', 'CDDL-1.0', 'CDDL-1.1', 'CC-BY-SA-3.0', 'CC-BY-SA-4.0', 'ODbL-1.0', 'CDLA-Sharing-1.0',
+        'LPPL-1.3c', 'OFL-1.1'
+    ],
+    'strong-copyleft': ['GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later', 'EUPL-1.1', 'EUPL-1.2'],
+    'network-copyleft': ['AGPL-3.0-only', 'AGPL-3.0-or-later', 'OSL-3.0', 'SSPL-1.0'],
+    'use-restricted': ['CreativeML-OpenRAIL-M', 'BigScience-OpenRAIL-M', 'BigScience-BLOOM-RAIL-1.0', 'CC-BY-ND-3.0', 'CC-BY-ND-4.0'],
+    'non-commercial': [
+        'CC-BY-NC-2.0', 'CC-BY-NC-3.0', 'CC-BY-NC-4.0', 'CC-BY-NC-SA-2.0', 'CC-BY-NC-SA-3.0', 'CC-BY-NC-SA-4.0',
+        'CC-BY-NC-ND-3.0', 'CC-BY-NC-ND-4.0'
+    ]
+};
+
+// Model licenses without an SPDX identifier, keyed by their HuggingFace license tag
+const MODEL_LICENSES = {
+    openrail: { name: 'OpenRAIL', class: 'use-restricted' },
+    'openrail++': { name: 'OpenRAIL++-M', class: 'use-restricted' },
+    'bigcode-openrail-m': { name: 'BigCode OpenRAIL-M', class: 'use-restricted' },
+    llama2: { name: 'Llama 2 Community License', class: 'use-restricted' },
+    llama3: { name: 'Llama 3 Community License', class: 'use-restricted' },
+    'llama3.1': { name: 'Llama 3.1 Community License', class: 'use-restricted' },
+    'llama3.2': { name: 'Llama 3.2 Community License', class: 'use-restricted' },
+    'llama3.3': { name: 'Llama 3.3 Community License', class: 'use-restricted' },
+    llama4: { name: 'Llama 4 Community License', class: 'use-restricted' },
+    gemma: { name: 'Gemma Terms of Use', class: 'use-restricted' },
+    'deepfloyd-if-license': { name: 'DeepFloyd IF License', class: 'non-commercial' },
+    'fair-noncommercial-research-license': { name: 'FAIR Noncommercial Research License', class: 'non-commercial' },
+    'apple-amlr': { name: 'Apple Machine Learning Research Model License', class: 'non-commercial' },
+    unlicensed: { name: 'UNLICENSED', class: 'proprietary' } // npm: no permission to use
+};
+
+// Deprecated and informal spellings used by HuggingFace tags, npm and the GitHub license API
+const LICENSE_ALIASES = {
+    'gpl-2.0': 'GPL-2.0-only',
+    'gpl-2.0+': 'GPL-2.0-or-later',
+    'gpl-3.0': 'GPL-3.0-only',
+    'gpl-3.0+': 'GPL-3.0-or-later',
+    'lgpl-2.1': 'LGPL-2.1-only',
+    'lgpl-2.1+': 'LGPL-2.1-or-later',
+    'lgpl-3.0': 'LGPL-3.0-only',
+    'lgpl-3.0+': 'LGPL-3.0-or-later',
+    'agpl-3.0': 'AGPL-3.0-only',
+    'apache 2.0': 'Apache-2.0',
+    'apache-2': 'Apache-2.0',
+    'apache2': 'Apache-2.0',
+    'apache license 2.0': 'Apache-2.0',
+    'mit license': 'MIT'
+};
+
+// Values that name no license
+const NO_LICENSE_VALUES = ['', 'unknown', 'other', 'none', 'noassertion', 'nolicense'];
+
+const SPDX_LICENSE_INDEX = new Map(Object.entries(SPDX_LICENSES).flatMap(([licenseClass, ids]) =>
+    ids.map(id => [id.toLowerCase(), { id, class: licenseClass }])
+));
+
+// Classes from least to most restrictive; AND takes the most restrictive term, OR the least
+const LICENSE_CLASS_ORDER = Object.keys(LICENSE_CLASSES);
+
+function resolveLicenseTerm(term) {
+    const key = term.trim().toLowerCase();
+    const alias = LICENSE_ALIASES[key];
+    const spdx = SPDX_LICENSE_INDEX.get((alias || key).toLowerCase());
+    if (spdx) return { expression: spdx.id, name: spdx.id, spdx: true, compound: false, class: spdx.class };
+    const model = MODEL_LICENSES[key];
+    const name = model ? model.name : term.trim();
+    return {
+        expression: `LicenseRef-${name.replace(/[^A-Za-z0-9.]+/g, '-').replace(/^-|-$/g, '')}`,
+        name,
+        spdx: false,
+        compound: false,
+        class: model ? model.class : null
+    };
+}
+
+/**
+ * Resolve a declared license to an SPDX expression and a license class
+ * Accepts SPDX ids and expressions, HuggingFace license tags, composer license lists (alternatives)
+ * and legacy npm {type} objects. Unknown licenses keep their name with a LicenseRef- expression.
+ * @param {string|Array|Object} value - License as declared
+ * @returns {{expression: string, name: string, spdx: boolean, compound: boolean, class: string|null}|null} Null when no license is named
+ */
+function normalizeLicense(value) {
+    if (Array.isArray(value)) {
+        const names = value.map(v => typeof v === 'object' ? v?.type : v).filter(Boolean);
+        return names.length > 0 ? normalizeLicense(names.length > 1 ? `(${names.join(' OR ')})` : names[0]) : null;
+    }
+    if (value && typeof value === 'object') return normalizeLicense(value.type);
+    if (typeof value !== 'string' || NO_LICENSE_VALUES.includes(value.trim().toLowerCase())) return null;
+    // "SEE LICENSE IN <file>" points at a custom license text
+    if (/^see licen[cs]e in /i.test(value.trim())) return null;
+    
+    // Split around operators and parentheses so license names may contain spaces ("Apache 2.0")
+    const parts = value.trim().split(/(\s+(?:AND|OR)\s+|[()])/i);
+    const terms = [];
+    let conjunctive = false;
+    const expression = parts.map(part => {
+        const operator = part.trim().toUpperCase();
+        if (operator === 'AND' || operator === 'OR') {
+            conjunctive = conjunctive || operator === 'AND';
+            return ` ${operator} `;
+        }
+        if (!part.trim() || part === '(' || part === ')') return part.trim();
+        // Exceptions ("GPL-2.0-only WITH Classpath-exception-2.0") keep the license's class
+        const [license, exception] = part.split(/\s+WITH\s+/i);
+        const term = resolveLicenseTerm(license);
+        terms.push(term);
+        return exception ? `${term.expression} WITH ${exception.trim()}` : term.expression;
+    }).join('');
+    if (terms.length === 1 && !/\sWITH\s/.test(expression)) return terms[0];
+    
+    const ranks = terms.filter(term => term.class).map(term => LICENSE_CLASS_ORDER.indexOf(term.class));
+    // Every term must be known to classify an AND; any known alternative is enough for an OR
+    const known = conjunctive ? ranks.length === terms.length : ranks.length > 0;
+    return {
+        expression,
+        name: expression,
+        spdx: terms.every(term => term.spdx),
+        compound: true,
+        class: known ? LICENSE_CLASS_ORDER[conjunctive ? Math.max(...ranks) : Math.min(...ranks)] : null
+    };
+}
+
+// Phrases identifying common license texts, checked in order (AGPL and LGPL texts also mention the GPL)
+const LICENSE_TEXT_PATTERNS = [
+    { id: 'AGPL-3.0-only', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: 'LGPL-3.0-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: 'LGPL-2.1-only', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i },
+    { id: 'GPL-3.0-only', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+    { id: 'GPL-2.0-only', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+    { id: 'Apache-2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+    { id: 'MPL-2.0', pattern: /Mozilla Public License,?\s+(?:Version|v\.)\s*2\.0/i },
+    { id: 'EPL-2.0', pattern: /Eclipse Public License\s+-?\s*v\s*2\.0/i },
+    { id: 'BSL-1.0', pattern: /Boost Software License\s+-?\s*Version 1\.0/i },
+    { id: 'CC-BY-NC-4.0', pattern: /Attribution-NonCommercial 4\.0 International/i },
+    { id: 'CC-BY-NC-SA-4.0', pattern: /Attribution-NonCommercial-ShareAlike 4\.0 International/i },
+    { id: 'CC-BY-4.0', pattern: /Creative Commons Attribution 4\.0 International/i },
+    { id: 'CC0-1.0', pattern: /CC0 1\.0 Universal/i },
+    { id: 'Unlicense', pattern: /This is free and unencumbered software released into the public domain/i },
+    { id: 'MIT', pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+    { id: 'ISC', pattern: /Permission to use, copy, modify, and(?:\/or)? distribute this software for any purpose with or without fee/i },
+    { id: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i },
+    { id: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i }
+];
+
+// License files at the repository root, most specific first
+const LICENSE_FILE_PATTERN = /^(?:LICEN[CS]E|COPYING|UNLICENSE)(?:[.-](?:md|txt|rst|apache|mit))?$/i;
+
+/**
+ * Identify the license of a license file from its text
+ * Matches phrases of the license itself, so a file combining several licenses yields the first one listed in LICENSE_TEXT_PATTERNS.
+ * @returns {string|null} SPDX identifier
+ */
+function identifyLicenseText(text) {
+    // Line breaks and indentation vary between copies of the same text
+    const normalized = text.replace(/\s+/g, ' ');
+    const found = LICENSE_TEXT_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+    return found ? found.id : null;
+}
+
+/**
+ * License of the scanned repository from its root license file
+ * Used for local sources and when the GitHub / GitLab API did not recognize the license.
+ * @returns {Promise<{license: string, licenseSource: string}|null>}
+ */
+async function detectRepositoryLicense(tree, getFileContent) {
+    const licenseFiles = tree.filter(entry => !entry.path.includes('/') && LICENSE_FILE_PATTERN.test(entry.path));
+    for (const entry of licenseFiles) {
+        const content = await getFileContent(entry.path);
+        const license = content && identifyLicenseText(content);
+        if (license) {
+            console.log(`[Licenses] ✓ Repository license ${license} identified from ${entry.path}`);
+            return { license, licenseSource: entry.path };
+        }
+    }
+    if (licenseFiles.length > 0) {
+        console.log(`[Licenses] Could not identify the license in ${licenseFiles.map(e => e.path).join(', ')}`);
+    }
+    return null;
+}
+
+// Product license classes that let users of the product use it commercially and redistribute it
+const OPEN_PRODUCT_CLASSES = ['permissive', 'weak-copyleft', 'strong-copyleft', 'network-copyleft'];
+
+/**
+ * Check whether a component license can be shipped inside a product under another license
+ * Works on license classes, plus the well-known Apache-2.0 / GPL-2.0-only conflict; it points at
+ * combinations that need legal review rather than deciding them.
+ * @param {Object} productLicense - normalizeLicense() result for the repository
+ * @param {Object} componentLicense - normalizeLicense() result for the dependency or model
+ * @returns {{severity: string, reason: string}|null} Null when no conflict is known
+ */
+function checkLicenseCompatibility(productLicense, componentLicense) {
+    const product = productLicense?.class;
+    const component = componentLicense?.class;
+    if (!product || !component) return null;
+    const productName = productLicense.name;
+    const componentName = componentLicense.name;
+    
+    if (component === 'non-commercial' && OPEN_PRODUCT_CLASSES.includes(product)) {
+        return { severity: 'high', reason: `${componentName} forbids commercial use, which the ${productName} product license allows` };
+    }
+    if (component === 'proprietary' && OPEN_PRODUCT_CLASSES.includes(product)) {
+        return { severity: 'high', reason: `${componentName} grants no right to redistribute the component inside a product licensed under ${productName}` };
+    }
+    if (component === 'network-copyleft' && !['strong-copyleft', 'network-copyleft'].includes(product)) {
+        return { severity: 'high', reason: `${componentName} requires releasing the source of the whole product, including network services built on it, under ${componentName}; the product is ${productName}` };
+    }
+    if (component === 'strong-copyleft' && ['permissive', 'weak-copyleft', 'proprietary'].includes(product)) {
+        return { severity: 'medium', reason: `Distributing the product with ${componentName} code requires releasing it under ${componentName}, not ${productName}` };
+    }
+    if (component === 'use-restricted' && OPEN_PRODUCT_CLASSES.includes(product)) {
+        return { severity: 'medium', reason: `${componentName} imposes use restrictions that ${productName} does not carry; downstream users must accept them separately` };
+    }
+    if (componentLicense.expression === 'Apache-2.0' && productLicense.expression === 'GPL-2.0-only') {
+        return { severity: 'medium', reason: 'Apache-2.0 is incompatible with GPL-2.0-only (patent termination and indemnity terms)' };
+    }
+    return null;
+}
@@ -0,0 +1,226 @@
+// Local source: analyze a folder or an archive entirely in the browser
+// Builds the same repoMeta / tree / getFileContent contract as the GitHub and GitLab sources
+// without any network access, so air-gapped and pre-release code can be scanned offline.
+
+// Directories that are almost never committed and would only add vendored noise to a local scan
+const LOCAL_IGNORED_DIRECTORIES = [
+    '.git', 'node_modules', '.venv', 'venv', '__pycache__', '.tox',
+    '.mypy_cache', '.pytest_cache', '.ruff_cache', '.idea'
+];
+
+const LOCAL_LANGUAGE_EXTENSIONS = {
+    '.py': 'Python', '.pyw': 'Python', '.ipynb': 'Jupyter Notebook',
+    '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+    '.ts': 'TypeScript', '.tsx': 'TypeScript',
+    '.java': 'Java', '.go': 'Go', '.rs': 'Rust', '.rb': 'Ruby', '.php': 'PHP',
+    '.c': 'C', '.cpp': 'C++', '.cc': 'C++', '.cxx': 'C++', '.hpp': 'C++',
+    '.cs': 'C#', '.kt': 'Kotlin', '.kts': 'Kotlin', '.scala': 'Scala', '.swift': 'Swift',
+    '.m': 'Objective-C', '.mm': 'Objective-C', '.sh': 'Shell', '.bash': 'Shell', '.r': 'R'
+};
+
+/**
+ * Read every file below a File System Access API directory handle
+ * @param {FileSystemDirectoryHandle} dirHandle - Handle from window.showDirectoryPicker()
+ * @returns {Promise<Array>} Local entries ({path, size, read})
+ */
+async function collectDirectoryHandleEntries(dirHandle, prefix = '') {
+    const entries = [];
+    for await (const handle of dirHandle.values()) {
+        if (LOCAL_IGNORED_DIRECTORIES.includes(handle.name)) continue;
+        const path = prefix ? `${prefix}/${handle.name}` : handle.name;
+        
+        if (handle.kind === 'directory') {
+            entries.push(...await collectDirectoryHandleEntries(handle, path));
+        } else {
+            const file = await handle.getFile();
+            entries.push({
+                path,
+                size: file.size,
+                read: async () => new Uint8Array(await file.arrayBuffer())
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Convert a FileList from <input webkitdirectory> or a plain file input into local entries
+ * @param {FileList|Array<File>} fileList - Selected files
+ * @returns {Array} Local entries ({path, size, read})
+ */
+function collectFileListEntries(fileList) {
+    return Array.from(fileList).map(file => ({
+        path: file.webkitRelativePath || file.name,
+        size: file.size,
+        read: async () => new Uint8Array(await file.arrayBuffer())
+    }));
+}
+
+function readDroppedDirectory(directoryEntry) {
+    // readEntries returns results in batches; keep reading until it returns an empty batch
+    const reader = directoryEntry.createReader();
+    const children = [];
+    return new Promise((resolve, reject) => {
+        const readBatch = () => reader.readEntries(batch => {
+            if (batch.length === 0) {
+                resolve(children);
+            } else {
+                children.push(...batch);
+                readBatch();
+            }
+        }, reject);
+        readBatch();
+    });
+}
+
+async function collectDroppedEntry(entry, prefix = '') {
+    if (LOCAL_IGNORED_DIRECTORIES.includes(entry.name)) return [];
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    
+    if (entry.isDirectory) {
+        const results = [];
+        for (const child of await readDroppedDirectory(entry)) {
+            results.push(...await collectDroppedEntry(child, path));
+        }
+        return results;
+    }
+    
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{
+        path,
+        size: file.size,
+        read: async () => new Uint8Array(await file.arrayBuffer())
+    }];
+}
+
+/**
+ * Resolve a drag-and-drop payload into a named local source selection
+ * A single dropped archive is unpacked; folders (or loose files) are read as-is
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<{name: string, entries: Array}>}
+ */
+async function collectDroppedSource(dataTransfer) {
+    const items = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+    
+    if (items.length === 0 && dataTransfer.files?.length === 1) {
+        return collectArchiveSource(dataTransfer.files[0]);
+    }
+    
+    if (items.length === 1 && items[0].isFile && isArchiveFileName(items[0].name)) {
+        return collectArchiveSource(dataTransfer.files[0]);
+    }
+    
+    const entries = [];
+    for (const item of items) {
+        entries.push(...await collectDroppedEntry(item));
+    }
+    const name = items.length === 1 && items[0].isDirectory ? items[0].name : 'local-files';
+    return { name, entries };
+}
+
+/**
+ * Read a .zip / .tar / .tar.gz file into a named local source selection
+ * @param {File} file - Archive file
+ * @returns {Promise<{name: string, entries: Array}>}
+ */
+async function collectArchiveSource(file) {
+    const entries = await readArchiveEntries(file.name, await file.arrayBuffer());
+    return {
+        name: file.name.replace(/\.(zip|tar|tar\.gz|tgz)$/i, ''),
+        entries
+    };
+}
+
+function stripCommonRoot(entries) {
+    // Archives (e.g. GitHub "Download ZIP") and folder pickers wrap everything in one top-level directory
+    const roots = new Set(entries.map(e => e.path.split('/')[0]));
+    const allNested = entries.every(e => e.path.includes('/'));
+    if (roots.size !== 1 || !allNested) return { root: null, entries };
+    
+    const root = [...roots][0];
+    return {
+        root,
+        entries: entries.map(e => ({ ...e, path: e.path.substring(root.length + 1) }))
+    };
+}
+
+function inferLanguagesFromTree(tree) {
+    const bytesByLanguage = {};
+    tree.forEach(entry => {
+        const ext = (entry.path.match(/\.[^./]+$/)?.[0] || '').toLowerCase();
+        const language = LOCAL_LANGUAGE_EXTENSIONS[ext];
+        if (language) {
+            bytesByLanguage[language] = (bytesByLanguage[language] || 0) + (entry.size || 1);
+        }
+    });
+    // Sorted by size, largest first, matching the GitHub languages API ordering
+    return Object.entries(bytesByLanguage)
+        .sort((a, b) => b[1] - a[1])
+        .map(([language]) => language);
+}
+
+/**
+ * Build an analysis source from local entries
+ * @param {string} name - Folder or archive name, used as the repository name
+ * @param {Array} rawEntries - Local entries ({path, size, read})
+ * @returns {{owner: string, repo: string, repoMeta: Object, tree: Array, getFileContent: function, token: null}}
+ */
+function createLocalSource(name, rawEntries) {
+    const normalized = rawEntries
+        .map(e => ({ ...e, path: e.path.replace(/\\/g, '/').replace(/^\/+/, '') }))
+        .filter(e => e.path && !e.path.split('/').some(part => LOCAL_IGNORED_DIRECTORIES.includes(part)));
+    
+    const { root, entries } = stripCommonRoot(normalized);
+    const projectName = root || name || 'local-project';
+    const entriesByPath = new Map(entries.map(e => [e.path, e]));
+    
+    const tree = entries.map(e => ({
+        path: e.path,
+        type: 'blob',
+        size: e.size
+    }));
+    
+    const totalSize = tree.reduce((sum, f) => sum + (f.size || 0), 0);
+    console.log(`[Local Source] ${projectName}: ${tree.length} files, ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
+    
+    const cache = new Map(); // path -> Promise<string|null>
+    const skipped = [];
+    async function readLocalContent(entry) {
+        if (entry.size > FILE_CONTENT_MAX_BYTES) return recordSkippedFile(skipped, entry.path, 'too-large', entry.size);
+        try {
+            const content = decodeTextBytes(await entry.read());
+            return content === null ? recordSkippedFile(skipped, entry.path, 'binary', entry.size) : content;
+        } catch (error) {
+            console.warn(`[Local Source] Could not read ${entry.path}: ${error.message}`);
+            return recordSkippedFile(skipped, entry.path, 'error', entry.size);
+        }
+    }
+    
+    function getFileContent(path) {
+        if (!cache.has(path)) {
+            const entry = entriesByPath.get(path);
+            cache.set(path, entry ? readLocalContent(entry) : Promise.resolve(null));
+        }
+        return cache.get(path);
+    }
+    getFileContent.skipped = skipped;
+    
+    const repoMeta = {
+        name: projectName,
+        fullName: projectName,
+        description: '',
+        htmlUrl: null,
+        defaultBranch: null,
+        topics: [],
+        languages: inferLanguagesFromTree(tree),
+        owner: 'local',
+        platform: 'local',
+        offline: true
+    };
+    
+    console.log(`[Local Source] Languages detected: ${repoMeta.languages.join(', ') || 'None'}`);
+    
+    return { owner: 'local', repo: projectName, repoMeta, tree, getFileContent, token: null };
+}
@@ -0,0 +1,276 @@
+// Offline vulnerability matching against a local OSV export
+// The export is loaded once in the browser - a JSON file of OSV records or the archive of an ecosystem
+// dump such as https://osv-vulnerabilities.storage.googleapis.com/PyPI/all.zip - and dependencies are
+// matched by ecosystem, name and exact version without any network request.
+
+// Our ecosystem names -> OSV ecosystem names
+const OSV_ECOSYSTEMS = {
+    python: 'PyPI',
+    node: 'npm',
+    go: 'Go',
+    java: 'Maven',
+    rust: 'crates.io',
+    ruby: 'RubyGems',
+    php: 'Packagist',
+    dotnet: 'NuGet',
+    swift: 'SwiftURL'
+};
+
+// Order of version qualifiers; plain releases rank as 'release'
+const OSV_VERSION_QUALIFIERS = {
+    dev: 0, snapshot: 0,
+    alpha: 1, a: 1,
+    beta: 2, b: 2,
+    milestone: 3, m: 3,
+    rc: 4, c: 4, cr: 4, pre: 4, preview: 4,
+    release: 5, final: 5, ga: 5,
+    post: 6, p: 6, patch: 6, sp: 6
+};
+
+function getOSVPackageKey(osvEcosystem, name) {
+    const id = osvEcosystem === 'PyPI' ? normalizePythonPackageName(name) : name.toLowerCase();
+    return `${osvEcosystem}:${id}`;
+}
+
+/**
+ * Index OSV records by affected package
+ * @param {Array} records - OSV vulnerability records
+ * @param {string} source - File the records were read from
+ * @returns {{source: string, recordCount: number, ecosystems: string[], index: Map}}
+ */
+function createOSVDatabase(records, source) {
+    const index = new Map();
+    const ecosystems = new Set();
+    let recordCount = 0;
+    
+    for (const record of records) {
+        if (!record?.id || !Array.isArray(record.affected) || record.withdrawn) continue;
+        recordCount++;
+        for (const affected of record.affected) {
+            const { ecosystem, name } = affected.package || {};
+            if (!ecosystem || !name) continue;
+            // "Debian:12", "Ubuntu:22.04:LTS" - only the base ecosystem is compared
+            const base = ecosystem.split(':')[0];
+            ecosystems.add(base);
+            const key = getOSVPackageKey(base, name);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({ record, affected });
+        }
+    }
+    
+    console.log(`[OSV] ✓ Indexed ${recordCount} vulnerabilities for ${index.size} packages from ${source} (${[...ecosystems].join(', ') || 'no ecosystems'})`);
+    return { source, recordCount, ecosystems: [...ecosystems], index };
+}
+
+function parseOSVJson(text, fileName) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data.vulns)) return data.vulns; // osv.dev query responses
+    if (data.id) return [data];
+    throw new Error(`${fileName} does not contain OSV records`);
+}
+
+/**
+ * Load an OSV export selected by the user
+ * Accepts a JSON file (one record, an array of records or {vulns: [...]}) or a .zip / .tar / .tar.gz
+ * of per-record JSON files.
+ * @param {File} file - OSV export
+ * @returns {Promise<Object>} Database for findOSVVulnerabilities
+ */
+async function loadOSVDatabase(file) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    const decoder = new TextDecoder();
+    
+    if (!detectArchiveType(file.name, data)) {
+        return createOSVDatabase(parseOSVJson(decoder.decode(data), file.name), file.name);
+    }
+    
+    const records = [];
+    let skipped = 0;
+    for (const entry of await readArchiveEntries(file.name, data)) {
+        if (!entry.path.toLowerCase().endsWith('.json')) continue;
+        try {
+            records.push(...parseOSVJson(decoder.decode(await entry.read()), entry.path));
+        } catch (error) {
+            skipped++;
+            console.warn(`[OSV] ⚠️  Skipping ${entry.path}: ${error.message}`);
+        }
+    }
+    if (records.length === 0) {
+        throw new Error(`No OSV records found in ${file.name}`);
+    }
+    if (skipped > 0) console.warn(`[OSV] ⚠️  ${skipped} files in ${file.name} could not be read`);
+    return createOSVDatabase(records, file.name);
+}
+
+function tokenizeVersion(version) {
+    return String(version)
+        .toLowerCase()
+        .replace(/^v(?=\d)/, '')
+        .replace(/\+.*$/, '') // Build metadata does not affect ordering
+        .match(/\d+|[a-z]+/g) || [];
+}
+
+function compareVersionTokens(a, b) {
+    // A missing token is a plain release ("1.0" == "1.0.0", "1.0rc1" < "1.0" < "1.0.post1")
+    // Unknown qualifiers ("1.0.0-foo") are pre-releases, as in semver
+    const isKnown = token => token === undefined || Object.hasOwn(OSV_VERSION_QUALIFIERS, token);
+    const rank = token => token === undefined ? OSV_VERSION_QUALIFIERS.release
+        : (isKnown(token) ? OSV_VERSION_QUALIFIERS[token] : OSV_VERSION_QUALIFIERS.pre);
+    const isNumber = token => token !== undefined && /^\d/.test(token);
+    
+    if (isNumber(a) || isNumber(b)) {
+        if (isNumber(a) && isNumber(b)) return Math.sign(parseInt(a) - parseInt(b));
+        // A number against a qualifier: numbers sort after every qualifier; against nothing it compares with 0
+        if (a === undefined) return -Math.sign(parseInt(b));
+        if (b === undefined) return Math.sign(parseInt(a));
+        return isNumber(a) ? 1 : -1;
+    }
+    return Math.sign(rank(a) - rank(b)) || (isKnown(a) || isKnown(b) ? 0 : Math.sign(a.localeCompare(b)));
+}
+
+/**
+ * Compare two versions across ecosystems (semver, PEP 440, Maven, RubyGems)
+ * Numeric parts compare as numbers and pre-release qualifiers sort before the release.
+ * Close enough to each ecosystem's rules for matching OSV ranges, not a full implementation of any.
+ * @returns {number} -1, 0 or 1
+ */
+function compareOSVVersions(a, b) {
+    const ta = tokenizeVersion(a);
+    const tb = tokenizeVersion(b);
+    for (let i = 0; i < Math.max(ta.length, tb.length); i++) {
+        const result = compareVersionTokens(ta[i], tb[i]);
+        if (result !== 0) return result;
+    }
+    return 0;
+}
+
+function isVersionInOSVRange(version, range) {
+    if (range.type === 'GIT' || !Array.isArray(range.events)) return false;
+    const eventVersion = event => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+    const events = [...range.events].sort((a, b) => {
+        if (a.introduced === '0') return -1;
+        if (b.introduced === '0') return 1;
+        return compareOSVVersions(eventVersion(a), eventVersion(b));
+    });
+    
+    // Walk the sorted events: introduced opens an affected interval, fixed / last_affected close it
+    let affected = false;
+    for (const event of events) {
+        if (event.introduced !== undefined) {
+            if (event.introduced === '0' || compareOSVVersions(version, event.introduced) >= 0) affected = true;
+        } else if (event.fixed !== undefined) {
+            if (compareOSVVersions(version, event.fixed) >= 0) affected = false;
+        } else if (event.last_affected !== undefined) {
+            if (compareOSVVersions(version, event.last_affected) > 0) affected = false;
+        }
+    }
+    return affected;
+}
+
+function isVersionAffected(version, affected) {
+    if ((affected.versions || []).some(v => compareOSVVersions(v, version) === 0)) return true;
+    return (affected.ranges || []).some(range => isVersionInOSVRange(version, range));
+}
+
+/**
+ * Exact version of a dependency, or null when only a range or nothing is declared
+ * Uses the same rule as versioned purls: lockfile versions, exact pins (pinned: pip "==", Gemfile and
+ * composer.json versions without an operator, plain GitHub SBOM versions), and manifest versions of ecosystems whose
+ * manifests name one resolved version (PURL_PINNED_MANIFEST_ECOSYSTEMS). Versions taken from a BOM
+ * (managedBy) are not exact: a BOM's release train does not have to match each artifact's version.
+ */
+function getExactDependencyVersion(dependencyInfo) {
+    const { version, ecosystem, locked, pinned, managedBy } = dependencyInfo;
+    const exact = version && EXACT_VERSION_PATTERN.test(version) && !managedBy
+        && (locked || pinned || PURL_PINNED_MANIFEST_ECOSYSTEMS.includes(ecosystem));
+    return exact ? version.replace(/^v/, '') : null;
+}
+
+/**
+ * Find the OSV records affecting a dependency
+ * @param {Object} database - Output of loadOSVDatabase
+ * @param {Object} dependencyInfo - {name, version, ecosystem, locked, pinned}
+ * @returns {Array<{record: Object, affected: Object, version: string}>}
+ */
+function findOSVVulnerabilities(database, dependencyInfo) {
+    const osvEcosystem = OSV_ECOSYSTEMS[dependencyInfo.ecosystem];
+    const version = getExactDependencyVersion(dependencyInfo);
+    if (!osvEcosystem || !version) return [];
+    
+    const candidates = database.index.get(getOSVPackageKey(osvEcosystem, dependencyInfo.name)) || [];
+    const matches = [];
+    for (const { record, affected } of candidates) {
+        if (matches.some(m => m.record.id === record.id)) continue;
+        if (isVersionAffected(version, affected)) matches.push({ record, affected, version });
+    }
+    return matches;
+}
+
+function roundUpCVSS(value) {
+    const scaled = Math.round(value * 100000);
+    return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * CVSS 3.x base score of a vector string
+ * @returns {number|null} Score, or null when the vector is incomplete
+ */
+function calculateCVSS3BaseScore(vector) {
+    const metrics = Object.fromEntries(vector.split('/').slice(1).map(part => part.split(':')));
+    const changed = metrics.S === 'C';
+    const weights = {
+        AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+        AC: { L: 0.77, H: 0.44 },
+        PR: { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 },
+        UI: { N: 0.85, R: 0.62 },
+        CIA: { H: 0.56, L: 0.22, N: 0 }
+    };
+    const [av, ac, pr, ui] = ['AV', 'AC', 'PR', 'UI'].map(metric => weights[metric][metrics[metric]]);
+    const [c, i, a] = ['C', 'I', 'A'].map(metric => weights.CIA[metrics[metric]]);
+    if ([av, ac, pr, ui, c, i, a].some(weight => weight === undefined) || !['U', 'C'].includes(metrics.S)) return null;
+    
+    const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    const exploitability = 8.22 * av * ac * pr * ui;
+    if (impact <= 0) return 0;
+    return roundUpCVSS(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+function getSeverityFromScore(score) {
+    if (score >= 9) return 'critical';
+    if (score >= 7) return 'high';
+    if (score >= 4) return 'medium';
+    if (score > 0) return 'low';
+    return 'none';
+}
+
+/**
+ * Severity of an OSV record: the CVSS vector when there is one, otherwise the advisory database's rating
+ * @returns {{severity: string, score: number|null, vector: string|null, method: string|null}}
+ */
+function getOSVSeverity(record, affected) {
+    const cvss = (record.severity || []).find(s => s.type === 'CVSS_V3') || (record.severity || []).find(s => s.type === 'CVSS_V4');
+    if (cvss?.type === 'CVSS_V3') {
+        const score = calculateCVSS3BaseScore(cvss.score);
+        if (score !== null) {
+            return { severity: getSeverityFromScore(score), score, vector: cvss.score, method: cvss.score.startsWith('CVSS:3.0') ? 'CVSSv3' : 'CVSSv31' };
+        }
+    }
+    
+    // GitHub advisories rate LOW / MODERATE / HIGH / CRITICAL
+    const rated = (record.database_specific?.severity || affected?.ecosystem_specific?.severity || '').toLowerCase();
+    const severity = { moderate: 'medium' }[rated] || (['critical', 'high', 'medium', 'low'].includes(rated) ? rated : 'unknown');
+    return { severity, score: null, vector: cvss?.score || null, method: cvss ? 'CVSSv4' : null };
+}
+
+/**
+ * Versions in which an OSV record is fixed for the affected package
+ */
+function getOSVFixedVersions(affected) {
+    return [...new Set((affected.ranges || [])
+        .filter(range => range.type !== 'GIT')
+        .flatMap(range => range.events || [])
+        .map(event => event.fixed)
+        .filter(Boolean))];
+}
@@ -0,0 +1,123 @@
+// Shared request scheduler for file content fetching
+// Runs requests with bounded concurrency, spends the rate limit budget reported by the
+// server (X-RateLimit-Remaining / RateLimit-Remaining) like a token bucket, and pauses
+// everything on secondary rate limits (Retry-After).
+// Ordering guarantee: requests start in the order they were scheduled (FIFO, retries first).
+// Completion order is not guaranteed; callers that need deterministic results read them
+// back in their own order (see prefetchFileContents in utils.js).
+
+const REQUEST_SCHEDULER_CONCURRENCY = 6;
+// Budget kept back for tree, search and metadata calls made outside the scheduler
+const REQUEST_SCHEDULER_RESERVE = 20;
+// Longest pause waited out before queued requests fail instead
+const REQUEST_SCHEDULER_MAX_WAIT_MS = 60000;
+const REQUEST_SCHEDULER_MAX_RETRIES = 3;
+
+/**
+ * Create a request scheduler
+ * @param {string} name - Label used in log messages
+ * @param {number} concurrency - Maximum requests in flight
+ * @returns {{fetch: function(string, Object): Promise<Response>, stats: Object}}
+ */
+function createRequestScheduler(name, concurrency = REQUEST_SCHEDULER_CONCURRENCY) {
+    const queue = [];
+    const stats = { requests: 0, retries: 0, pauses: 0 };
+    let active = 0;
+    let tokens = Infinity; // Last reported remaining budget minus requests started since
+    let resetTime = 0;
+    let pausedUntil = 0;
+    let wakeTimer = null;
+    
+    function readBudget(response) {
+        const remaining = response.headers.get('X-RateLimit-Remaining') ?? response.headers.get('RateLimit-Remaining');
+        const reset = response.headers.get('X-RateLimit-Reset') ?? response.headers.get('RateLimit-Reset');
+        // Other requests still in flight will spend from the reported budget as well
+        if (remaining !== null) tokens = parseInt(remaining) - (active - 1);
+        if (reset !== null) resetTime = parseInt(reset) * 1000;
+    }
+    
+    function pauseUntil(time, reason) {
+        if (time <= pausedUntil) return;
+        pausedUntil = time;
+        stats.pauses++;
+        console.warn(`[Scheduler: ${name}] ⏳ ${reason} - pausing ${Math.ceil((time - Date.now()) / 1000)}s`);
+    }
+    
+    function failQueued(message) {
+        console.error(`[Scheduler: ${name}] ❌ ${message} - failing ${queue.length} queued requests`);
+        queue.splice(0).forEach(job => job.reject(new Error(message)));
+    }
+    
+    function pump() {
+        while (queue.length > 0 && active < concurrency) {
+            const now = Date.now();
+            
+            if (tokens <= REQUEST_SCHEDULER_RESERVE) {
+                if (resetTime <= now) {
+                    tokens = Infinity; // Window has reset; the next response reports the new budget
+                } else if (resetTime - now > REQUEST_SCHEDULER_MAX_WAIT_MS) {
+                    failQueued(`Rate limit budget exhausted until ${new Date(resetTime).toLocaleTimeString()}`);
+                    return;
+                } else {
+                    pauseUntil(resetTime + 1000, `${Math.max(tokens, 0)} requests left`);
+                    tokens = Infinity;
+                }
+            }
+            
+            if (pausedUntil > now) {
+                if (!wakeTimer) {
+                    wakeTimer = setTimeout(() => {
+                        wakeTimer = null;
+                        pump();
+                    }, pausedUntil - now);
+                }
+                return;
+            }
+            
+            const job = queue.shift();
+            active++;
+            tokens--;
+            run(job);
+        }
+    }
+    
+    async function run(job) {
+        try {
+            stats.requests++;
+            const response = await fetch(job.url, job.options);
+            readBudget(response);
+            
+            if ((response.status === 403 || response.status === 429) && job.attempts < REQUEST_SCHEDULER_MAX_RETRIES) {
+                const retryAfter = parseInt(response.headers.get('Retry-After') || '0');
+                const waitUntil = retryAfter > 0
+                    ? Date.now() + retryAfter * 1000 // Secondary rate limit
+                    : (tokens <= 0 && resetTime > Date.now() ? resetTime + 1000 : 0); // Primary budget spent
+                
+                if (waitUntil && waitUntil - Date.now() <= REQUEST_SCHEDULER_MAX_WAIT_MS) {
+                    pauseUntil(waitUntil, retryAfter > 0 ? `Secondary rate limit (Retry-After ${retryAfter}s)` : 'Rate limit reached');
+                    stats.retries++;
+                    job.attempts++;
+                    queue.unshift(job);
+                    return;
+                }
+            }
+            
+            job.resolve(response);
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            active--;
+            pump();
+        }
+    }
+    
+    return {
+        stats,
+        fetch(url, options = {}) {
+            return new Promise((resolve, reject) => {
+                queue.push({ url, options, attempts: 0, resolve, reject });
+                pump();
+            });
+        }
+    };
+}
@@ -195,3 +195,237 @@ function parseEvalResults(evalResults) {
     
     return metrics;
 }
+
+/**
+ * Check whether a repository came from GitHub (github.com or a GitHub-hosted API)
+ * GitHub-only APIs (Dependency Graph SBOM, Code Search) are skipped for other sources
+ * @param {Object} repoMeta - Repository metadata from a source fetcher
+ * @returns {boolean}
+ */
+function isGitHubSource(repoMeta) {
+    return !repoMeta?.platform || repoMeta.platform === 'github';
+}
+
+/**
+ * Check whether GitHub's indexed APIs describe the code being scanned
+ * Dependency Graph SBOM and Code Search only index the whole repository at its default branch,
+ * so they are skipped for other branches, tags, commits, pull requests and sub path scans
+ * @param {Object} repoMeta - Repository metadata (with optional isDefaultBranch / subPath from ref resolution)
+ * @returns {boolean}
+ */
+function canUseGitHubIndexedAPIs(repoMeta) {
+    return isGitHubSource(repoMeta) && repoMeta?.isDefaultBranch !== false && !repoMeta?.subPath;
+}
+
+/**
+ * Restrict a file tree to a sub directory (e.g. from a /tree/<ref>/<path> URL)
+ * Paths stay relative to the repository root so content fetching and evidence links keep working.
+ * A sub path naming a single file (from a /blob/ URL) scopes the scan to that file's directory.
+ * @param {Array} tree - File tree entries
+ * @param {string|null} subPath - Directory (or file) path inside the repository
+ * @returns {{tree: Array, subPath: string|null}}
+ */
+function scopeTreeToSubPath(tree, subPath) {
+    if (!subPath) return { tree, subPath: null };
+    
+    let directory = subPath.replace(/^\/+|\/+$/g, '');
+    if (tree.some(entry => entry.path === directory)) {
+        directory = directory.includes('/') ? directory.substring(0, directory.lastIndexOf('/')) : '';
+    }
+    if (!directory) return { tree, subPath: null };
+    
+    const scoped = tree.filter(entry => entry.path.startsWith(`${directory}/`));
+    if (scoped.length === 0) {
+        throw new Error(`Path "${directory}" was not found in the repository at this ref.`);
+    }
+    console.log(`[Utils] Scoped tree to ${directory}/: ${scoped.length} of ${tree.length} files`);
+    return { tree: scoped, subPath: directory };
+}
+
+/**
+ * Build a browsable URL for a file in the analyzed repository
+ * @param {Object} repository - Analysis result repository info (htmlUrl, platform, defaultBranch, ref)
+ * @param {string} path - File path relative to the repository root
+ * @param {number} [line] - Optional line number for an anchor
+ * @returns {string|null} File URL, a local path for offline sources, or null when unknown
+ */
+function buildFileUrl(repository, path, line = null) {
+    if (!path) return null;
+    
+    // Local folders/archives have no web view; point at the path inside the selected folder
+    if (repository?.platform === 'local') {
+        return `${repository.fullName}/${path}${line && line > 0 ? `:${line}` : ''}`;
+    }
+    
+    if (!repository?.htmlUrl) return null;
+    
+    const ref = repository.ref || repository.defaultBranch || 'main';
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const blobSegment = repository.platform === 'gitlab' ? '-/blob' : 'blob';
+    const anchor = line && line > 0 ? `#L${line}` : '';
+    
+    return `${repository.htmlUrl}/${blobSegment}/${ref}/${encodedPath}${anchor}`;
+}
+
+// Files read at once by prefetchFileContents; remote schedulers run fewer requests than this in parallel,
+// and local sources would otherwise read and decode every file of a large tree at the same time
+const PREFETCH_CONCURRENCY = 16;
+
+/**
+ * Fetch many files concurrently before a detector walks them
+ * Remote fetchers cache every result, so a detector can prefetch its file list and then keep its
+ * sequential loop: the loop reads cached content in its own order, and findings are identical to a
+ * fully sequential scan. At most PREFETCH_CONCURRENCY reads are in flight.
+ * @param {function} getFileContent - Source content fetcher
+ * @param {Array<string>} paths - Files the detector is about to read
+ * @returns {Promise<Array<string|null>>} Contents in the same order as paths
+ */
+async function prefetchFileContents(getFileContent, paths, concurrency = PREFETCH_CONCURRENCY) {
+    const contents = new Array(paths.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < paths.length) {
+            const index = next++;
+            contents[index] = await getFileContent(paths[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, paths.length) }, worker));
+    return contents;
+}
+
+/**
+ * Decode a base64 string (as returned by the GitHub contents and blobs APIs) into bytes
+ * atob alone yields one character per byte, which mangles multi-byte UTF-8 text.
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Decode file bytes as UTF-8 text
+ * @param {Uint8Array} bytes - Raw file content
+ * @returns {string|null} Text content, or null for binary files (NUL byte near the start)
+ */
+function decodeTextBytes(bytes) {
+    if (bytes.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return null;
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Read a text response body without downloading binary or oversized files in full
+ * The body is streamed and the read cancelled as soon as a NUL byte shows up in the leading
+ * BINARY_SNIFF_BYTES or the body grows past maxBytes, so a committed weight file costs one chunk.
+ * @returns {Promise<{content: string|null, reason?: string, size: number}>} reason is 'binary' or 'too-large'
+ */
+async function readTextResponse(response, maxBytes = FILE_CONTENT_MAX_BYTES) {
+    const reader = response.body?.getReader?.();
+    if (!reader) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (bytes.length > maxBytes) return { content: null, reason: 'too-large', size: bytes.length };
+        const content = decodeTextBytes(bytes);
+        return content === null ? { content, reason: 'binary', size: bytes.length } : { content, size: bytes.length };
+    }
+    
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const sniffed = Math.max(0, BINARY_SNIFF_BYTES - size);
+        size += value.length;
+        if (value.subarray(0, sniffed).includes(0) || size > maxBytes) {
+            await reader.cancel().catch(() => {});
+            return { content: null, reason: size > maxBytes ? 'too-large' : 'binary', size };
+        }
+        chunks.push(value);
+    }
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return { content: new TextDecoder('utf-8').decode(bytes), size };
+}
+
+/**
+ * Record a file whose content could not be inspected
+ * Content fetchers expose the list as getFileContent.skipped; the analyzer copies it into the
+ * inventory so BOMs can state which files were never looked at.
+ * @param {Array} skipped - The fetcher's skipped file list
+ * @param {string} reason - 'too-large', 'binary', 'rate-limited', 'error' or 'scan-budget' (left out by a full scan's budget)
+ * @returns {null} So fetchers can return the result directly
+ */
+function recordSkippedFile(skipped, path, reason, size = null) {
+    console.warn(`[File Content] ⚠️  Skipping ${path} (${reason}${size ? `, ${(size / 1024).toFixed(0)} KB` : ''})`);
+    skipped.push({ path, reason, size });
+    return null;
+}
+
+/**
+ * Parse a Git LFS pointer file
+ * @param {string|null} content - File content as stored in git
+ * @returns {{oid: string, size: number}|null} SHA-256 and size of the real object, or null if not a pointer
+ */
+function parseLfsPointer(content) {
+    if (!content || content.length > LFS_POINTER_MAX_BYTES) return null;
+    if (!content.startsWith('version https://git-lfs.github.com/spec/')) return null;
+    
+    const oid = content.match(/^oid sha256:([0-9a-f]{64})$/m);
+    const size = content.match(/^size (\d+)$/m);
+    if (!oid || !size) return null;
+    return { oid: oid[1], size: parseInt(size[1]) };
+}
+
+/**
+ * Parse a .gitmodules file
+ * @param {string|null} content - .gitmodules content
+ * @returns {Array<{name: string, path: string, url: string, branch: string|null}>} Submodules with a path and url
+ */
+function parseGitModules(content) {
+    const modules = [];
+    let current = null;
+    
+    (content || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) return;
+        
+        const section = line.match(/^\[submodule\s+"([^"]+)"\]$/);
+        if (section) {
+            current = { name: section[1], path: null, url: null, branch: null };
+            modules.push(current);
+            return;
+        }
+        if (line.startsWith('[')) {
+            current = null;
+            return;
+        }
+        
+        const setting = line.match(/^(path|url|branch)\s*=\s*(.+)$/);
+        if (current && setting) current[setting[1]] = setting[2].trim();
+    });
+    
+    return modules.filter(module => module.path && module.url);
+}
+
+/**
+ * Resolve a path referenced from a repository file (e.g. "-r ../base.txt") to a repository path
+ * @returns {string|null} null when the path leaves the repository root
+ */
+function resolveRelativePath(fromFile, relativePath) {
+    const parts = fromFile.split('/').slice(0, -1);
+    for (const segment of relativePath.split('/')) {
+        if (segment === '..') {
+            if (parts.length === 0) return null;
+            parts.pop();
+        } else if (segment && segment !== '.') {
+            parts.push(segment);
+        }
+    }
+    return parts.join('/');
+}